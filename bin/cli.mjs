@@ -7,27 +7,66 @@ import { fileURLToPath } from "node:url";
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 const args = process.argv.slice(2);
-const command = args.find((a) => !a.startsWith("-"));
+
+// Flags that take a value — their values must not be read as positional args
+const VALUE_FLAGS = ["--dir", "--from-session", "--min-confidence", "--set", "--template-source", "--name", "--only", "--exclude", "--tool", "--path", "--command", "--reason", "--scope", "--to", "--keep"];
+
+function flagValue(name) {
+  if (!args.includes(name)) return undefined;
+  const val = args[args.indexOf(name) + 1];
+  return val && !val.startsWith("-") ? val : undefined;
+}
+
+function flagValues(name) {
+  return args
+    .filter((a, i) => args[i - 1] === name && !a.startsWith("-"));
+}
+
+// Comma-separated, repeatable: --only hooks,agents --only mcp
+function listFlag(name) {
+  return flagValues(name).flatMap((v) => v.split(",")).map((v) => v.trim()).filter(Boolean);
+}
+
+const nonFlagArgs = args.filter(
+  (a, i) => !a.startsWith("-") && !VALUE_FLAGS.includes(args[i - 1])
+);
+const command = nonFlagArgs[0];
+// Commands whose second non-flag arg is a subcommand
+const hasSubcommand = ["template", "hooks", "guard", "backups"].includes(command);
 // For init, the second non-flag arg is the template ID
-const nonFlagArgs = args.filter((a) => !a.startsWith("-"));
 const flags = {
   force: args.includes("--force") || args.includes("-f"),
   list: args.includes("--list"),
   dryRun: args.includes("--dry-run"),
-  dir: args.includes("--dir")
-    ? (() => {
-        const val = args[args.indexOf("--dir") + 1];
-        return val && !val.startsWith("-") ? val : undefined;
-      })()
-    : undefined,
+  diff: args.includes("--diff"),
+  auto: args.includes("--auto"),
+  interactive: args.includes("--interactive") || args.includes("-i"),
+  generated: args.includes("--generated"),
+  dir: flagValue("--dir"),
   templateId: command === "init" ? nonFlagArgs[1] : undefined,
   query: command === "discover" ? nonFlagArgs[1] : undefined,
-  fromSession: args.includes("--from-session")
-    ? (() => {
-        const val = args[args.indexOf("--from-session") + 1];
-        return val && !val.startsWith("-") ? val : undefined;
-      })()
-    : undefined,
+  fromSession: flagValue("--from-session"),
+  set: flagValues("--set"),
+  only: listFlag("--only"),
+  exclude: listFlag("--exclude"),
+  subcommand: hasSubcommand ? nonFlagArgs[1] : undefined,
+  positionals: hasSubcommand ? nonFlagArgs.slice(2) : [],
+  templateSource: flagValues("--template-source"),
+  name: flagValue("--name"),
+  strict: args.includes("--strict"),
+  json: args.includes("--json"),
+  claudeMd: args.includes("--claude-md"),
+  suite: args.includes("--suite"),
+  tool: flagValue("--tool"),
+  tools: listFlag("--tool"),
+  reason: flagValue("--reason"),
+  paths: flagValues("--path"),
+  toolCommand: flagValue("--command"),
+  scope: flagValue("--scope"),
+  to: flagValue("--to"),
+  keep: flagValue("--keep") !== undefined ? Number(flagValue("--keep")) : undefined,
+  // A missing value parses as NaN, which the commands reject
+  minConfidence: args.includes("--min-confidence") ? Number(flagValue("--min-confidence")) : undefined,
 };
 
 async function printVersion() {
@@ -45,19 +84,93 @@ Usage:
   agentic-rig <command> [options]
 
 Commands:
-  install              Copy skill files to .claude/skills/
+  install              Copy skill files to .claude/skills/ (--scope user: ~/.claude/skills/)
   uninstall            Remove installed skill files
+                       (--generated: same as revert)
+  revert               Remove the config generated by init
   status               Show installation status and template quality
   init <template>      Generate Claude Code config from a project-type template
+  upgrade              Merge newer template versions into the applied config
+  detect               Score templates against the project and show the best match
+  analyze              Show the project's manifests, frameworks, tooling, scripts
+                       and workspace packages
   discover [query]     Search for community skills
   insights             Show heuristic and template quality from feedback data
   generate-template    Create a reusable template from a feedback session
+  template validate [path]
+                       Check template files for authoring mistakes
+  template source <add|list|remove|update> [source]
+                       Manage external template sources (dir, .tgz, git URL)
+  hooks test           Simulate tool calls against the configured hooks
+  guard add <glob>...  Protect paths with a guard hook (recorded in .claude/agentic-rig/guards.json)
+  guard list           List guards from templates and the project
+  guard remove <name>  Remove a guard and its hook
+  rollback             Undo the last command that wrote files, from its backup
+  backups <list|prune> Manage the backups in .claude/agentic-rig/backups/
   self-improve         Analyze agentic-rig itself and suggest improvements
 
 Init Options:
   --list               List available templates (with quality tiers)
   --force              Overwrite existing files without prompting
   --dry-run            Show what would be generated without writing
+  --diff               Show a unified diff of every file to be written
+  --auto               Pick the best-matching template from detection rules
+  --interactive, -i    Choose which numbered items (C#, H#, G#, P#, S#, ...) to generate
+  --only <filters>     Generate only these categories or items, e.g. hooks,agents
+  --exclude <filters>  Skip these categories or items, e.g. mcp,skill:create-section
+                       (categories may be singular or plural: skill:x or skills:x)
+  --set <name=value>   Set a template variable (repeatable)
+  --scope <scope>      Write every item to one scope: project (.claude/settings.json,
+                       .mcp.json, CLAUDE.md), local (.claude/settings.local.json,
+                       CLAUDE.local.md, ~/.claude.json) or user (~/.claude/)
+                       (default: the template's per-item scopes, else project)
+  --template-source <src>
+                       Load templates from a dir, .tgz or git URL (repeatable,
+                       "name=<src>" sets the namespace)
+
+Revert Options:
+  --dry-run            Show what would be removed without changing files
+  --force              Also remove generated items edited since init
+
+Upgrade Options:
+  --dry-run            Show the planned changes without writing
+  --force              Take the template side of conflicting changes
+  --set <name=value>   Override a template variable (repeatable)
+
+Detect Options:
+  --min-confidence <n> Minimum confidence (0-1) for a match (default: 0.5)
+
+Analyze Options:
+  --json               Print the analysis as JSON (schemaVersion 1)
+  --claude-md          Write the generated CLAUDE.md, plus one per workspace package
+  --dry-run            --claude-md: list the files without writing
+
+Template Options:
+  --strict             validate: exit non-zero on warnings as well as errors
+  --name <name>        source add: namespace for the source's templates
+
+Hooks Test Options:
+  --tool <tool>        Tool to simulate: Write, Edit, MultiEdit, NotebookEdit, Bash
+  --path <path>        File the tool touches (repeatable)
+  --command <command>  Command for --tool Bash
+  --suite [template...]
+                       Run the guards' expected block/allow cases (default:
+                       the applied templates); exits non-zero on failure
+
+Guard Options:
+  --reason <text>      add: why the paths are protected, shown when a call is blocked
+  --name <name>        add: guard name (default: from the first glob)
+  --tool <tools>       add: tools to block, comma-separated (default: Write,Edit;
+                       also MultiEdit, NotebookEdit, Bash)
+  --dry-run            add/remove: show the changes without writing
+
+Rollback Options:
+  --to <id>            Roll back every command since this backup, inclusive
+  --dry-run            Show the files that would be restored or removed
+
+Backups Options:
+  --keep <n>           prune: number of newest backups to keep (default: 5)
+  --dry-run            prune: show what would be removed
 
 Generate-Template Options:
   --from-session <id>  Session ID to generate template from
@@ -101,6 +214,26 @@ switch (command) {
     await init(flags);
     break;
   }
+  case "revert": {
+    const { revert } = await import("../src/commands/revert.mjs");
+    await revert(flags);
+    break;
+  }
+  case "upgrade": {
+    const { upgrade } = await import("../src/commands/upgrade.mjs");
+    await upgrade(flags);
+    break;
+  }
+  case "detect": {
+    const { detect } = await import("../src/commands/detect.mjs");
+    await detect(flags);
+    break;
+  }
+  case "analyze": {
+    const { analyze } = await import("../src/commands/analyze.mjs");
+    await analyze(flags);
+    break;
+  }
   case "discover": {
     const { discover } = await import("../src/commands/discover.mjs");
     await discover(flags.query);
@@ -116,6 +249,31 @@ switch (command) {
     await generateTemplate(flags);
     break;
   }
+  case "template": {
+    const { template } = await import("../src/commands/template.mjs");
+    await template(flags);
+    break;
+  }
+  case "hooks": {
+    const { hooks } = await import("../src/commands/hooks.mjs");
+    await hooks(flags);
+    break;
+  }
+  case "guard": {
+    const { guard } = await import("../src/commands/guard.mjs");
+    await guard(flags);
+    break;
+  }
+  case "rollback": {
+    const { rollback } = await import("../src/commands/rollback.mjs");
+    await rollback(flags);
+    break;
+  }
+  case "backups": {
+    const { backups } = await import("../src/commands/backups.mjs");
+    await backups(flags);
+    break;
+  }
   case "self-improve": {
     const { selfImprove } = await import("../src/commands/self-improve.mjs");
     await selfImprove(flags);
@@ -1,5 +1,9 @@
 import { readFile, readdir, stat } from "node:fs/promises";
-import { join, extname } from "node:path";
+import { join, extname, resolve, basename } from "node:path";
+import { detectWorkspaces } from "./workspaces.mjs";
+import { readDependencies, detectFrameworks } from "./dependencies.mjs";
+import { detectPackageManager, collectTasks } from "./tasks.mjs";
+import { STATE_DIR } from "./detection.mjs";
 
 /**
  * Programmatic analysis functions — a subset of Phase 1 logic
@@ -20,6 +24,7 @@ export async function detectManifests(dir) {
     { pattern: "go.mod", type: "go" },
     { pattern: "pom.xml", type: "java" },
     { pattern: "build.gradle", type: "java" },
+    { pattern: "build.gradle.kts", type: "java" },
     { pattern: "Gemfile", type: "ruby" },
     { pattern: "mix.exs", type: "elixir" },
     { pattern: "composer.json", type: "php" },
@@ -40,9 +45,11 @@ export async function detectManifests(dir) {
 
 /**
  * Count files recursively in a directory.
- * Skips node_modules, .git, __pycache__, etc.
+ * Skips node_modules, .git, __pycache__, etc., and what agentic-rig
+ * writes itself (its state and CLAUDE.md files), so `analyze --claude-md`
+ * doesn't change the count it reports.
  */
-export async function countFiles(dir, skipDirs = null) {
+export async function countFiles(dir, skipDirs = null, prefix = "") {
   const skip = skipDirs || new Set([
     "node_modules", ".git", "__pycache__", ".next", ".nuxt",
     "dist", "build", ".cache", "vendor", "target",
@@ -52,10 +59,11 @@ export async function countFiles(dir, skipDirs = null) {
   try {
     const entries = await readdir(dir, { withFileTypes: true });
     for (const entry of entries) {
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
       if (entry.isDirectory()) {
-        if (skip.has(entry.name)) continue;
-        count += await countFiles(join(dir, entry.name), skip);
-      } else {
+        if (skip.has(entry.name) || rel === STATE_DIR) continue;
+        count += await countFiles(join(dir, entry.name), skip, rel);
+      } else if (entry.name !== "CLAUDE.md") {
         count++;
       }
     }
@@ -108,7 +116,8 @@ export async function detectTooling(dir) {
 }
 
 /**
- * Detect key directories present in a project.
+ * Detect key directories present in a project. `.claude` counts only when
+ * it holds more than agentic-rig's state.
  */
 export async function detectDirectories(dir) {
   const interesting = [
@@ -122,7 +131,9 @@ export async function detectDirectories(dir) {
   for (const name of interesting) {
     try {
       const s = await stat(join(dir, name));
-      if (s.isDirectory()) found.push(name);
+      if (!s.isDirectory()) continue;
+      if (name === ".claude" && (await readdir(join(dir, name))).every((e) => e === "agentic-rig")) continue;
+      found.push(name);
     } catch {
       // Not found
     }
@@ -143,9 +154,11 @@ export async function readPackageJson(dir) {
 }
 
 /**
- * Build a project analysis summary.
+ * Build a project analysis summary. In a monorepo, `workspace` lists the
+ * workspace tools and each package with its own analysis; packages are not
+ * searched for nested workspaces, and use the root's package manager.
  */
-export async function analyzeProject(dir) {
+export async function analyzeProject(dir, { workspaces = true, packageManager } = {}) {
   const manifests = await detectManifests(dir);
   const fileCount = await countFiles(dir);
   const size = categorizeSize(fileCount);
@@ -153,25 +166,24 @@ export async function analyzeProject(dir) {
   const directories = await detectDirectories(dir);
   const pkg = await readPackageJson(dir);
 
-  const frameworks = [];
-  if (pkg) {
-    const allDeps = {
-      ...(pkg.dependencies || {}),
-      ...(pkg.devDependencies || {}),
-    };
-    const knownFrameworks = [
-      "react", "next", "vue", "nuxt", "svelte", "angular",
-      "express", "fastify", "hono", "koa",
-      "django", "flask", "fastapi",
-      "tailwindcss", "@tailwindcss/postcss",
-    ];
-    for (const fw of knownFrameworks) {
-      if (allDeps[fw]) frameworks.push(fw);
-    }
-  }
+  const dependencies = await readDependencies(dir);
+  const frameworks = detectFrameworks(dependencies);
+  const manager = packageManager ?? (await detectPackageManager(dir));
+  const tasks = await collectTasks(dir, { packageManager: manager });
 
   const projectTypes = [...new Set(manifests.map((m) => m.type))];
 
+  const found = workspaces ? await detectWorkspaces(dir) : null;
+  let workspace = null;
+  if (found) {
+    const packages = [];
+    for (const path of found.packages) {
+      const analysis = await analyzeProject(join(dir, path), { workspaces: false, packageManager: manager ?? undefined });
+      packages.push({ path, name: analysis.packageJson?.name || path.split("/").pop(), analysis });
+    }
+    workspace = { tools: found.tools, packages };
+  }
+
   return {
     dir,
     manifests,
@@ -181,23 +193,130 @@ export async function analyzeProject(dir) {
     tooling,
     directories,
     frameworks,
+    dependencies,
+    packageManager: manager,
+    tasks,
     packageJson: pkg ? { name: pkg.name, version: pkg.version, scripts: pkg.scripts } : null,
+    workspace,
   };
 }
 
 /**
- * Generate a basic CLAUDE.md content from an analysis result.
+ * Version of the `analyze --json` schema. Bumped only for changes that
+ * remove or retype a field; new fields may be added within a version.
+ */
+export const ANALYSIS_SCHEMA_VERSION = 1;
+
+/**
+ * The stable JSON form of an analysis result, printed by `analyze --json`:
+ *
+ *   {
+ *     schemaVersion: 1,
+ *     dir: string,                          absolute project directory
+ *     manifests: [{ file, type }],          e.g. { file: "go.mod", type: "go" }
+ *     projectTypes: [string],               distinct manifest types
+ *     size: "small" | "medium" | "large",
+ *     fileCount: number,
+ *     tooling: [string],                    formatters, linters, test runners
+ *     directories: [string],                notable top-level directories
+ *     frameworks: [string],
+ *     dependencies: [{ ecosystem, name, version, dev, file }],
+ *                                           from every manifest, see dependencies.mjs
+ *     package: { name, version } | null,   from package.json
+ *     scripts: { [name]: command },         package.json scripts
+ *     packageManager: "npm" | "pnpm" | "yarn" | "bun" | null,
+ *     tasks: [{ runner, name, run, command, note }],
+ *                                           every runnable task, see tasks.mjs
+ *     workspace: null | {                   monorepos only
+ *       tools: [string],                    npm, yarn, bun, pnpm, lerna, nx, turbo, cargo, go
+ *       packages: [{ path, name, ...the fields above from manifests to tasks }]
+ *     }
+ *   }
+ */
+export function toAnalysisJson(analysis) {
+  return {
+    schemaVersion: ANALYSIS_SCHEMA_VERSION,
+    dir: resolve(analysis.dir),
+    ...analysisFields(analysis),
+    workspace: analysis.workspace
+      ? {
+          tools: analysis.workspace.tools,
+          packages: analysis.workspace.packages.map((p) => ({ path: p.path, name: p.name, ...analysisFields(p.analysis) })),
+        }
+      : null,
+  };
+}
+
+function analysisFields(analysis) {
+  return {
+    manifests: analysis.manifests.map(({ file, type }) => ({ file, type })),
+    projectTypes: analysis.projectTypes,
+    size: analysis.size,
+    fileCount: analysis.fileCount,
+    tooling: analysis.tooling,
+    directories: analysis.directories,
+    frameworks: analysis.frameworks,
+    dependencies: analysis.dependencies,
+    package: analysis.packageJson
+      ? { name: analysis.packageJson.name ?? null, version: analysis.packageJson.version ?? null }
+      : null,
+    scripts: analysis.packageJson?.scripts || {},
+    packageManager: analysis.packageManager,
+    tasks: analysis.tasks,
+  };
+}
+
+/**
+ * Format an analysis result as indented "Label: value" lines.
+ */
+export function formatAnalysis(analysis) {
+  const list = (values) => (values.length > 0 ? values.join(", ") : "none");
+  const lines = [
+    `  Type:       ${analysis.projectTypes.join(", ") || "unknown"}`,
+    `  Manifests:  ${list(analysis.manifests.map((m) => m.file))}`,
+    `  Size:       ${analysis.size} (${analysis.fileCount} files)`,
+    `  Frameworks: ${list(analysis.frameworks)}`,
+    `  Tooling:    ${list(analysis.tooling)}`,
+    `  Dirs:       ${list(analysis.directories)}`,
+  ];
+  if (analysis.packageManager) {
+    lines.push(`  Packages:   ${analysis.packageManager}`);
+  }
+  if (analysis.tasks.length > 0) {
+    lines.push("  Tasks:");
+    for (const t of analysis.tasks) {
+      lines.push(`    ${t.run.padEnd(24)} ${t.command ?? ""}${t.note ? ` (${t.note})` : ""}`.trimEnd());
+    }
+  }
+  if (analysis.workspace) {
+    const { tools, packages } = analysis.workspace;
+    lines.push(`  Workspace:  ${tools.join(", ")} (${packages.length} package(s))`);
+    for (const p of packages) {
+      const a = p.analysis;
+      const summary = [a.projectTypes.join(", ") || "unknown", ...a.frameworks].join(", ");
+      lines.push(`    ${p.path.padEnd(24)} ${p.name !== p.path.split("/").pop() ? `${p.name}  ` : ""}(${summary})`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Generate a basic CLAUDE.md content from an analysis result. For a
+ * workspace package, `packagePath` is its path from the repository root.
  * Returns markdown string.
  */
-export function generateClaudeMd(analysis) {
+export function generateClaudeMd(analysis, { packagePath } = {}) {
   const lines = [];
 
   // Project Overview
-  lines.push("### Project Overview");
+  lines.push(packagePath ? "### Package Overview" : "### Project Overview");
   lines.push("");
   if (analysis.packageJson?.name) {
     lines.push(`${analysis.packageJson.name}${analysis.packageJson.version ? ` (v${analysis.packageJson.version})` : ""}`);
   }
+  if (packagePath) {
+    lines.push(`**Path:** \`${packagePath}/\` in the workspace`);
+  }
   if (analysis.projectTypes.length > 0) {
     lines.push(`**Type:** ${analysis.projectTypes.join(", ")}`);
   }
@@ -207,19 +326,36 @@ export function generateClaudeMd(analysis) {
   lines.push(`**Size:** ${analysis.size} (${analysis.fileCount} files)`);
   lines.push("");
 
-  // Build & Run
-  if (analysis.packageJson?.scripts) {
+  // Build & Run, each task with its own runner
+  if (analysis.tasks.length > 0) {
     lines.push("### Build & Run Commands");
     lines.push("");
+    if (packagePath) {
+      lines.push(`Run from \`${packagePath}/\`:`);
+      lines.push("");
+    }
     lines.push("```bash");
-    for (const [name, cmd] of Object.entries(analysis.packageJson.scripts)) {
-      lines.push(`# ${name}`);
-      lines.push(`npm run ${name}`);
+    for (const t of analysis.tasks) {
+      lines.push(`# ${t.name}${t.note ? ` (${t.note})` : ""}`);
+      lines.push(t.run);
     }
     lines.push("```");
     lines.push("");
   }
 
+  // Workspace packages, each documented in its own CLAUDE.md
+  if (analysis.workspace?.packages.length > 0) {
+    lines.push("### Workspace");
+    lines.push("");
+    lines.push(`Monorepo managed with ${analysis.workspace.tools.join(", ")}. Each package has its own CLAUDE.md with its commands.`);
+    lines.push("");
+    for (const p of analysis.workspace.packages) {
+      const stack = [...p.analysis.projectTypes, ...p.analysis.frameworks];
+      lines.push(`- \`${p.path}/\` — ${p.name}${stack.length > 0 ? ` (${stack.join(", ")})` : ""}`);
+    }
+    lines.push("");
+  }
+
   // Tooling
   if (analysis.tooling.length > 0) {
     lines.push("### Code Style");
@@ -242,30 +378,16 @@ export function generateClaudeMd(analysis) {
 }
 
 /**
- * Simple diff of two strings.
- * Returns array of { type: 'add'|'remove'|'same', line } objects.
+ * The CLAUDE.md files for an analysis: the root one, plus one per
+ * workspace package in a monorepo.
+ * Returns [{ path, title, block }] with forward-slash paths relative to the
+ * root; `title` heads a new file.
  */
-export function diffStrings(oldStr, newStr) {
-  const oldLines = oldStr.split("\n");
-  const newLines = newStr.split("\n");
-  const result = [];
-
-  // Simple line-by-line comparison (not a full diff algorithm)
-  const maxLen = Math.max(oldLines.length, newLines.length);
-  const oldSet = new Set(oldLines);
-  const newSet = new Set(newLines);
-
-  // Lines only in new
-  const additions = newLines.filter((l) => !oldSet.has(l));
-  // Lines only in old
-  const removals = oldLines.filter((l) => !newSet.has(l));
-
-  for (const line of removals) {
-    result.push({ type: "remove", line });
+export function generateClaudeMdFiles(analysis) {
+  const title = analysis.packageJson?.name || basename(resolve(analysis.dir));
+  const files = [{ path: "CLAUDE.md", title, block: generateClaudeMd(analysis) }];
+  for (const p of analysis.workspace?.packages || []) {
+    files.push({ path: `${p.path}/CLAUDE.md`, title: p.name, block: generateClaudeMd(p.analysis, { packagePath: p.path }) });
   }
-  for (const line of additions) {
-    result.push({ type: "add", line });
-  }
-
-  return result;
+  return files;
 }
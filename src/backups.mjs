@@ -0,0 +1,159 @@
+import { homedir } from "node:os";
+import { join, dirname, relative } from "node:path";
+import { copyFile, mkdir, readdir, rm } from "node:fs/promises";
+import { readFileIfExists, writeFileWithDir, fileExists, removeEmptyDirs } from "./utils.mjs";
+import { getManifestPath } from "./manifest.mjs";
+import { getGuardPolicyPath } from "./guard-policy.mjs";
+import { getAnswersPath } from "./variables.mjs";
+import { resolveTarget } from "./scopes.mjs";
+
+/**
+ * Backups — snapshots of the files a writing command (`init`, `install`,
+ * `upgrade`, `revert`, `guard add`/`remove`, `analyze --claude-md`) is
+ * about to touch, in .claude/agentic-rig/backups/<id>/:
+ *
+ *   backup.json   { version, id, createdAt, command, files: [{ path, existed }] }
+ *   files/        copies of the files that existed, under project/<path>
+ *                 or home/<path> for "~/" paths
+ *
+ * The ID is the creation time, so IDs sort oldest first. `rollback`
+ * restores a backup: files that existed get their old content back, and
+ * files the command created are removed. Commands include the agentic-rig
+ * state files they write (see statePaths), so the manifest rolls back with
+ * the files it describes.
+ */
+
+export const BACKUP_VERSION = 1;
+
+/**
+ * Returns the directory holding a project's backups.
+ */
+export function getBackupsDir(projectRoot) {
+  return join(projectRoot, ".claude", "agentic-rig", "backups");
+}
+
+/**
+ * Where a backed-up file's copy is kept inside its backup directory.
+ */
+function copyPath(backupDir, path) {
+  return path.startsWith("~/")
+    ? join(backupDir, "files", "home", path.slice(2))
+    : join(backupDir, "files", "project", path);
+}
+
+/**
+ * A new backup ID from the current time, e.g. "2026-10-18T09-41-07-512Z",
+ * with a suffix when one was already taken this millisecond.
+ */
+async function newBackupId(projectRoot) {
+  const base = new Date().toISOString().replace(/[:.]/g, "-");
+  let id = base;
+  for (let n = 2; await fileExists(join(getBackupsDir(projectRoot), id)); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Project-relative paths of agentic-rig's state files by name: "manifest"
+ * (applied.json), "guards" (guards.json) and "answers" (answers.json).
+ */
+export function statePaths(projectRoot, names) {
+  const getPath = { manifest: getManifestPath, guards: getGuardPolicyPath, answers: getAnswersPath };
+  return names.map((name) => relative(projectRoot, getPath[name](projectRoot)).split("\\").join("/"));
+}
+
+/**
+ * Snapshot `paths` (project-relative, or "~/" for the home directory)
+ * before `command` writes them. Returns the backup record.
+ */
+export async function createBackup(projectRoot, command, paths) {
+  const id = await newBackupId(projectRoot);
+  const dir = join(getBackupsDir(projectRoot), id);
+  const files = [];
+  for (const path of [...new Set(paths)]) {
+    const source = resolveTarget(projectRoot, path);
+    const existed = await fileExists(source);
+    if (existed) {
+      const target = copyPath(dir, path);
+      await mkdir(dirname(target), { recursive: true });
+      await copyFile(source, target);
+    }
+    files.push({ path, existed });
+  }
+  const backup = { version: BACKUP_VERSION, id, createdAt: new Date().toISOString(), command, files };
+  await writeFileWithDir(join(dir, "backup.json"), JSON.stringify(backup, null, 2) + "\n");
+  // Backups hold copies of local config; keep them out of version control
+  await writeFileWithDir(join(getBackupsDir(projectRoot), ".gitignore"), "*\n");
+  return backup;
+}
+
+/**
+ * List a project's backups, newest first. Unreadable ones are skipped.
+ */
+export async function listBackups(projectRoot) {
+  let entries;
+  try {
+    entries = await readdir(getBackupsDir(projectRoot), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const backups = [];
+  for (const entry of entries.filter((e) => e.isDirectory())) {
+    const content = await readFileIfExists(join(getBackupsDir(projectRoot), entry.name, "backup.json"));
+    try {
+      const backup = content ? JSON.parse(content) : null;
+      if (backup && Array.isArray(backup.files)) backups.push({ ...backup, id: entry.name });
+    } catch {
+      // Not a backup
+    }
+  }
+  return backups.sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Find a backup by ID or unique ID prefix among `backups`.
+ * Returns { backup } or { error }.
+ */
+export function findBackup(backups, id) {
+  const exact = backups.find((b) => b.id === id);
+  if (exact) return { backup: exact };
+  const matches = backups.filter((b) => b.id.startsWith(id));
+  if (matches.length === 1) return { backup: matches[0] };
+  return {
+    error: matches.length === 0
+      ? `No backup "${id}". See \`agentic-rig backups list\`.`
+      : `"${id}" matches ${matches.length} backups; give more of the ID.`,
+  };
+}
+
+/**
+ * Put the files of a backup back as they were: restore the copies, and
+ * remove files that did not exist (and their directories, once empty).
+ * Returns { restored: [path], removed: [path] }.
+ */
+export async function restoreBackup(projectRoot, backup) {
+  const dir = join(getBackupsDir(projectRoot), backup.id);
+  const restored = [];
+  const removed = [];
+  for (const { path, existed } of backup.files) {
+    const target = resolveTarget(projectRoot, path);
+    if (existed) {
+      await mkdir(dirname(target), { recursive: true });
+      await copyFile(copyPath(dir, path), target);
+      restored.push(path);
+    } else if (await fileExists(target)) {
+      await rm(target, { force: true });
+      await removeEmptyDirs(dirname(target), path.startsWith("~/") ? homedir() : projectRoot);
+      removed.push(path);
+    }
+  }
+  return { restored, removed };
+}
+
+/**
+ * Delete a backup.
+ */
+export async function removeBackup(projectRoot, id) {
+  await rm(join(getBackupsDir(projectRoot), id), { recursive: true, force: true });
+}
@@ -0,0 +1,203 @@
+import { splitClaudeMdSections, joinClaudeMdSections, appendMissingLines } from "./compose.mjs";
+
+/**
+ * CLAUDE.md managed regions — generated content is wrapped in named markers:
+ *
+ *   <!-- agentic-rig:begin shopify-theme -->
+ *   ...
+ *   <!-- agentic-rig:end shopify-theme -->
+ *
+ * Re-running init replaces the region in place. Template `###` sections
+ * whose heading the user already has outside any region are merged into
+ * the user's section instead of being duplicated. Everything outside the
+ * markers is left as written.
+ */
+
+export const ATTRIBUTION = `
+---
+> Configured with [\`agentic-rig\`](https://npmjs.com/package/agentic-rig)
+`.trimStart();
+
+const ATTRIBUTION_RE = /^> Configured with \[`agentic-rig`\]/;
+const MARKER_RE = /^<!-- agentic-rig:(begin|end) (\S+) -->$/;
+const HEADING_RE = /^#{1,3} /;
+
+export function beginMarker(id) {
+  return `<!-- agentic-rig:begin ${id} -->`;
+}
+
+export function endMarker(id) {
+  return `<!-- agentic-rig:end ${id} -->`;
+}
+
+/**
+ * Remove the agentic-rig attribution from CLAUDE.md content, wherever it
+ * is (users may add content below it), with the blank lines before it.
+ */
+export function stripAttribution(content) {
+  const lines = content.split("\n");
+  for (let i = lines.length - 2; i >= 0; i--) {
+    if (lines[i].trim() !== "---" || !ATTRIBUTION_RE.test(lines[i + 1])) continue;
+    let start = i;
+    while (start > 0 && lines[start - 1].trim() === "") start--;
+    lines.splice(start, i + 2 - start);
+    i = start;
+  }
+  return lines.join("\n").trimEnd();
+}
+
+/**
+ * Find managed regions by line index of their markers.
+ * Returns [{ id, start, end }]; unterminated regions are ignored.
+ */
+export function findManagedRegions(lines) {
+  const regions = [];
+  let open = null;
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].trim().match(MARKER_RE);
+    if (!m) continue;
+    if (m[1] === "begin") {
+      open = { id: m[2], start: i };
+    } else if (open && open.id === m[2]) {
+      regions.push({ ...open, end: i });
+      open = null;
+    }
+  }
+  return regions;
+}
+
+/**
+ * Returns the body of a managed region, or null if the region is absent.
+ */
+export function getManagedRegion(content, id) {
+  if (!content) return null;
+  const lines = content.split("\n");
+  const region = findManagedRegions(lines).find((r) => r.id === id);
+  return region ? lines.slice(region.start + 1, region.end).join("\n").trim() : null;
+}
+
+/**
+ * Remove a managed region (markers included) along with the blank line before it.
+ */
+export function removeManagedRegion(content, id) {
+  const lines = content.split("\n");
+  const region = findManagedRegions(lines).find((r) => r.id === id);
+  if (!region) return content;
+  let start = region.start;
+  if (start > 0 && lines[start - 1].trim() === "") start--;
+  lines.splice(start, region.end - start + 1);
+  return lines.join("\n");
+}
+
+/**
+ * Find `###` sections written by the user: outside managed regions and
+ * code fences. A section runs until the next heading of level 1-3, a
+ * region marker, or the end of the file.
+ * Returns [{ heading, start, end }] with `end` exclusive.
+ */
+function findUserSections(lines) {
+  const inRegion = new Set();
+  for (const r of findManagedRegions(lines)) {
+    for (let i = r.start; i <= r.end; i++) inRegion.add(i);
+  }
+
+  const sections = [];
+  let current = null;
+  let inFence = false;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line.startsWith("```")) inFence = !inFence;
+    if (inFence) continue;
+
+    const boundary = inRegion.has(i) || HEADING_RE.test(line) || MARKER_RE.test(line);
+    if (boundary && current) {
+      current.end = i;
+      current = null;
+    }
+    if (!inRegion.has(i) && /^### .+/.test(line)) {
+      current = { heading: line.slice(4).trim(), start: i, end: lines.length };
+      sections.push(current);
+    }
+  }
+  return sections;
+}
+
+/**
+ * Merge a template section body into a user section in place, keeping the
+ * user's blank lines around the body. Only missing lines are appended.
+ * Returns the appended text, or null when nothing was missing.
+ */
+function mergeIntoSection(lines, section, body) {
+  const bodyLines = lines.slice(section.start + 1, section.end);
+  let first = 0;
+  while (first < bodyLines.length && bodyLines[first].trim() === "") first++;
+  let last = bodyLines.length;
+  while (last > first && bodyLines[last - 1].trim() === "") last--;
+
+  const current = bodyLines.slice(first, last).join("\n");
+  const merged = appendMissingLines(current, body);
+  if (merged === current) return null;
+
+  const leading = first > 0 ? bodyLines.slice(0, first) : [""];
+  const trailing = last < bodyLines.length ? bodyLines.slice(last) : section.end < lines.length ? [""] : [];
+  lines.splice(section.start + 1, bodyLines.length, ...leading, ...merged.split("\n"), ...trailing);
+  return merged.slice(current.length).replace(/^\n/, "");
+}
+
+/**
+ * Take lines previously merged into user sections back out, where they are
+ * still present verbatim. `merged` is the list returned by upsertManagedRegion.
+ */
+export function removeMergedLines(content, merged = []) {
+  let lines = content.split("\n");
+  for (const { heading, text } of merged) {
+    const section = findUserSections(lines).find((s) => s.heading === heading);
+    if (!section) continue;
+    const body = lines.slice(section.start + 1, section.end).join("\n");
+    const at = body.indexOf(text);
+    if (at === -1) continue;
+    const before = body.slice(0, at).replace(/\n$/, "");
+    const updated = before + body.slice(at + text.length);
+    lines = [...lines.slice(0, section.start + 1), ...updated.split("\n"), ...lines.slice(section.end)];
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Add or replace the managed region `id` in CLAUDE.md content (or a new
+ * file titled `title`), keeping the attribution at the end.
+ * Returns { content, merged: [{ heading, text }] } where `merged` lists the
+ * text appended to user sections, so it can be taken out again.
+ */
+export function upsertManagedRegion(existing, { id, title, block }) {
+  const lines = (existing ? stripAttribution(existing) : `# ${title}`).split("\n");
+  const { preamble, sections } = splitClaudeMdSections(block.trim());
+
+  // Sections the user already has are merged there, bottom-up so indices stay valid
+  const userSections = findUserSections(lines);
+  const remaining = [];
+  const merges = [];
+  for (const s of sections) {
+    const target = userSections.find((u) => u.heading === s.heading);
+    if (target) merges.push({ target, body: s.body });
+    else remaining.push(s);
+  }
+  merges.sort((a, b) => b.target.start - a.target.start);
+  const merged = [];
+  for (const { target, body } of merges) {
+    const text = mergeIntoSection(lines, target, body);
+    if (text) merged.unshift({ heading: target.heading, text });
+  }
+
+  const regionBody = joinClaudeMdSections({ preamble, sections: remaining });
+  const regionLines = [beginMarker(id), ...(regionBody ? regionBody.split("\n") : []), endMarker(id)];
+  const region = findManagedRegions(lines).find((r) => r.id === id);
+  if (region) {
+    lines.splice(region.start, region.end - region.start + 1, ...regionLines);
+  } else {
+    while (lines.length > 0 && lines[lines.length - 1].trim() === "") lines.pop();
+    lines.push("", ...regionLines);
+  }
+
+  return { content: lines.join("\n").trimEnd() + "\n\n" + ATTRIBUTION, merged };
+}
@@ -0,0 +1,84 @@
+import { join } from "node:path";
+import { stat } from "node:fs/promises";
+import { resolveProjectRoot, readFileIfExists } from "../utils.mjs";
+import { analyzeProject, formatAnalysis, generateClaudeMdFiles, toAnalysisJson } from "../analyze.mjs";
+import { upsertManagedRegion, getManagedRegion } from "../claude-md.mjs";
+import { createBackup, restoreBackup, removeBackup } from "../backups.mjs";
+import { writeFilesAtomically } from "../transaction.mjs";
+
+/** Managed region holding the generated analysis in each CLAUDE.md. */
+const ANALYSIS_REGION_ID = "analysis";
+
+/**
+ * CLI command: agentic-rig analyze [--json] [--claude-md]
+ *
+ * Prints what agentic-rig sees in the project: manifests, project types,
+ * size, tooling, notable directories, frameworks, the package manager and
+ * runnable tasks, and in a monorepo each workspace package. With --json, prints the analysis in the
+ * stable schema documented at toAnalysisJson, for tools and the
+ * /project-setup skill to build on. With --claude-md, writes the generated
+ * CLAUDE.md, plus one per workspace package.
+ */
+export async function analyze(flags) {
+  const projectRoot = resolveProjectRoot(flags);
+  const isDir = await stat(projectRoot).then((s) => s.isDirectory(), () => false);
+  if (!isDir) {
+    console.error(`Not a directory: ${projectRoot}`);
+    process.exit(1);
+  }
+
+  const analysis = await analyzeProject(projectRoot);
+  if (flags.json) {
+    console.log(JSON.stringify(toAnalysisJson(analysis), null, 2));
+    return;
+  }
+
+  console.log(`Project analysis for ${projectRoot}\n`);
+  console.log(formatAnalysis(analysis));
+  if (flags.claudeMd) {
+    console.log();
+    await writeClaudeMdFiles(projectRoot, analysis, flags);
+    return;
+  }
+  console.log("\nFind a matching template with: agentic-rig detect");
+}
+
+/**
+ * Write the generated CLAUDE.md files, each inside the "analysis" managed
+ * region so the rest of the file is left as written.
+ */
+async function writeClaudeMdFiles(projectRoot, analysis, flags) {
+  const files = [];
+  for (const { path, title, block } of generateClaudeMdFiles(analysis)) {
+    const target = join(projectRoot, path);
+    const existing = await readFileIfExists(target);
+    const { content } = upsertManagedRegion(existing, { id: ANALYSIS_REGION_ID, title, block });
+    if (content === existing) continue;
+    const tag = existing === null ? "create" : getManagedRegion(existing, ANALYSIS_REGION_ID) === null ? "add region" : "update region";
+    files.push({ label: path, path: target, content, tag });
+  }
+  if (files.length === 0) {
+    console.log("CLAUDE.md files are up to date.");
+    return;
+  }
+
+  console.log("CLAUDE.md files to write:");
+  for (const f of files) console.log(`  ${f.label} (${f.tag})`);
+  console.log();
+  if (flags.dryRun) {
+    console.log("Dry run complete. No files written.");
+    return;
+  }
+
+  const backup = await createBackup(projectRoot, "analyze --claude-md", files.map((f) => f.label));
+  try {
+    await writeFilesAtomically(files);
+  } catch (err) {
+    await restoreBackup(projectRoot, backup);
+    await removeBackup(projectRoot, backup.id);
+    console.error(`Failed to write ${err.path}: ${err.message}`);
+    console.error("The project was restored; no changes were made.");
+    process.exit(1);
+  }
+  console.log(`Done. Wrote ${files.length} CLAUDE.md file(s); undo with \`agentic-rig rollback\`.`);
+}
@@ -0,0 +1,63 @@
+import { resolveProjectRoot } from "../utils.mjs";
+import { listBackups, removeBackup } from "../backups.mjs";
+
+const DEFAULT_KEEP = 5;
+
+/**
+ * CLI command: agentic-rig backups <subcommand>
+ *
+ * Subcommands:
+ *   list   Show the backups taken by init, install and upgrade, newest first
+ *   prune  Delete all but the newest backups (--keep <n>, default 5)
+ */
+export async function backups(flags) {
+  switch (flags.subcommand) {
+    case "list":
+      await list(flags);
+      break;
+    case "prune":
+      await prune(flags);
+      break;
+    default:
+      console.error(flags.subcommand ? `Unknown backups subcommand: ${flags.subcommand}` : "Missing backups subcommand.");
+      console.error("Usage: agentic-rig backups list");
+      console.error("       agentic-rig backups prune [--keep <n>]");
+      process.exit(1);
+  }
+}
+
+async function list(flags) {
+  const projectRoot = resolveProjectRoot(flags);
+  const all = await listBackups(projectRoot);
+  if (all.length === 0) {
+    console.log("No backups in .claude/agentic-rig/backups/.");
+    return;
+  }
+  console.log(`Backups (${all.length}, newest first):\n`);
+  for (const b of all) {
+    const created = b.files.filter((f) => !f.existed).length;
+    console.log(`  ${b.id}  ${b.command}`);
+    console.log(`    ${b.files.length - created} file(s) saved, ${created} created by the command`);
+  }
+  console.log("\nRestore with: agentic-rig rollback [--to <id>]");
+}
+
+async function prune(flags) {
+  const projectRoot = resolveProjectRoot(flags);
+  const keep = flags.keep ?? DEFAULT_KEEP;
+  if (!Number.isInteger(keep) || keep < 0) {
+    console.error("--keep must be a whole number of backups to keep.");
+    process.exit(1);
+  }
+  const all = await listBackups(projectRoot);
+  const stale = all.slice(keep);
+  if (stale.length === 0) {
+    console.log(`Nothing to prune: ${all.length} backup(s), keeping ${keep}.`);
+    return;
+  }
+  for (const b of stale) {
+    if (!flags.dryRun) await removeBackup(projectRoot, b.id);
+    console.log(`${flags.dryRun ? "Would remove" : "Removed"} ${b.id}  ${b.command}`);
+  }
+  console.log(`\nKept the newest ${keep}.`);
+}
@@ -0,0 +1,46 @@
+import { resolveProjectRoot } from "../utils.mjs";
+import { getTemplatesDir } from "../templates.mjs";
+import { resolveTemplateSources } from "../template-sources.mjs";
+import {
+  detectTemplates,
+  pickBestMatch,
+  formatDetectionResult,
+  DEFAULT_MIN_CONFIDENCE,
+} from "../detection.mjs";
+
+/**
+ * CLI command: agentic-rig detect
+ *
+ * Scores every bundled, user and source template against the project directory
+ * using each template's `detection` frontmatter.
+ */
+export async function detect(flags) {
+  const projectRoot = resolveProjectRoot(flags);
+  const minConfidence = flags.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+  if (!(minConfidence >= 0 && minConfidence <= 1)) {
+    console.error("--min-confidence must be a number from 0 to 1, e.g. 0.5.");
+    process.exit(1);
+  }
+
+  const { sources, errors } = await resolveTemplateSources(projectRoot, flags.templateSource);
+  for (const e of errors) console.error(`Warning: ${e}`);
+
+  const results = await detectTemplates(projectRoot, getTemplatesDir(), sources);
+  if (results.length === 0) {
+    console.log("No templates found.");
+    return;
+  }
+
+  console.log(`Template detection for ${projectRoot}\n`);
+  for (const r of results) {
+    console.log(formatDetectionResult(r));
+  }
+
+  const best = pickBestMatch(results, minConfidence);
+  if (best) {
+    console.log(`\nBest match: ${best.id} (${Math.round(best.score.confidence * 100)}% confidence)`);
+    console.log(`\nApply it with: agentic-rig init ${best.id}  (or: agentic-rig init --auto)`);
+  } else {
+    console.log(`\nNo template matched (need 2+ groups and >= ${Math.round(minConfidence * 100)}% confidence).`);
+  }
+}
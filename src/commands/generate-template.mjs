@@ -97,6 +97,8 @@ export async function generateTemplate(flags) {
       ? `### Project Overview\n\nGenerated from ${projectType} project analysis.\n\n### Build & Run\n\n(Customize based on your project)\n`
       : undefined,
     hooks: buildHooksFromItems(categories.hook || []),
+    guards: buildGuardsFromItems(categories.guard || []),
+    permissions: buildPermissionsFromItems(categories.permission || []),
     skills: buildSkillsPlaceholders(categories.skill || []),
     agents: buildAgentsPlaceholders(categories.agent || []),
     mcpServers: buildMcpFromItems(categories.mcp || []),
@@ -132,6 +134,32 @@ function buildHooksFromItems(hookItems) {
   return hooks;
 }
 
+/**
+ * Build guard placeholders from feedback items.
+ */
+function buildGuardsFromItems(guardItems) {
+  return guardItems.map((item) => ({
+    name: item.name,
+    paths: [`${item.name}/`],
+    reason: `Customize: ${item.name}`,
+  }));
+}
+
+/**
+ * Build permission rules from feedback items, named "<list>:<rule>".
+ */
+function buildPermissionsFromItems(permissionItems) {
+  const permissions = {};
+  for (const item of permissionItems) {
+    const at = item.name.indexOf(":");
+    if (at === -1) continue;
+    const list = item.name.slice(0, at);
+    if (!permissions[list]) permissions[list] = [];
+    permissions[list].push(item.name.slice(at + 1));
+  }
+  return permissions;
+}
+
 /**
  * Build skills placeholders from feedback items.
  */
@@ -0,0 +1,220 @@
+import { dirname } from "node:path";
+import { rm, rmdir } from "node:fs/promises";
+import { resolveProjectRoot, readFileIfExists, writeFileWithDir, fileExists } from "../utils.mjs";
+import { loadManifest, saveManifest, hookId, SETTINGS_PATH } from "../manifest.mjs";
+import { parseSettings, migrateLegacyHooks, addHook, removeHook, hasHook, SettingsParseError } from "../settings.mjs";
+import {
+  GUARD_TOOLS,
+  DEFAULT_GUARD_TOOLS,
+  checkGuard,
+  guardHook,
+  guardScriptPath,
+  renderGuardScript,
+} from "../guards.mjs";
+import {
+  loadGuardPolicy,
+  saveGuardPolicy,
+  policyEntry,
+  upsertGuard,
+  getGuardPolicyPath,
+} from "../guard-policy.mjs";
+import { scopeTarget, resolveTarget } from "../scopes.mjs";
+import { createBackup, statePaths } from "../backups.mjs";
+
+/**
+ * CLI command: agentic-rig guard <subcommand>
+ *
+ * Subcommands:
+ *   add <glob>...  Protect paths: record a guard in .claude/agentic-rig/guards.json
+ *                  and compile it into a hook script and settings.json entry
+ *   list           Show the guards in the policy and whether they are installed
+ *   remove <name>  Remove a guard from the policy, its script and its hook
+ */
+export async function guard(flags) {
+  switch (flags.subcommand) {
+    case "add":
+      await add(flags);
+      break;
+    case "list":
+      await list(flags);
+      break;
+    case "remove":
+      await remove(flags);
+      break;
+    default:
+      console.error(flags.subcommand ? `Unknown guard subcommand: ${flags.subcommand}` : "Missing guard subcommand.");
+      console.error("Usage: agentic-rig guard add <glob>... --reason <text> [--name <name>] [--tool Write,Edit,Bash]");
+      console.error("       agentic-rig guard list");
+      console.error("       agentic-rig guard remove <name>");
+      process.exit(1);
+  }
+}
+
+/**
+ * Guard name from its first glob: "config/secrets/**" -> "config-secrets".
+ */
+function nameFromGlob(glob) {
+  return glob.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "guard";
+}
+
+/**
+ * Read a settings file with legacy hooks migrated. Exits when it cannot be
+ * parsed rather than overwrite it.
+ */
+async function readSettings(projectRoot, path = SETTINGS_PATH) {
+  let settings;
+  try {
+    settings = parseSettings(await readFileIfExists(resolveTarget(projectRoot, path)), path);
+  } catch (err) {
+    if (!(err instanceof SettingsParseError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+  }
+  migrateLegacyHooks(settings);
+  return settings;
+}
+
+async function writeSettings(projectRoot, settings, path = SETTINGS_PATH) {
+  await writeFileWithDir(resolveTarget(projectRoot, path), JSON.stringify(settings, null, 2));
+}
+
+async function add(flags) {
+  const projectRoot = resolveProjectRoot(flags);
+  const paths = flags.positionals;
+  if (paths.length === 0) {
+    console.error("Missing glob. Example: agentic-rig guard add \"config/secrets/**\" --reason \"Secrets are managed by ops\"");
+    process.exit(1);
+  }
+  const entry = policyEntry({
+    name: flags.name || nameFromGlob(paths[0]),
+    paths,
+    tools: flags.tools.length > 0 ? flags.tools : DEFAULT_GUARD_TOOLS,
+    reason: flags.reason,
+  });
+  const problems = checkGuard(entry);
+  if (problems.length > 0) {
+    for (const p of problems) console.error(`Guard "${entry.name}" ${p}`);
+    if (!flags.reason) console.error("Pass the reason shown when a call is blocked with --reason <text>.");
+    if (problems.some((p) => p.includes("tools"))) console.error(`Tools: ${GUARD_TOOLS.join(", ")}`);
+    process.exit(1);
+  }
+
+  const policy = await loadGuardPolicy(projectRoot);
+  if (policy.guards.some((g) => g.name === entry.name)) {
+    console.error(`A guard named "${entry.name}" already exists. Pick another with --name, or remove it first.`);
+    process.exit(1);
+  }
+
+  const scriptPath = guardScriptPath(entry.name);
+  const hook = guardHook(entry);
+  console.log(`Guard "${entry.name}": ${entry.paths.join(", ")} (${entry.tools.join(", ")})`);
+  console.log(`  ${entry.reason}`);
+  console.log(`  write ${scriptPath}`);
+  console.log(`  add PreToolUse hook (${hook.matcher}) to ${SETTINGS_PATH}`);
+  if (flags.dryRun) {
+    console.log("\nDry run complete. No files written.");
+    return;
+  }
+
+  const settings = await readSettings(projectRoot);
+  const backup = await createBackup(projectRoot, `guard add ${entry.name}`, [scriptPath, SETTINGS_PATH, ...statePaths(projectRoot, ["guards"])]);
+  console.log(`\nBacked up to .claude/agentic-rig/backups/${backup.id}/ (undo with \`agentic-rig rollback\`).`);
+  await writeFileWithDir(resolveTarget(projectRoot, scriptPath), renderGuardScript(entry));
+  addHook(settings, "PreToolUse", hook);
+  await writeSettings(projectRoot, settings);
+  upsertGuard(policy, entry);
+  await saveGuardPolicy(projectRoot, policy);
+  console.log(`\nAdded guard "${entry.name}" to .claude/agentic-rig/guards.json.`);
+}
+
+async function list(flags) {
+  const projectRoot = resolveProjectRoot(flags);
+  const policy = await loadGuardPolicy(projectRoot);
+  if (policy.guards.length === 0) {
+    const manifest = await loadManifest(projectRoot);
+    console.log("No guards in .claude/agentic-rig/guards.json.");
+    if (manifest?.artifacts.some((a) => a.type === "guard")) {
+      console.log("This project's template guards were applied before the policy file existed; run `agentic-rig upgrade` to record them.");
+    } else {
+      console.log("Add one with: agentic-rig guard add <glob> --reason <text>");
+    }
+    return;
+  }
+
+  const settingsByPath = new Map();
+  let missing = 0;
+  console.log(`Guards (${policy.guards.length}):\n`);
+  for (const g of policy.guards) {
+    const settingsPath = scopeTarget(g.scope, "settings");
+    if (!settingsByPath.has(settingsPath)) settingsByPath.set(settingsPath, await readSettings(projectRoot, settingsPath));
+    const installed = hasHook(settingsByPath.get(settingsPath), "PreToolUse", guardHook(g, g.scope)) &&
+      (await fileExists(resolveTarget(projectRoot, guardScriptPath(g.name, g.scope))));
+    if (!installed) missing++;
+    const source = (g.template ? `template ${g.template}` : "project") + (g.scope ? `, ${g.scope} scope` : "");
+    console.log(`  ${g.name.padEnd(24)} ${source}${installed ? "" : "  [not installed]"}`);
+    console.log(`    paths:  ${g.paths.join(", ")}`);
+    console.log(`    tools:  ${(g.tools || DEFAULT_GUARD_TOOLS).join(", ")}`);
+    console.log(`    reason: ${g.reason}`);
+  }
+  if (missing > 0) {
+    console.log(`\n${missing} guard(s) are missing their script or settings hook.`);
+  }
+}
+
+async function remove(flags) {
+  const projectRoot = resolveProjectRoot(flags);
+  const [name] = flags.positionals;
+  if (!name) {
+    console.error("Missing guard name. See `agentic-rig guard list`.");
+    process.exit(1);
+  }
+  const policy = await loadGuardPolicy(projectRoot);
+  const entry = policy.guards.find((g) => g.name === name);
+  if (!entry) {
+    console.error(`No guard named "${name}" in .claude/agentic-rig/guards.json.`);
+    process.exit(1);
+  }
+
+  const scriptPath = guardScriptPath(name, entry.scope);
+  const hook = guardHook(entry, entry.scope);
+  const settingsPath = scopeTarget(entry.scope, "settings");
+  console.log(`Guard "${name}":`);
+  console.log(`  remove ${scriptPath}`);
+  console.log(`  remove PreToolUse hook (${hook.matcher}) from ${settingsPath}`);
+  if (entry.template) console.log(`  exclude it from template "${entry.template}" so upgrade doesn't restore it`);
+  if (flags.dryRun) {
+    console.log("\nDry run complete. No files changed.");
+    return;
+  }
+
+  const settings = await readSettings(projectRoot, settingsPath);
+  const backup = await createBackup(projectRoot, `guard remove ${name}`, [
+    scriptPath,
+    settingsPath,
+    ...statePaths(projectRoot, entry.template ? ["guards", "manifest"] : ["guards"]),
+  ]);
+  console.log(`\nBacked up to .claude/agentic-rig/backups/${backup.id}/ (undo with \`agentic-rig rollback\`).`);
+  const filePath = resolveTarget(projectRoot, scriptPath);
+  await rm(filePath, { force: true });
+  await rmdir(dirname(filePath)).catch(() => {});
+  if (removeHook(settings, "PreToolUse", hook)) await writeSettings(projectRoot, settings, settingsPath);
+
+  if (entry.template) {
+    // Stop tracking the template's guard and keep it out on upgrade, as if deselected at init
+    const manifest = await loadManifest(projectRoot);
+    if (manifest) {
+      const ids = new Set([`guard:${name}`, hookId("PreToolUse", hook)]);
+      manifest.artifacts = manifest.artifacts.filter((a) => !ids.has(a.id));
+      manifest.createdFiles = (manifest.createdFiles || []).filter((f) => f !== scriptPath);
+      manifest.excluded = [...new Set([...(manifest.excluded || []), `guard:${name}`])];
+      await saveManifest(projectRoot, manifest);
+    }
+  }
+
+  policy.guards = policy.guards.filter((g) => g.name !== name);
+  await saveGuardPolicy(projectRoot, policy);
+  console.log(`\nRemoved guard "${name}".`);
+  if (!(await fileExists(getGuardPolicyPath(projectRoot)))) {
+    console.log("No guards left; removed .claude/agentic-rig/guards.json.");
+  }
+}
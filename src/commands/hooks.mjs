@@ -0,0 +1,227 @@
+import { join } from "node:path";
+import { resolveProjectRoot, readFileIfExists } from "../utils.mjs";
+import { resolveTemplateChain, getTemplatesDir } from "../templates.mjs";
+import { composeTemplates } from "../compose.mjs";
+import { resolveTemplateSources } from "../template-sources.mjs";
+import {
+  getTemplateVariables,
+  resolveVariables,
+  applyVariables,
+  parseSetArgs,
+  loadAnswers,
+} from "../variables.mjs";
+import { loadManifest, SETTINGS_PATH } from "../manifest.mjs";
+import { parseSettings, migrateLegacyHooks, SettingsParseError } from "../settings.mjs";
+import { DEFAULT_GUARD_TOOLS, GUARD_HOOKS_DIR } from "../guards.mjs";
+import { excludeItems } from "../selection.mjs";
+import { createSandbox, removeSandbox, simulateToolCall, projectRelativePath } from "../hook-runner.mjs";
+import { SCOPES, scopeTarget, resolveTarget } from "../scopes.mjs";
+
+const FILE_TOOLS = ["Write", "Edit", "MultiEdit", "NotebookEdit"];
+
+/**
+ * CLI command: agentic-rig hooks <subcommand>
+ *
+ * Subcommands:
+ *   test  Simulate tool calls against the hooks in the project, local and
+ *         user settings files
+ */
+export async function hooks(flags) {
+  switch (flags.subcommand) {
+    case "test":
+      await test(flags);
+      break;
+    default:
+      console.error(flags.subcommand ? `Unknown hooks subcommand: ${flags.subcommand}` : "Missing hooks subcommand.");
+      console.error("Usage: agentic-rig hooks test --tool <tool> --path <path> [--path <path>...]");
+      console.error("       agentic-rig hooks test --tool Bash --command <command>");
+      console.error("       agentic-rig hooks test --suite [template...]");
+      process.exit(1);
+  }
+}
+
+/**
+ * Run the configured PreToolUse/PostToolUse hooks against synthetic tool
+ * calls in a temporary sandbox and report what fired. With --suite, run
+ * the expected block/allow cases of the applied templates' guards.
+ */
+async function test(flags) {
+  const projectRoot = resolveProjectRoot(flags);
+  const settings = await readHookSettings(projectRoot);
+
+  // Claude Code ignores legacy flat entries, so test what it actually runs
+  const legacy = migrateLegacyHooks(parseSettings(await readFileIfExists(join(projectRoot, SETTINGS_PATH))));
+  if (legacy > 0) {
+    console.log(`Warning: ${SETTINGS_PATH} has ${legacy} legacy hook entr${legacy === 1 ? "y" : "ies"} that Claude Code ignores.`);
+    console.log("Run `agentic-rig upgrade` to migrate them; they are not tested.\n");
+  }
+
+  if (flags.suite) {
+    await runSuite(projectRoot, settings, flags);
+    return;
+  }
+
+  const tool = flags.tool;
+  if (!tool) {
+    console.error("Missing --tool. Example: agentic-rig hooks test --tool Edit --path config/settings_data.json");
+    process.exit(1);
+  }
+  let calls;
+  let paths = [];
+  if (tool === "Bash") {
+    if (!flags.toolCommand) {
+      console.error("--tool Bash needs --command <command>.");
+      process.exit(1);
+    }
+    calls = [{ tool, command: flags.toolCommand }];
+  } else {
+    if (flags.paths.length === 0) {
+      console.error(`--tool ${tool} needs at least one --path <path>.`);
+      process.exit(1);
+    }
+    paths = flags.paths.map((path) => projectRelativePath(projectRoot, path));
+    const outside = flags.paths.filter((_, i) => paths[i] === null);
+    if (outside.length > 0) {
+      for (const path of outside) console.error(`--path ${path} is not inside the project (${projectRoot}).`);
+      process.exit(1);
+    }
+    calls = paths.map((path) => ({ tool, path }));
+  }
+
+  const sandbox = await createSandbox(projectRoot, paths);
+  try {
+    for (const call of calls) {
+      const { blocked, results } = await simulateToolCall(settings, call, sandbox);
+      console.log(`${call.tool} ${call.path ?? call.command}`);
+      if (results.length === 0) console.log("  No hooks matched.");
+      for (const r of results) printResult(r);
+      console.log(`  => ${blocked ? "blocked" : "allowed"}\n`);
+    }
+  } finally {
+    await removeSandbox(sandbox);
+  }
+}
+
+/**
+ * The hooks Claude Code runs in the project: those of the user, project
+ * and local settings files combined, as settings with only `hooks`.
+ * Exits when one cannot be parsed.
+ */
+async function readHookSettings(projectRoot) {
+  const hooks = {};
+  for (const scope of SCOPES) {
+    const path = scopeTarget(scope, "settings");
+    let settings;
+    try {
+      settings = parseSettings(await readFileIfExists(resolveTarget(projectRoot, path)), path);
+    } catch (err) {
+      if (!(err instanceof SettingsParseError)) throw err;
+      console.error(err.message);
+      process.exit(1);
+    }
+    for (const [event, groups] of Object.entries(settings.hooks || {})) {
+      if (Array.isArray(groups)) hooks[event] = [...(hooks[event] || []), ...groups];
+    }
+  }
+  return { hooks };
+}
+
+function printResult(r) {
+  console.log(`  ${r.event} (${r.matcher || "all"}): ${r.command}`);
+  if (r.skipped) {
+    console.log("    skipped (runs the project's tools, which the sandbox doesn't have)");
+    return;
+  }
+  const status = r.timedOut ? "timed out" : `exit ${r.exitCode}${r.blocking ? ", blocks the call" : ""}`;
+  console.log(`    ${status}`);
+  const message = (r.stderr.trim() || r.stdout.trim());
+  for (const line of message.split("\n").filter(Boolean).slice(0, 5)) {
+    console.log(`    | ${line}`);
+  }
+}
+
+/**
+ * Run every guard's expected cases against the configured PreToolUse
+ * hooks, once per tool the guard covers. Templates are the ones named on
+ * the command line, or those recorded in the manifest (minus the items
+ * excluded at init). Exits 1 when a case fails.
+ */
+async function runSuite(projectRoot, settings, flags) {
+  const manifest = await loadManifest(projectRoot);
+  const templateIds = flags.positionals.length > 0
+    ? flags.positionals
+    : manifest?.templateIds || (manifest ? [manifest.template.id] : []);
+  if (templateIds.length === 0) {
+    console.error("No applied templates found. Run `agentic-rig init <template>` first, or name templates:");
+    console.error("  agentic-rig hooks test --suite <template>");
+    process.exit(1);
+  }
+
+  const { sources, errors: sourceErrors } = await resolveTemplateSources(projectRoot, flags.templateSource);
+  for (const e of sourceErrors) console.error(`Warning: ${e}`);
+  let chain;
+  try {
+    chain = await resolveTemplateChain(templateIds, getTemplatesDir(), projectRoot, sources);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  let template = composeTemplates(chain).template;
+
+  const variableDefs = getTemplateVariables(template.meta);
+  if (variableDefs.length > 0 || flags.set.length > 0) {
+    const { values, errors } = await resolveVariables(variableDefs, {
+      set: parseSetArgs(flags.set),
+      saved: { ...(await loadAnswers(projectRoot)), ...(manifest?.variables || {}) },
+    });
+    if (errors.length > 0) {
+      for (const e of errors) console.error(e);
+      console.error("Pass values with --set <name>=<value>.");
+      process.exit(1);
+    }
+    template = applyVariables(template, values);
+  }
+  if (flags.positionals.length === 0 && manifest) {
+    template = excludeItems(template, manifest.excluded || []);
+  }
+
+  const cases = [];
+  for (const guard of template.guards || []) {
+    for (const tool of guard.tools || DEFAULT_GUARD_TOOLS) {
+      for (const path of guard.tests?.block || []) cases.push({ guard, tool, path, expectBlock: true });
+      for (const path of guard.tests?.allow || []) cases.push({ guard, tool, path, expectBlock: false });
+    }
+  }
+  console.log(`Guard suite: ${template.meta.name} (${cases.length} case${cases.length === 1 ? "" : "s"})\n`);
+  if (cases.length === 0) {
+    console.log("No guard test cases defined.");
+    return;
+  }
+
+  const sandbox = await createSandbox(projectRoot, [...new Set(cases.map((c) => c.path))]);
+  let failed = 0;
+  try {
+    for (const c of cases) {
+      const call = FILE_TOOLS.includes(c.tool) ? { tool: c.tool, path: c.path } : { tool: c.tool, command: `cat ${c.path}` };
+      const { blocked, results } = await simulateToolCall(settings, call, sandbox, { events: ["PreToolUse"] });
+      const pass = blocked === c.expectBlock;
+      if (!pass) failed++;
+      const outcome = pass
+        ? (blocked ? "blocked" : "allowed")
+        : `expected ${c.expectBlock ? "blocked" : "allowed"}, was ${blocked ? "blocked" : "allowed"}`;
+      console.log(`  ${pass ? "PASS" : "FAIL"}  ${c.guard.name.padEnd(24)} ${`${c.tool} ${c.path}`.padEnd(50)} ${outcome}`);
+      if (!pass) {
+        for (const r of results.filter((r) => r.blocking || r.exitCode !== 0)) printResult(r);
+      }
+    }
+  } finally {
+    await removeSandbox(sandbox);
+  }
+
+  console.log(`\n${cases.length - failed} passed, ${failed} failed`);
+  if (failed > 0) {
+    console.log(`A guard that never blocks may be missing from ${SETTINGS_PATH}, or its script from ${GUARD_HOOKS_DIR}/`);
+    console.log(`(or ${scopeTarget("user", "settings")} and ${scopeTarget("user", "hooks")}/ for user-scope guards).`);
+    process.exit(1);
+  }
+}
@@ -1,37 +1,105 @@
 import { join } from "node:path";
 import {
   resolveProjectRoot,
-  writeFileWithDir,
   fileExists,
   readFileIfExists,
-  mergeSettingsJson,
-  mergeMcpJson,
   promptYesNo,
+  createPrompter,
 } from "../utils.mjs";
 import {
   listTemplates,
-  findTemplate,
+  resolveTemplateChain,
   getTemplatesDir,
+  TemplateParseError,
 } from "../templates.mjs";
+import { composeTemplates, formatConflict } from "../compose.mjs";
+import {
+  mergeSettingsJson,
+  migrateLegacyHooks,
+  parseSettings,
+  SettingsParseError,
+  findDeniedPermissions,
+  PERMISSION_LISTS,
+} from "../settings.mjs";
+import { addGuardHooks, guardScriptPath, renderGuardScript } from "../guards.mjs";
+import { loadGuardPolicy, saveGuardPolicy, syncTemplateGuards, findGuardCollisions } from "../guard-policy.mjs";
+import {
+  parseMcpConfig,
+  findMcpConflicts,
+  applyMcpResolutions,
+  migrateLegacyMcp,
+  legacyMcpContent,
+  mergeMcpJson,
+  renameMcpServers,
+  describeServer,
+  MCP_RESOLUTIONS,
+} from "../mcp.mjs";
+import { upsertManagedRegion, getManagedRegion } from "../claude-md.mjs";
+import { unifiedDiff } from "../diff.mjs";
+import {
+  listPlanItems,
+  formatPlanItems,
+  parseSelection,
+  filterPlanItems,
+  excludeItems,
+  assignScopes,
+  splitByScope,
+  itemTarget,
+} from "../selection.mjs";
+import { DEFAULT_SCOPE, USER_CONFIG_PATH, scopeTarget, resolveTarget, scopedMcpServers, checkScope } from "../scopes.mjs";
+import { resolveTemplateSources } from "../template-sources.mjs";
+import {
+  getTemplateVariables,
+  resolveVariables,
+  applyVariables,
+  parseSetArgs,
+  loadAnswers,
+  saveAnswers,
+} from "../variables.mjs";
 import {
   generateSessionId,
   createFeedbackRecord,
   saveFeedback,
 } from "../feedback.mjs";
+import {
+  collectArtifacts,
+  createManifest,
+  loadManifest,
+  saveManifest,
+  readProjectState,
+  markAdded,
+  carryOverManifest,
+  permissionKey,
+  MCP_PATH,
+  LEGACY_MCP_PATH,
+} from "../manifest.mjs";
+import { createBackup, restoreBackup, removeBackup, statePaths } from "../backups.mjs";
+import { writeFilesAtomically } from "../transaction.mjs";
 import { getAllTemplateScores } from "../scoring.mjs";
-
-const ATTRIBUTION = `
----
-> Configured with [\`agentic-rig\`](https://npmjs.com/package/agentic-rig)
-`.trimStart();
+import {
+  detectTemplates,
+  pickBestMatch,
+  formatDetectionResult,
+  collectSignals,
+  scoreDetection,
+  DEFAULT_MIN_CONFIDENCE,
+} from "../detection.mjs";
+
+/** What to do with an existing skill or agent file that differs from the template's. */
+const FILE_RESOLUTIONS = ["keep", "overwrite", "new"];
+const NEW_FILE_SUFFIX = ".agentic-rig-new";
 
 export async function init(flags) {
   const projectRoot = resolveProjectRoot(flags);
   const templatesDir = getTemplatesDir();
 
+  // External template sources: --template-source plus configured sources
+  const { sources, errors: sourceErrors } = await resolveTemplateSources(projectRoot, flags.templateSource);
+  for (const e of sourceErrors) console.error(`Warning: ${e}`);
+
   // --list: show available templates and exit
   if (flags.list) {
-    const templates = await listTemplates(templatesDir, projectRoot);
+    const templates = await listTemplates(templatesDir, projectRoot, sources);
     if (templates.length === 0) {
       console.log("No templates found.");
       return;
@@ -49,110 +117,263 @@ export async function init(flags) {
     for (const t of templates) {
       const score = scores.get(t.id);
       const tierTag = score ? ` [${score.tier}]` : "";
-      const sourceTag = t.source === "user" ? " (user)" : "";
+      const sourceTag = t.source === "user" ? " (user)" : t.namespace ? ` (${t.namespace})` : "";
       console.log(`  ${t.id.padEnd(20)} ${t.description}${tierTag}${sourceTag}`);
     }
     console.log(`\nUsage: agentic-rig init <template>`);
     return;
   }
 
+  // --auto: pick the best-matching template from detection rules
+  let templateId = flags.templateId;
+  let detectionScore = null;
+  if (!templateId && flags.auto) {
+    const minConfidence = flags.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+    if (!(minConfidence >= 0 && minConfidence <= 1)) {
+      console.error("--min-confidence must be a number from 0 to 1, e.g. 0.5.");
+      process.exit(1);
+    }
+    const results = await detectTemplates(projectRoot, templatesDir, sources);
+    console.log("Template detection:\n");
+    for (const r of results) {
+      console.log(formatDetectionResult(r));
+    }
+    const best = pickBestMatch(results, minConfidence);
+    if (!best) {
+      console.error(`\nNo template matched (need 2+ groups and >= ${Math.round(minConfidence * 100)}% confidence).`);
+      console.error("Use --list to see available templates and pass one explicitly.");
+      process.exit(1);
+    }
+    templateId = best.id;
+    detectionScore = best.score;
+  }
+
   // Require a template ID
-  if (!flags.templateId) {
-    console.error("Missing template ID. Use --list to see available templates.");
+  if (!templateId) {
+    console.error("Missing template ID. Use --list to see available templates, or --auto to detect one.");
+    process.exit(1);
+  }
+  if (flags.scope && checkScope(flags.scope)) {
+    console.error(checkScope(flags.scope));
     process.exit(1);
   }
 
-  // Load the template
-  const template = await findTemplate(flags.templateId, templatesDir, projectRoot);
-  if (!template) {
-    console.error(`Template not found: ${flags.templateId}`);
-    console.error("Use --list to see available templates.");
+  // Load the template(s): "a,b,c" plus any `extends:` bases, composed in order
+  const templateIds = templateId.split(",").map((id) => id.trim()).filter(Boolean);
+  let chain;
+  try {
+    chain = await resolveTemplateChain(templateIds, templatesDir, projectRoot, sources);
+  } catch (err) {
+    console.error(err.message);
+    if (!(err instanceof TemplateParseError)) {
+      console.error("Use --list to see available templates.");
+    }
     process.exit(1);
   }
+  const composed = composeTemplates(chain);
+  const { conflicts } = composed;
+  let template = composed.template;
+
+  // Score an explicitly chosen template too, so feedback records real confidence
+  if (!detectionScore) {
+    detectionScore = await scoreDetection(template.meta.detection, await collectSignals(projectRoot));
+  }
 
   const targetDir = projectRoot;
   const dryRun = flags.dryRun;
   const force = flags.force;
 
   console.log(`\nTemplate: ${template.meta.name}`);
+  console.log(`Match:    ${Math.round(detectionScore.confidence * 100)}% (${detectionScore.matchedGroups}/${detectionScore.totalGroups} detection groups)`);
+  if (chain.length > 1) {
+    console.log(`Composed: ${chain.map((t) => t.meta.id).join(" -> ")}`);
+  }
   console.log(`Target:   ${targetDir}`);
   if (dryRun) console.log(`Mode:     dry-run (no files will be written)\n`);
   else console.log();
 
-  const filesToWrite = [];
-
-  // 1. CLAUDE.md
-  if (template.claude_md) {
-    const claudeMdPath = join(targetDir, "CLAUDE.md");
-    const existing = await readFileIfExists(claudeMdPath);
-    let content;
-
-    if (existing) {
-      // Merge: append template content after existing, before attribution
-      const cleaned = existing.replace(/\n?---\n> Configured with \[`agentic-rig`\].*[\s]*$/, "").trimEnd();
-      content = cleaned + "\n\n" + template.claude_md.trim() + "\n\n" + ATTRIBUTION;
-    } else {
-      content = `# ${template.meta.name}\n\n` + template.claude_md.trim() + "\n\n" + ATTRIBUTION;
+  // Resolve {{variables}}: --set, then saved answers, then prompt, then default
+  const variableDefs = getTemplateVariables(template.meta);
+  let variableValues = {};
+  if (variableDefs.length > 0 || flags.set.length > 0) {
+    const { values, errors } = await resolveVariables(variableDefs, {
+      set: parseSetArgs(flags.set),
+      saved: await loadAnswers(projectRoot),
+      interactive: Boolean(process.stdin.isTTY) && !force,
+    });
+    if (errors.length > 0) {
+      for (const e of errors) console.error(e);
+      console.error("Pass values with --set <name>=<value>.");
+      process.exit(1);
     }
-
-    filesToWrite.push({ path: claudeMdPath, content, label: "CLAUDE.md" });
+    variableValues = values;
+    template = applyVariables(template, values);
+    console.log("Variables:");
+    for (const [name, value] of Object.entries(values)) {
+      console.log(`  ${name} = ${value}`);
+    }
+    console.log();
   }
 
-  // 2. .claude/settings.json (hooks)
-  if (template.hooks && Object.keys(template.hooks).length > 0) {
-    const settingsPath = join(targetDir, ".claude", "settings.json");
-    const existing = await readFileIfExists(settingsPath);
-    const content = mergeSettingsJson(existing, template.hooks);
-    filesToWrite.push({ path: settingsPath, content, label: ".claude/settings.json" });
+  // --only / --exclude: drop categories or items before anything is offered
+  const planItems = listPlanItems(template);
+  let offered = planItems;
+  const filtered = new Set();
+  const only = flags.only || [];
+  const exclude = flags.exclude || [];
+  if (only.length > 0 || exclude.length > 0) {
+    const result = filterPlanItems(planItems, { only, exclude });
+    if (result.error) {
+      console.error(result.error);
+      process.exit(1);
+    }
+    for (const f of result.unmatched) console.error(`Warning: filter "${f}" matches no item`);
+    offered = planItems.filter((i) => result.selected.has(i.id));
+    for (const i of planItems) if (!result.selected.has(i.id)) filtered.add(i.id);
+    if (filtered.size > 0) {
+      console.log("Filtered out (--only/--exclude):");
+      const lines = formatPlanItems(planItems.filter((i) => filtered.has(i.id))).split("\n");
+      console.log(lines.map((l) => (l ? `  ${l}` : l)).join("\n"));
+      console.log();
+    }
   }
 
-  // 3. .claude/.mcp.json (MCP servers)
-  if (template.mcp_servers && Object.keys(template.mcp_servers).length > 0) {
-    const mcpPath = join(targetDir, ".claude", ".mcp.json");
-    const existing = await readFileIfExists(mcpPath);
-    const content = mergeMcpJson(existing, template.mcp_servers);
-    filesToWrite.push({ path: mcpPath, content, label: ".claude/.mcp.json" });
+  // --interactive: pick items from the numbered plan (C#, H#, G#, P#, S#, A#, M#, E#)
+  let selected = new Set(offered.map((i) => i.id));
+  if (flags.interactive && offered.length > 0) {
+    selected = await promptSelection(offered);
+    if (!selected) {
+      console.log("Aborted.");
+      return;
+    }
+    console.log(`\nSelected ${selected.size} of ${offered.length} item(s).\n`);
+  }
+  template = excludeItems(template, excludedKeys(planItems, selected));
+  if (selected.size === 0) {
+    console.log("Nothing to generate.");
+    if (!dryRun) await captureFeedback(projectRoot, template, detectionScore, planItems, selected, filtered);
+    return;
   }
 
-  // 4. Skills
-  if (template.skills && Object.keys(template.skills).length > 0) {
-    for (const [name, skillContent] of Object.entries(template.skills)) {
-      const skillPath = join(targetDir, ".claude", "skills", name, "SKILL.md");
-      filesToWrite.push({ path: skillPath, content: skillContent, label: `.claude/skills/${name}/SKILL.md` });
+  // A template guard must not take over one of the project's own guards
+  const collisions = findGuardCollisions(await loadGuardPolicy(projectRoot), template);
+  if (collisions.length > 0) {
+    for (const name of collisions) {
+      console.error(`The template's guard "${name}" has the same name as one of the project's own guards.`);
     }
+    console.error("Rename yours (agentic-rig guard remove <name>, then guard add --name <other>), or leave the template's out with --exclude guard:<name>.");
+    process.exit(1);
   }
 
-  // 5. Agents
-  if (template.agents && Object.keys(template.agents).length > 0) {
-    for (const [name, agentContent] of Object.entries(template.agents)) {
-      const agentPath = join(targetDir, ".claude", "agents", `${name}.md`);
-      filesToWrite.push({ path: agentPath, content: agentContent, label: `.claude/agents/${name}.md` });
-    }
+  // Where each item goes: --scope, else the template's `scopes`, else the project
+  const selectedItems = planItems.filter((i) => selected.has(i.id));
+  const scopeById = assignScopes(selectedItems, template.meta.scopes, flags.scope);
+  const parts = splitByScope(template, selectedItems, scopeById);
+  const userConfigPath = resolveTarget(targetDir, USER_CONFIG_PATH);
+  const userConfig = Object.entries(parts).some(([scope, part]) => scope !== DEFAULT_SCOPE && Object.keys(part.mcp_servers || {}).length > 0)
+    ? await readUserConfig(userConfigPath)
+    : {};
+
+  const filesToWrite = [];
+  const artifacts = [];
+  const deniedPermissions = [];
+  const mcpKept = [];
+  const mcpRenames = {};
+  const userConfigScopes = [];
+  for (const [scope, part] of Object.entries(parts)) {
+    const planned = await planScope(targetDir, scope, addGuardHooks(part, scope), {
+      userConfig,
+      dryRun,
+      force,
+      interactive: Boolean(process.stdin.isTTY) || flags.interactive,
+    });
+    filesToWrite.push(...planned.files);
+    artifacts.push(...collectArtifacts(planned.template, scope));
+    deniedPermissions.push(...planned.denied);
+    mcpKept.push(...planned.mcpKept);
+    Object.assign(mcpRenames, planned.mcpRenames);
+    if (scope !== DEFAULT_SCOPE && Object.keys(planned.template.mcp_servers || {}).length > 0) userConfigScopes.push(scope);
+  }
+  if (userConfigScopes.length > 0) {
+    filesToWrite.push({
+      label: USER_CONFIG_PATH,
+      path: userConfigPath,
+      content: JSON.stringify(userConfig, null, 2),
+      scope: userConfigScopes.join(", "),
+      mergeable: true,
+    });
+  }
+  template = renameMcpServers(excludeItems(template, [
+    ...deniedPermissions.map((p) => permissionKey(p.list, p.rule)),
+    ...mcpKept.map((name) => `mcp:${name}`),
+  ]), mcpRenames);
+
+  // Skills and agents already in the project are compared with the template's
+  for (const f of filesToWrite.filter((f) => f.kind)) {
+    const existing = await readFileIfExists(f.path);
+    if (existing === null) continue;
+    f.status = existing === f.content ? "unchanged" : "modified";
+    f.tag = f.status === "unchanged" ? "unchanged" : "edited locally: keep, overwrite or write alongside";
   }
 
   // Show plan
   console.log("Files to generate:");
   for (const f of filesToWrite) {
     const exists = await fileExists(f.path);
-    const isMergeable = f.label === "CLAUDE.md" ||
-                        f.label === ".claude/settings.json" ||
-                        f.label === ".claude/.mcp.json";
-    const tag = exists ? (isMergeable ? " (merge)" : " (overwrite)") : " (create)";
-    console.log(`  ${f.label}${tag}`);
+    const tag = f.tag ? ` (${f.tag})` : exists ? (f.mergeable ? " (merge)" : " (overwrite)") : " (create)";
+    const where = f.scope !== DEFAULT_SCOPE ? ` [${f.scope}]` : "";
+    console.log(`  ${f.label}${tag}${where}`);
   }
   console.log();
 
+  // Dry run: which file each item goes to
+  if (dryRun) {
+    console.log("Items:");
+    for (const item of selectedItems) {
+      const target = itemTarget(item, scopeById.get(item.id));
+      if (target) console.log(`  ${item.id.padEnd(4)} ${item.name.padEnd(32)} -> ${target} (${scopeById.get(item.id)})`);
+    }
+    console.log();
+  }
+
+  // --diff: show exactly what each file will become
+  if (flags.diff) {
+    for (const f of filesToWrite) {
+      const existing = await readFileIfExists(f.path);
+      const diff = unifiedDiff(existing ?? "", f.content ?? "", {
+        oldLabel: existing === null ? "/dev/null" : `a/${f.label}`,
+        newLabel: f.content === null ? "/dev/null" : `b/${f.label}`,
+      });
+      console.log(diff || `(no changes to ${f.label})`);
+      console.log();
+    }
+  }
+
+  // Report composition conflicts before anything is written
+  if (conflicts.length > 0) {
+    console.log(`Composition conflicts (${conflicts.length}):`);
+    for (const c of conflicts) {
+      console.log(`  ${formatConflict(c)}`);
+    }
+    console.log();
+    if (!dryRun && !force) {
+      console.error("Resolve the conflicts in the templates, or re-run with --force to let later templates win.");
+      process.exit(1);
+    }
+  }
+
   // Dry run stops here
   if (dryRun) {
     console.log("Dry run complete. No files written.");
     return;
   }
 
-  // Check for existing .claude/ directory — prompt if not --force
+  // Check for existing .claude/ directory — prompt if not --force.
+  // Existing skills and agents get a choice of their own below.
   const claudeDirExists = await fileExists(join(targetDir, ".claude"));
   if (claudeDirExists && !force) {
     let hasExisting = false;
-    for (const f of filesToWrite) {
+    for (const f of filesToWrite.filter((f) => !f.kind)) {
       if (await fileExists(f.path)) {
         hasExisting = true;
         break;
@@ -167,14 +388,84 @@ export async function init(flags) {
     }
   }
 
-  // Write files
-  let written = 0;
-  for (const f of filesToWrite) {
-    await writeFileWithDir(f.path, f.content);
-    written++;
+  // Skills and agents edited locally: keep, overwrite, or write the
+  // template's version alongside. Unchanged ones need no write.
+  const modified = filesToWrite.filter((f) => f.status === "modified");
+  const fileResolutions = modified.length > 0
+    ? await resolveFileConflicts(modified, { force, interactive: Boolean(process.stdin.isTTY) || flags.interactive })
+    : {};
+  for (const f of filesToWrite.filter((f) => f.status)) {
+    const action = f.status === "unchanged" ? "keep" : fileResolutions[f.label];
+    if (action === "keep") f.skip = true;
+    if (action === "new") {
+      f.label += NEW_FILE_SUFFIX;
+      f.path += NEW_FILE_SUFFIX;
+    }
   }
+  const writes = filesToWrite.filter((f) => !f.skip);
 
-  console.log(`Done. Generated ${written} file(s) from template "${template.meta.id}".`);
+  // Snapshot what already exists, so the manifest records only what init adds
+  const before = await readProjectState(projectRoot, artifacts);
+  const createdFiles = [];
+  for (const f of writes) {
+    if (f.content !== null && !(await fileExists(f.path))) createdFiles.push(f.label);
+  }
+
+  const rigState = statePaths(projectRoot, variableDefs.length > 0 ? ["manifest", "guards", "answers"] : ["manifest", "guards"]);
+  const backup = await createBackup(projectRoot, `init ${templateIds.join(",")}`, [...writes.map((f) => f.label), ...rigState]);
+  console.log(`Backed up to .claude/agentic-rig/backups/${backup.id}/ (undo with \`agentic-rig rollback\`).\n`);
+
+  // Record what was applied so `upgrade` can merge future template versions
+  // and `revert` can remove exactly what was added
+  const applied = markAdded(artifacts, before).map((a) => {
+    const claudeMdFile = a.type === "claude_md" && filesToWrite.find((f) => f.label === a.path);
+    return claudeMdFile ? { ...a, file: claudeMdFile.content, merged: claudeMdFile.merged } : a;
+  });
+  const manifest = createManifest({
+    templateIds,
+    chain,
+    template,
+    variables: variableValues,
+    excluded: [
+      ...excludedKeys(planItems, selected),
+      ...mcpKept.map((name) => `mcp:${name}`),
+      ...deniedPermissions.map((p) => permissionKey(p.list, p.rule)),
+    ],
+    mcpRenames,
+    scope: flags.scope,
+    artifacts: applied,
+    createdFiles,
+  });
+  const recorded = carryOverManifest(await loadManifest(projectRoot), manifest);
+  const policy = await loadGuardPolicy(projectRoot);
+  syncTemplateGuards(policy, template, recorded);
+
+  // Write the files all or nothing (null content removes an emptied legacy
+  // file), then the records; on any failure put everything back from the backup
+  try {
+    await writeFilesAtomically(writes);
+    if (variableDefs.length > 0) {
+      await saveAnswers(projectRoot, variableValues);
+    }
+    await saveManifest(projectRoot, recorded);
+    await saveGuardPolicy(projectRoot, policy);
+  } catch (err) {
+    await restoreBackup(projectRoot, backup);
+    await removeBackup(projectRoot, backup.id);
+    console.error(`Failed to write ${err.path || "the generated config"}: ${err.message}`);
+    console.error("The project was restored; no changes were made.");
+    process.exit(1);
+  }
+
+  const skipped = filesToWrite.length - writes.length;
+  const alongside = writes.filter((f) => f.label.endsWith(NEW_FILE_SUFFIX));
+  for (const f of alongside) {
+    console.log(`Wrote the template's version next to your edited file: ${f.label}`);
+  }
+  if (alongside.length > 0) console.log();
+
+  const left = skipped > 0 ? ` (${skipped} existing file(s) left as they were)` : "";
+  console.log(`Done. Generated ${writes.length} file(s) from template "${template.meta.id}"${left}.`);
   const steps = [
     "Review CLAUDE.md and adjust to your preferences",
     "Check .claude/settings.json hooks",
@@ -198,105 +489,314 @@ export async function init(flags) {
     console.log("\nBrowse more at https://skills.sh");
   }
 
-  // Capture feedback (CLI mode: all items are auto-approved)
-  try {
-    const feedbackItems = buildFeedbackItems(template);
-    const record = createFeedbackRecord({
-      sessionId: generateSessionId(),
-      templateId: template.meta.id,
-      templateConfidence: 1,
-      projectType: template.meta.id,
-      frameworks: [],
-      projectSize: "unknown",
-      source: "cli",
-      items: feedbackItems,
-    });
-    await saveFeedback(record, projectRoot);
-  } catch {
-    // Feedback capture is best-effort; never block the user
-  }
+  await captureFeedback(projectRoot, template, detectionScore, planItems, selected, filtered);
 }
 
 /**
- * Build feedback items from a template's generated content.
- * In CLI mode, all items are auto-approved.
+ * Plan the files for the items going to one scope. `userConfig` is the
+ * parsed ~/.claude.json, shared by the local and user scopes; their MCP
+ * servers are merged into it in place.
+ * Returns { template, files, denied, mcpKept, mcpRenames }, where
+ * `template` is the part without denied permission rules and kept MCP
+ * servers, and each file is { label, path, content, scope, kind?, merged?, tag?, mergeable? }.
  */
-function buildFeedbackItems(template) {
-  const items = [];
+async function planScope(projectRoot, scope, template, { userConfig, dryRun, force, interactive }) {
+  const files = [];
+  const add = (label, content, extra = {}) =>
+    files.push({ label, path: resolveTarget(projectRoot, label), content, scope, ...extra });
 
+  // 1. CLAUDE.md (CLAUDE.local.md, ~/.claude/CLAUDE.md)
   if (template.claude_md) {
-    items.push({
-      id: "C1",
-      category: "claude_md",
-      name: "claude_md",
-      status: "approved",
-      source: "template",
+    const label = scopeTarget(scope, "claude_md");
+    const existing = await readFileIfExists(resolveTarget(projectRoot, label));
+    const { content, merged } = upsertManagedRegion(existing, {
+      id: template.meta.id,
+      title: template.meta.name,
+      block: template.claude_md,
     });
+    const hasRegion = getManagedRegion(existing, template.meta.id) !== null;
+    add(label, content, { merged, mergeable: true, tag: hasRegion ? "update region" : undefined });
   }
 
-  if (template.hooks) {
-    for (const [event, hookList] of Object.entries(template.hooks)) {
-      if (!Array.isArray(hookList)) continue;
-      for (const hook of hookList) {
-        items.push({
-          id: `H-${event}-${hook.matcher || "all"}`,
-          category: "hook",
-          name: hook.matcher || "all",
-          event,
-          status: "approved",
-          source: "template",
-        });
-      }
+  // 2. Settings (hooks and permission rules), leaving out allow/ask rules
+  // the settings file denies so an existing deny is never weakened
+  const settingsLabel = scopeTarget(scope, "settings");
+  const existingSettings = await readFileIfExists(resolveTarget(projectRoot, settingsLabel));
+  const settings = readSettingsOrExit(existingSettings, settingsLabel);
+  const denied = findDeniedPermissions(settings, template.permissions);
+  if (denied.length > 0) {
+    template = excludeItems(template, denied.map((p) => permissionKey(p.list, p.rule)));
+    for (const p of denied) {
+      console.log(`Note: not adding "${p.rule}" to permissions.${p.list} in ${settingsLabel}; it is denied.`);
     }
+    console.log();
+  }
+  const hasPermissions = PERMISSION_LISTS.some((list) => template.permissions?.[list]?.length > 0);
+  if (Object.keys(template.hooks || {}).length > 0 || hasPermissions) {
+    const content = mergeSettingsJson(existingSettings, template.hooks, template.permissions);
+    const legacy = migrateLegacyHooks(settings);
+    const tag = legacy > 0 ? `merge, migrate ${legacy} legacy hook entr${legacy === 1 ? "y" : "ies"}` : undefined;
+    add(settingsLabel, content, { mergeable: true, tag });
   }
 
-  if (template.skills) {
-    for (const name of Object.keys(template.skills)) {
-      items.push({
-        id: `S-${name}`,
-        category: "skill",
-        name,
-        status: "approved",
-        source: "template",
-      });
+  // 3. Guard scripts run by the guard hooks
+  for (const guard of template.guards || []) {
+    add(guardScriptPath(guard.name, scope), renderGuardScript(guard));
+  }
+
+  // 4. MCP servers
+  let mcpKept = [];
+  let mcpRenames = {};
+  const resolveConflicts = async (existing, servers) => {
+    const mcpConflicts = findMcpConflicts({ mcpServers: existing }, servers);
+    if (mcpConflicts.length === 0) return servers;
+    const taken = new Set([...Object.keys(existing || {}), ...Object.keys(servers)]);
+    const resolutions = await resolveMcpConflicts(mcpConflicts, { templateId: template.meta.id, taken, dryRun, force, interactive });
+    const resolved = applyMcpResolutions(servers, resolutions);
+    mcpKept = resolved.kept;
+    mcpRenames = resolved.renames;
+    return resolved.servers;
+  };
+  if (scope === DEFAULT_SCOPE) {
+    // .mcp.json, taking over servers from the legacy .claude/.mcp.json
+    const mcpRoot = parseMcpConfig(await readFileIfExists(join(projectRoot, MCP_PATH)));
+    const legacyMcp = parseMcpConfig(await readFileIfExists(join(projectRoot, LEGACY_MCP_PATH)));
+    const mcpMigration = migrateLegacyMcp(mcpRoot, legacyMcp);
+    if (template.mcp_servers) {
+      template = { ...template, mcp_servers: await resolveConflicts(mcpRoot.mcpServers, template.mcp_servers) };
     }
+    const migratedMcp = mcpMigration.moved.length + mcpMigration.shadowed.length > 0;
+    if (Object.keys(template.mcp_servers || {}).length > 0 || migratedMcp) {
+      const content = mergeMcpJson(JSON.stringify(mcpRoot), template.mcp_servers || {});
+      const verb = (await fileExists(join(projectRoot, MCP_PATH))) ? "merge" : "create";
+      const tag = mcpMigration.moved.length > 0 ? `${verb}, move ${mcpMigration.moved.length} server(s) from ${LEGACY_MCP_PATH}` : undefined;
+      add(MCP_PATH, content, { mergeable: true, tag });
+    }
+    if (migratedMcp) {
+      const content = legacyMcpContent(legacyMcp);
+      add(LEGACY_MCP_PATH, content, { tag: content === null ? "remove" : "move servers out" });
+    }
+    for (const name of mcpMigration.shadowed) {
+      console.log(`Note: dropping "${name}" from ${LEGACY_MCP_PATH}; ${MCP_PATH} already defines it differently.\n`);
+    }
+  } else if (Object.keys(template.mcp_servers || {}).length > 0) {
+    // ~/.claude.json: under the project's entry (local) or at the top level (user)
+    const servers = await resolveConflicts(scopedMcpServers(userConfig, scope, projectRoot), template.mcp_servers);
+    template = { ...template, mcp_servers: servers };
+    Object.assign(scopedMcpServers(userConfig, scope, projectRoot, { create: true }), servers);
   }
 
-  if (template.agents) {
-    for (const name of Object.keys(template.agents)) {
-      items.push({
-        id: `A-${name}`,
-        category: "agent",
-        name,
-        status: "approved",
-        source: "template",
-      });
+  // 5. Skills
+  for (const [name, skillContent] of Object.entries(template.skills || {})) {
+    add(`${scopeTarget(scope, "skills")}/${name}/SKILL.md`, skillContent, { kind: "skill" });
+  }
+
+  // 6. Agents
+  for (const [name, agentContent] of Object.entries(template.agents || {})) {
+    add(`${scopeTarget(scope, "agents")}/${name}.md`, agentContent, { kind: "agent" });
+  }
+
+  return { template, files, denied, mcpKept, mcpRenames };
+}
+
+/**
+ * Parse a settings file's content. Exits when it cannot be parsed rather
+ * than overwrite it.
+ */
+function readSettingsOrExit(content, label) {
+  try {
+    return parseSettings(content, label);
+  } catch (err) {
+    if (!(err instanceof SettingsParseError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Read ~/.claude.json for adding local or user MCP servers. Exits when it
+ * cannot be parsed rather than overwrite it.
+ */
+async function readUserConfig(path) {
+  const content = await readFileIfExists(path);
+  try {
+    const config = content ? JSON.parse(content) : {};
+    if (config && typeof config === "object" && !Array.isArray(config)) return config;
+  } catch {
+    // Reported below
+  }
+  console.error(`${USER_CONFIG_PATH} is not a valid JSON object. Fix it, or add the MCP servers with --scope project.`);
+  process.exit(1);
+}
+
+/**
+ * Ask which plan items to generate until the answer parses.
+ * Returns the set of selected item IDs, or null to cancel.
+ */
+async function promptSelection(items) {
+  console.log(formatPlanItems(items));
+  console.log();
+  const prompter = createPrompter();
+  try {
+    for (;;) {
+      const answer = await prompter.ask(
+        'Generate which items? ("all", "all except H2,M1", "C1-C3,S1", "none", "detail G1", "cancel")',
+        "all"
+      );
+      if (answer === null) return null;
+      const result = parseSelection(answer, items);
+      switch (result.action) {
+        case "select":
+          return result.selected;
+        case "cancel":
+          return null;
+        case "detail":
+          console.log(`\n${result.item.id} ${result.item.name}\n\n${result.item.detail}\n`);
+          break;
+        default:
+          console.error(result.message);
+      }
     }
+  } finally {
+    prompter.close();
   }
+}
 
-  if (template.mcp_servers) {
-    for (const name of Object.keys(template.mcp_servers)) {
-      items.push({
-        id: `M-${name}`,
-        category: "mcp",
-        name,
-        status: "approved",
-        source: "template",
-      });
+/**
+ * Decide what to do with each MCP server whose name is taken by a different
+ * definition: keep the existing one, replace it, or rename the template's.
+ * Prompts in a terminal or with --interactive; otherwise keeps them, or
+ * replaces them with --force.
+ * Returns { name: { action, newName } }.
+ */
+async function resolveMcpConflicts(conflicts, { templateId, taken, dryRun, force, interactive }) {
+  console.log(`MCP server conflicts (${conflicts.length}):`);
+  for (const c of conflicts) {
+    console.log(`  ${c.name}`);
+    console.log(`    existing: ${describeServer(c.existing)}`);
+    console.log(`    template: ${describeServer(c.template)}`);
+  }
+  console.log();
+
+  const resolutions = {};
+  if (force || dryRun || !interactive) {
+    for (const c of conflicts) resolutions[c.name] = { action: force ? "replace" : "keep" };
+    if (force) console.log("Replacing the existing definitions (--force).\n");
+    else if (dryRun) console.log("Keeping the existing definitions (you will be asked when not in dry-run mode).\n");
+    else console.log("Keeping the existing definitions. Re-run in a terminal to choose, or with --force to replace them.\n");
+    return resolutions;
+  }
+
+  const prompter = createPrompter();
+  try {
+    for (const c of conflicts) {
+      // Input that ends early keeps the remaining existing definitions
+      let action = null;
+      while (!action) {
+        const answer = await prompter.ask(`MCP server "${c.name}": ${MCP_RESOLUTIONS.join(", ")}?`, "keep");
+        action = answer === null ? "keep" : MCP_RESOLUTIONS.find((r) => r === answer.toLowerCase());
+        if (!action) console.error(`Answer one of: ${MCP_RESOLUTIONS.join(", ")}`);
+      }
+      if (action !== "rename") {
+        resolutions[c.name] = { action };
+        continue;
+      }
+      const suggested = `${c.name}-${templateId}`;
+      let newName = null;
+      for (;;) {
+        const answer = await prompter.ask("New name", suggested);
+        if (answer === null || !taken.has(answer)) {
+          newName = answer;
+          break;
+        }
+        console.error(`"${answer}" is already taken.`);
+      }
+      if (newName === null) {
+        resolutions[c.name] = { action: "keep" };
+        continue;
+      }
+      taken.add(newName);
+      resolutions[c.name] = { action, newName };
     }
+  } finally {
+    prompter.close();
   }
+  console.log();
+  return resolutions;
+}
 
-  if (template.external_skills) {
-    for (const skill of template.external_skills) {
-      items.push({
-        id: `E-${skill.name}`,
-        category: "external_skill",
-        name: skill.name,
-        status: "approved",
-        source: "template",
-      });
+/**
+ * Decide what to do with each existing skill or agent file that differs
+ * from the template's version: keep the edited file, overwrite it, or write the template's
+ * version next to it as <file>.agentic-rig-new. Prompts in a terminal or
+ * with --interactive; otherwise writes alongside, or overwrites with --force.
+ * Returns { label: action }.
+ */
+async function resolveFileConflicts(files, { force, interactive }) {
+  const resolutions = {};
+  if (force || !interactive) {
+    for (const f of files) resolutions[f.label] = force ? "overwrite" : "new";
+    if (force) console.log("Overwriting the edited skills and agents (--force).\n");
+    else console.log(`Writing the template's skills and agents next to the edited ones as *${NEW_FILE_SUFFIX}.\n`);
+    return resolutions;
+  }
+
+  const prompter = createPrompter();
+  try {
+    for (const f of files) {
+      // Input that ends early writes the remaining files alongside
+      let action = null;
+      while (!action) {
+        const answer = await prompter.ask(`${f.label} was edited: ${FILE_RESOLUTIONS.join(", ")}?`, "new");
+        action = answer === null ? "new" : FILE_RESOLUTIONS.find((r) => r === answer.toLowerCase());
+        if (!action) console.error(`Answer one of: ${FILE_RESOLUTIONS.join(", ")}`);
+      }
+      resolutions[f.label] = action;
     }
+  } finally {
+    prompter.close();
   }
+  console.log();
+  return resolutions;
+}
 
-  return items;
+function excludedKeys(items, selected) {
+  return items.filter((i) => !selected.has(i.id)).map((i) => i.key);
+}
+
+/**
+ * Save a feedback record for this run. Best-effort; never blocks the user.
+ */
+async function captureFeedback(projectRoot, template, detectionScore, planItems, selected, filtered) {
+  try {
+    const record = createFeedbackRecord({
+      sessionId: generateSessionId(),
+      templateId: template.meta.id,
+      templateConfidence: detectionScore.confidence,
+      projectType: template.meta.id,
+      frameworks: [],
+      projectSize: "unknown",
+      source: "cli",
+      items: buildFeedbackItems(planItems, selected, filtered),
+    });
+    await saveFeedback(record, projectRoot);
+  } catch {
+    // Feedback capture is best-effort; never block the user
+  }
+}
+
+/**
+ * Build feedback items from the plan items.
+ * Selected items are approved; items deselected with --interactive are
+ * skipped; items dropped by --only/--exclude are filtered.
+ */
+function buildFeedbackItems(planItems, selected, filtered) {
+  return planItems.map((item) => ({
+    id: item.id,
+    category: item.category,
+    name: item.name,
+    event: item.event,
+    status: filtered.has(item.id) ? "filtered" : selected.has(item.id) ? "approved" : "skipped",
+    source: "template",
+  }));
 }
@@ -2,17 +2,24 @@ import { join } from "node:path";
 import { readdir } from "node:fs/promises";
 import {
   resolveProjectRoot,
-  getSkillsDir,
   getPackageBundledDir,
   copyDir,
   dirExists,
   listFiles,
   promptYesNo,
 } from "../utils.mjs";
+import { scopeTarget, resolveTarget, checkScope } from "../scopes.mjs";
+import { createBackup } from "../backups.mjs";
 
 export async function install(flags) {
   const projectRoot = resolveProjectRoot(flags);
-  const skillsDir = getSkillsDir(projectRoot);
+  if (flags.scope && checkScope(flags.scope)) {
+    console.error(checkScope(flags.scope));
+    process.exit(1);
+  }
+  // --scope user installs for every project in ~/.claude/skills/
+  const skillsPath = scopeTarget(flags.scope, "skills");
+  const skillsDir = resolveTarget(projectRoot, skillsPath);
   const bundledDir = getPackageBundledDir();
 
   // Read all subdirectories under the bundled skills/ dir
@@ -47,6 +54,13 @@ export async function install(flags) {
     }
   }
 
+  const paths = [];
+  for (const name of bundledSkills) {
+    for (const f of await listFiles(join(bundledDir, name))) paths.push(`${skillsPath}/${name}/${f}`);
+  }
+  const backup = await createBackup(projectRoot, `install${flags.scope ? ` --scope ${flags.scope}` : ""}`, paths);
+  console.log(`Backed up to .claude/agentic-rig/backups/${backup.id}/ (undo with \`agentic-rig rollback\`).`);
+
   // Copy each bundled skill
   let totalFiles = 0;
   for (const name of bundledSkills) {
@@ -0,0 +1,239 @@
+import { dirname } from "node:path";
+import { homedir } from "node:os";
+import { rm } from "node:fs/promises";
+import { resolveProjectRoot, writeFileWithDir, removeEmptyDirs } from "../utils.mjs";
+import {
+  getManagedRegion,
+  removeManagedRegion,
+  removeMergedLines,
+  findManagedRegions,
+  stripAttribution,
+} from "../claude-md.mjs";
+import {
+  loadManifest,
+  getManifestPath,
+  readProjectState,
+  currentContent,
+  canonicalContent,
+  describeArtifact,
+  mcpServersFor,
+  MCP_PATH,
+  LEGACY_MCP_PATH,
+} from "../manifest.mjs";
+import { DEFAULT_SCOPE, USER_CONFIG_PATH, resolveTarget } from "../scopes.mjs";
+import { removeHook, removePermission, SettingsParseError } from "../settings.mjs";
+import { loadGuardPolicy, saveGuardPolicy } from "../guard-policy.mjs";
+import { createBackup, statePaths } from "../backups.mjs";
+
+/**
+ * CLI command: agentic-rig revert (also: agentic-rig uninstall --generated)
+ *
+ * Undoes what `init` generated, driven by .claude/agentic-rig/applied.json.
+ * Only artifacts recorded as added by agentic-rig are removed: hook entries,
+ * permission rules, MCP servers (from .mcp.json, the legacy
+ * .claude/.mcp.json or ~/.claude.json), CLAUDE.md managed regions, and
+ * guard, skill and agent files, in whichever scope they were written to.
+ * Entries that existed before init are left alone, and artifacts edited
+ * since init are kept unless --force is passed.
+ */
+export async function revert(flags) {
+  const projectRoot = resolveProjectRoot(flags);
+  const manifest = await loadManifest(projectRoot);
+  if (!manifest) {
+    console.log("Nothing to revert: no .claude/agentic-rig/applied.json found.");
+    return;
+  }
+
+  const added = manifest.artifacts.filter((a) => a.added);
+  let state;
+  try {
+    state = await readProjectState(projectRoot, added);
+  } catch (err) {
+    if (!(err instanceof SettingsParseError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+  }
+  const created = new Set(manifest.createdFiles || []);
+
+  const removals = [];
+  const kept = [];
+  for (const artifact of added) {
+    const status = revertStatus(artifact, state);
+    if (status === "absent") continue;
+    if (status === "modified" && !flags.force) {
+      kept.push(artifact);
+    } else {
+      removals.push(artifact);
+    }
+  }
+
+  if (flags.dryRun) console.log("Mode: dry-run (no files will be written)\n");
+
+  if (removals.length === 0 && kept.length === 0) {
+    console.log("Nothing to revert: the generated config has already been removed.");
+  }
+  if (removals.length > 0) {
+    console.log("Removing:");
+    for (const a of removals) console.log(`  ${describeArtifact(a)}`);
+    console.log();
+  }
+  if (kept.length > 0) {
+    console.log("Keeping (edited since init, use --force to remove):");
+    for (const a of kept) console.log(`  ${describeArtifact(a)}`);
+    console.log();
+  }
+
+  if (flags.dryRun) {
+    console.log("Dry run complete. No files changed.");
+    return;
+  }
+
+  const backup = await createBackup(projectRoot, "revert", [...removals.flatMap(revertPaths), ...statePaths(projectRoot, ["manifest", "guards"])]);
+  console.log(`Backed up to .claude/agentic-rig/backups/${backup.id}/ (undo with \`agentic-rig rollback\`).\n`);
+
+  const touched = new Set();
+  for (const artifact of removals) {
+    switch (artifact.type) {
+      case "hook":
+        removeHook(state.settingsFiles.get(artifact.path), artifact.event, JSON.parse(artifact.content));
+        touched.add(artifact.path);
+        break;
+      case "permission":
+        removePermission(state.settingsFiles.get(artifact.path), artifact.list, artifact.content);
+        touched.add(artifact.path);
+        break;
+      case "mcp_server":
+        if ((artifact.scope || DEFAULT_SCOPE) !== DEFAULT_SCOPE) {
+          delete mcpServersFor(artifact, state)[artifact.name];
+          touched.add(USER_CONFIG_PATH);
+          break;
+        }
+        // Manifests written before the move to the root .mcp.json point at the legacy file
+        for (const [relPath, mcp] of [[MCP_PATH, state.mcp], [LEGACY_MCP_PATH, state.legacyMcp]]) {
+          if (!mcp.mcpServers?.[artifact.name]) continue;
+          delete mcp.mcpServers[artifact.name];
+          touched.add(relPath);
+        }
+        break;
+      case "claude_md": {
+        const content = state.files.get(artifact.path);
+        state.files.set(artifact.path, removeManagedRegion(removeMergedLines(content, artifact.merged), artifact.region));
+        touched.add(artifact.path);
+        break;
+      }
+      default: {
+        const filePath = resolveTarget(projectRoot, artifact.path);
+        await rm(filePath, { force: true });
+        // Remove the skill, skills, agents or hooks directories it leaves empty
+        await removeEmptyDirs(dirname(filePath), artifact.path.startsWith("~/") ? homedir() : projectRoot);
+        console.log(`Removed ${artifact.path}`);
+      }
+    }
+  }
+
+  for (const [path, settings] of state.settingsFiles) {
+    if (touched.has(path)) await writeOrRemoveJson(projectRoot, path, settings, created);
+  }
+  if (touched.has(USER_CONFIG_PATH)) {
+    // Claude Code's own config: write it back, never remove it
+    await writeFileWithDir(resolveTarget(projectRoot, USER_CONFIG_PATH), JSON.stringify(state.userConfig, null, 2));
+    console.log(`Updated ${USER_CONFIG_PATH}`);
+  }
+  for (const [relPath, mcp] of [[MCP_PATH, state.mcp], [LEGACY_MCP_PATH, state.legacyMcp]]) {
+    if (!touched.has(relPath)) continue;
+    if (mcp.mcpServers && Object.keys(mcp.mcpServers).length === 0) {
+      delete mcp.mcpServers;
+    }
+    await writeOrRemoveJson(projectRoot, relPath, mcp, created);
+  }
+  // Of the files read, only CLAUDE.md files are edited in place
+  for (const [path, content] of state.files) {
+    if (!touched.has(path)) continue;
+    const generated = removals.find((a) => a.type === "claude_md" && a.path === path);
+    await writeClaudeMd(projectRoot, path, content, created.has(path) ? generatedHeading(generated.file) : null);
+  }
+
+  // Guards still in place stay in the policy, as do the project's own
+  const removedGuards = new Set(removals.filter((a) => a.type === "guard").map((a) => a.name));
+  const policy = await loadGuardPolicy(projectRoot);
+  policy.guards = policy.guards.filter((g) => !g.template || !removedGuards.has(g.name));
+  await saveGuardPolicy(projectRoot, policy);
+
+  await rm(getManifestPath(projectRoot), { force: true });
+  console.log(`Done. Reverted ${removals.length} generated item(s).`);
+}
+
+/**
+ * The files removing an artifact may write, for the backup.
+ */
+function revertPaths(artifact) {
+  if (artifact.type !== "mcp_server") return [artifact.path];
+  return (artifact.scope || DEFAULT_SCOPE) !== DEFAULT_SCOPE ? [USER_CONFIG_PATH] : [MCP_PATH, LEGACY_MCP_PATH];
+}
+
+/**
+ * Whether an added artifact is still in the project as generated.
+ * Returns "unchanged", "modified" or "absent".
+ */
+function revertStatus(artifact, state) {
+  if (artifact.type === "mcp_server" && (artifact.scope || DEFAULT_SCOPE) !== DEFAULT_SCOPE && !state.userConfig) {
+    // ~/.claude.json cannot be parsed: leave it alone
+    return "absent";
+  }
+  if (artifact.type === "claude_md") {
+    const region = getManagedRegion(state.files.get(artifact.path) ?? null, artifact.region);
+    if (region === null) return "absent";
+    return region === getManagedRegion(artifact.file, artifact.region) ? "unchanged" : "modified";
+  }
+  const ours = currentContent(artifact, state);
+  if (ours === null) return "absent";
+  return canonicalContent(artifact.type, ours) === canonicalContent(artifact.type, artifact.content)
+    ? "unchanged"
+    : "modified";
+}
+
+/**
+ * Write a JSON config back, or delete it when agentic-rig created it and
+ * nothing is left in it.
+ */
+async function writeOrRemoveJson(projectRoot, relPath, value, created) {
+  const filePath = resolveTarget(projectRoot, relPath);
+  if (created.has(relPath) && Object.keys(value).length === 0) {
+    await rm(filePath, { force: true });
+    console.log(`Removed ${relPath}`);
+  } else {
+    await writeFileWithDir(filePath, JSON.stringify(value, null, 2));
+    console.log(`Updated ${relPath}`);
+  }
+}
+
+/**
+ * The `# Title` line agentic-rig wrote at the top of a CLAUDE.md it
+ * created, from the file as generated, or null.
+ */
+function generatedHeading(file) {
+  const first = (file || "").split("\n")[0];
+  return /^# \S/.test(first) ? first : null;
+}
+
+/**
+ * Write a CLAUDE.md file back once no managed region is left without the
+ * attribution and, in a file agentic-rig created, without the generated
+ * `heading`. The file is deleted when nothing else remains.
+ */
+async function writeClaudeMd(projectRoot, relPath, content, heading) {
+  const filePath = resolveTarget(projectRoot, relPath);
+  let remaining = content;
+  if (findManagedRegions(content.split("\n")).length === 0) {
+    remaining = stripAttribution(content);
+    const lines = remaining.split("\n");
+    if (heading && lines[0].trimEnd() === heading) remaining = lines.slice(1).join("\n").replace(/^\s*\n/, "");
+  }
+  if (heading && remaining.trim() === "") {
+    await rm(filePath, { force: true });
+    console.log(`Removed ${relPath}`);
+  } else {
+    await writeFileWithDir(filePath, remaining.trimEnd() + "\n");
+    console.log(`Updated ${relPath}`);
+  }
+}
@@ -0,0 +1,49 @@
+import { resolveProjectRoot } from "../utils.mjs";
+import { listBackups, findBackup, restoreBackup, removeBackup } from "../backups.mjs";
+
+/**
+ * CLI command: agentic-rig rollback [--to <id>]
+ *
+ * Restores the files the last writing command (`init`, `install`,
+ * `upgrade`, `revert`, `guard add`, ...) changed from its backup. With --to, rolls back every command
+ * from the newest through that backup, newest first, so the project is as
+ * it was before that command ran. Restored backups are deleted, so a
+ * second rollback goes one step further back.
+ */
+export async function rollback(flags) {
+  const projectRoot = resolveProjectRoot(flags);
+  const backups = await listBackups(projectRoot);
+  if (backups.length === 0) {
+    console.log("Nothing to roll back: no backups in .claude/agentic-rig/backups/.");
+    return;
+  }
+
+  let steps = [backups[0]];
+  if (flags.to) {
+    const { backup, error } = findBackup(backups, flags.to);
+    if (error) {
+      console.error(error);
+      process.exit(1);
+    }
+    steps = backups.slice(0, backups.indexOf(backup) + 1);
+  }
+
+  if (flags.dryRun) console.log("Mode: dry-run (no files will be written)\n");
+  for (const backup of steps) {
+    console.log(`${backup.id}  ${backup.command}`);
+    for (const f of backup.files) {
+      console.log(`  ${f.existed ? "restore" : "remove "} ${f.path}`);
+    }
+    console.log();
+  }
+  if (flags.dryRun) {
+    console.log("Dry run complete. No files changed.");
+    return;
+  }
+
+  for (const backup of steps) {
+    const { restored, removed } = await restoreBackup(projectRoot, backup);
+    await removeBackup(projectRoot, backup.id);
+    console.log(`Rolled back ${backup.command} (${backup.id}): restored ${restored.length}, removed ${removed.length} file(s).`);
+  }
+}
@@ -1,12 +1,15 @@
 import { dirname, join } from "node:path";
 import { fileURLToPath } from "node:url";
 import { readFile, readdir } from "node:fs/promises";
-import { analyzeProject, generateClaudeMd, diffStrings } from "../analyze.mjs";
+import { analyzeProject, formatAnalysis, generateClaudeMd } from "../analyze.mjs";
+import { unifiedDiff } from "../diff.mjs";
 import { loadAllFeedback, generateInsights } from "../feedback.mjs";
 import { readFileIfExists } from "../utils.mjs";
+import { checkTemplateSecurity } from "../template-validator.mjs";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const AGENT_RIG_ROOT = join(__dirname, "..", "..");
+const MAX_DIFF_LINES = 80;
 
 /**
  * CLI command: agentic-rig self-improve
@@ -22,11 +25,7 @@ export async function selfImprove(flags) {
   const analysis = await analyzeProject(AGENT_RIG_ROOT);
 
   console.log("Project Analysis:");
-  console.log(`  Type:       ${analysis.projectTypes.join(", ") || "unknown"}`);
-  console.log(`  Size:       ${analysis.size} (${analysis.fileCount} files)`);
-  console.log(`  Frameworks: ${analysis.frameworks.length > 0 ? analysis.frameworks.join(", ") : "none"}`);
-  console.log(`  Tooling:    ${analysis.tooling.length > 0 ? analysis.tooling.join(", ") : "none"}`);
-  console.log(`  Dirs:       ${analysis.directories.join(", ")}`);
+  console.log(formatAnalysis(analysis));
   console.log();
 
   // Step 2: Generate what CLAUDE.md would look like from analysis
@@ -37,25 +36,27 @@ export async function selfImprove(flags) {
 
   if (currentClaudeMd) {
     console.log("CLAUDE.md Comparison:");
-    const diff = diffStrings(currentClaudeMd, generated);
-    const additions = diff.filter((d) => d.type === "add");
-    const removals = diff.filter((d) => d.type === "remove");
+    const diff = unifiedDiff(currentClaudeMd, generated, {
+      oldLabel: "CLAUDE.md (current)",
+      newLabel: "CLAUDE.md (generated)",
+    });
 
-    if (additions.length === 0 && removals.length === 0) {
+    if (!diff) {
       console.log("  No significant differences detected.");
     } else {
-      if (additions.length > 0) {
-        console.log(`\n  Potential additions (${additions.length} lines):`);
-        for (const d of additions.slice(0, 15)) {
-          console.log(`    + ${d.line}`);
-        }
-        if (additions.length > 15) {
-          console.log(`    ... and ${additions.length - 15} more`);
-        }
+      const lines = diff.split("\n");
+      const additions = lines.filter((l) => l.startsWith("+") && !l.startsWith("+++")).length;
+      const removals = lines.filter((l) => l.startsWith("-") && !l.startsWith("---")).length;
+      console.log(`  ${additions} line(s) only in generated, ${removals} only in current.`);
+      if (removals > 0) {
+        console.log("  (Lines only in current may be custom content — review before removing)");
       }
-      if (removals.length > 0) {
-        console.log(`\n  Lines in current but not in generated (${removals.length}):`);
-        console.log("  (These may be custom content — review before removing)");
+      console.log();
+      for (const line of lines.slice(0, MAX_DIFF_LINES)) {
+        console.log(`  ${line}`);
+      }
+      if (lines.length > MAX_DIFF_LINES) {
+        console.log(`  ... and ${lines.length - MAX_DIFF_LINES} more diff lines`);
       }
     }
   } else {
@@ -131,20 +132,8 @@ export async function selfImprove(flags) {
     );
     for (const file of templateFiles) {
       const content = await readFile(join(templatesDir, file), "utf8");
-      if (!content.includes("Security Notes")) {
-        suggestions.push(`Template ${file} is missing a "Security Notes" section`);
-      }
-      const hasEnvGuard = content.includes(".env") && content.includes("BLOCKED") && content.includes("exit 2");
-      if (!hasEnvGuard) {
-        suggestions.push(`Template ${file} is missing a .env PreToolUse guard hook`);
-      }
-      const hasLockGuard = content.includes("lock") && content.includes("package manager") && content.includes("exit 2");
-      if (!hasLockGuard) {
-        suggestions.push(`Template ${file} is missing a lock file PreToolUse guard hook`);
-      }
-      const hasBuildGuard = (content.includes("dist/") || content.includes("build/") || content.includes("min.js")) && content.includes("BLOCKED") && content.includes("exit 2");
-      if (!hasBuildGuard) {
-        suggestions.push(`Template ${file} is missing a build artifact PreToolUse guard hook`);
+      for (const { message } of checkTemplateSecurity(content)) {
+        suggestions.push(`Template ${file} is ${message}`);
       }
     }
   } catch {
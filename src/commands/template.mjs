@@ -0,0 +1,181 @@
+import { relative, resolve, isAbsolute } from "node:path";
+import { rm } from "node:fs/promises";
+import { resolveProjectRoot, dirExists } from "../utils.mjs";
+import { getTemplatesDir, getUserTemplatesDir, listTemplates } from "../templates.mjs";
+import { validatePath, formatDiagnostic } from "../template-validator.mjs";
+import { loadConfig, saveConfig } from "../config.mjs";
+import {
+  classifySource,
+  parseSourceSpec,
+  normalizeSourceName,
+  materializeSource,
+  getSourceCacheDir,
+  checkSourceName,
+} from "../template-sources.mjs";
+
+/**
+ * CLI command: agentic-rig template <subcommand>
+ *
+ * Subcommands:
+ *   validate [path]  Check template files for authoring mistakes
+ *   source <action>  Manage external template sources (add, list, remove, update)
+ */
+export async function template(flags) {
+  switch (flags.subcommand) {
+    case "validate":
+      await validate(flags);
+      break;
+    case "source":
+      await source(flags);
+      break;
+    default:
+      console.error(flags.subcommand ? `Unknown template subcommand: ${flags.subcommand}` : "Missing template subcommand.");
+      console.error("Usage: agentic-rig template validate [path] [--strict]");
+      console.error("       agentic-rig template source <add|list|remove|update> [source] [--name <name>]");
+      process.exit(1);
+  }
+}
+
+/**
+ * Validate a template file or directory. Without a path, validates the
+ * bundled templates and the project's user templates.
+ * Exits 1 on errors (or on warnings with --strict) for use in pre-commit hooks.
+ */
+async function validate(flags) {
+  const targets = [];
+  const [target] = flags.positionals || [];
+  if (target) {
+    targets.push(target);
+  } else {
+    targets.push(getTemplatesDir());
+    const userDir = getUserTemplatesDir(resolveProjectRoot(flags));
+    if (await dirExists(userDir)) targets.push(userDir);
+  }
+
+  const diagnostics = [];
+  for (const target of targets) {
+    diagnostics.push(...(await validatePath(target)));
+  }
+
+  for (const d of diagnostics) {
+    console.log(formatDiagnostic(d));
+  }
+
+  const errors = diagnostics.filter((d) => d.severity === "error").length;
+  const warnings = diagnostics.length - errors;
+  if (diagnostics.length > 0) console.log();
+  console.log(`${errors} error(s), ${warnings} warning(s) in ${targets.join(", ")}`);
+
+  if (errors > 0 || (flags.strict && warnings > 0)) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Manage the persistent template source list in .claude/agentic-rig/config.json.
+ */
+async function source(flags) {
+  const projectRoot = resolveProjectRoot(flags);
+  const [action, spec] = flags.positionals || [];
+  const config = await loadConfig(projectRoot);
+  const sources = Array.isArray(config.templateSources) ? config.templateSources : [];
+
+  switch (action) {
+    case "add": {
+      if (!spec) {
+        console.error("Usage: agentic-rig template source add <dir|.tgz|git-url> [--name <name>]");
+        process.exit(1);
+      }
+      const parsed = parseSourceSpec(spec);
+      const name = flags.name ? normalizeSourceName(flags.name) : parsed.name;
+      const problem = checkSourceName(name);
+      if (problem) {
+        console.error(`${problem} Use --name to pick another.`);
+        process.exit(1);
+      }
+      let location = parsed.source;
+      // Store local paths relative to the project so the config can be committed
+      if (classifySource(location) !== "git" && !/^https?:\/\//.test(location)) {
+        const abs = isAbsolute(location) ? location : resolve(process.cwd(), location);
+        location = relative(projectRoot, abs) || ".";
+      }
+
+      if (sources.some((s) => normalizeSourceName(s.name) === name)) {
+        console.error(`A template source named "${name}" already exists. Use --name to pick another.`);
+        process.exit(1);
+      }
+
+      let dir;
+      try {
+        dir = await materializeSource(projectRoot, { name, source: location }, { refresh: true });
+      } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+      }
+
+      sources.push({ name, source: location });
+      await saveConfig(projectRoot, { ...config, templateSources: sources });
+      const templates = await listTemplates(getTemplatesDir(), projectRoot, [{ name, dir }]);
+      const added = templates.filter((t) => t.namespace === name);
+      console.log(`Added template source "${name}" (${location}) with ${added.length} template(s):`);
+      for (const t of added) {
+        console.log(`  ${t.id.padEnd(30)} ${t.description}`);
+      }
+      break;
+    }
+
+    case "list":
+    case undefined: {
+      if (sources.length === 0) {
+        console.log("No template sources configured.");
+        console.log("Add one with: agentic-rig template source add <dir|.tgz|git-url>");
+        return;
+      }
+      console.log("Template sources (in precedence order, after bundled and user templates):\n");
+      for (const s of sources) {
+        console.log(`  ${normalizeSourceName(s.name).padEnd(16)} ${classifySource(s.source).padEnd(8)} ${s.source}`);
+      }
+      break;
+    }
+
+    case "remove": {
+      const name = spec ? normalizeSourceName(spec) : undefined;
+      const remaining = sources.filter((s) => normalizeSourceName(s.name) !== name);
+      if (!name || remaining.length === sources.length) {
+        console.error(`Template source not found: ${spec || "(none given)"}`);
+        process.exit(1);
+      }
+      await saveConfig(projectRoot, { ...config, templateSources: remaining });
+      // A name that can't have a cache (e.g. "..") has nothing to remove
+      if (!checkSourceName(name)) await rm(getSourceCacheDir(projectRoot, name), { recursive: true, force: true });
+      console.log(`Removed template source "${name}".`);
+      break;
+    }
+
+    case "update": {
+      const targets = spec ? sources.filter((s) => normalizeSourceName(s.name) === normalizeSourceName(spec)) : sources;
+      if (targets.length === 0) {
+        console.error(spec ? `Template source not found: ${spec}` : "No template sources configured.");
+        process.exit(1);
+      }
+      let failed = 0;
+      for (const s of targets) {
+        const name = normalizeSourceName(s.name);
+        try {
+          await materializeSource(projectRoot, { name, source: s.source }, { refresh: true });
+          console.log(`Updated ${name}`);
+        } catch (err) {
+          console.error(`Failed to update ${name}: ${err.message}`);
+          failed++;
+        }
+      }
+      if (failed > 0) process.exit(1);
+      break;
+    }
+
+    default:
+      console.error(`Unknown template source action: ${action}`);
+      console.error("Usage: agentic-rig template source <add|list|remove|update> [source]");
+      process.exit(1);
+  }
+}
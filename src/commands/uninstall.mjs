@@ -1,12 +1,25 @@
 import { join } from "node:path";
 import { rm } from "node:fs/promises";
 import { resolveProjectRoot, getSkillsDir, dirExists } from "../utils.mjs";
+import { scopeTarget, resolveTarget, checkScope } from "../scopes.mjs";
+import { revert } from "./revert.mjs";
 
 const MANAGED_SKILLS = ["project-setup", "find-skills", "self-improve"];
 
 export async function uninstall(flags) {
+  // --generated: undo what `init` generated instead of removing skill files
+  if (flags.generated) {
+    await revert(flags);
+    return;
+  }
+
   const projectRoot = resolveProjectRoot(flags);
-  const skillsDir = getSkillsDir(projectRoot);
+  if (flags.scope && checkScope(flags.scope)) {
+    console.error(checkScope(flags.scope));
+    process.exit(1);
+  }
+  // --scope user removes the skills installed in ~/.claude/skills/
+  const skillsDir = flags.scope ? resolveTarget(projectRoot, scopeTarget(flags.scope, "skills")) : getSkillsDir(projectRoot);
   let removed = 0;
 
   for (const name of MANAGED_SKILLS) {
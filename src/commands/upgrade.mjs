@@ -0,0 +1,441 @@
+import { join, dirname } from "node:path";
+import { rm, rmdir } from "node:fs/promises";
+import {
+  resolveProjectRoot,
+  writeFileWithDir,
+} from "../utils.mjs";
+import { resolveTemplateChain, getTemplatesDir } from "../templates.mjs";
+import { composeTemplates, formatConflict } from "../compose.mjs";
+import { resolveTemplateSources } from "../template-sources.mjs";
+import {
+  getTemplateVariables,
+  resolveVariables,
+  applyVariables,
+  parseSetArgs,
+  loadAnswers,
+  saveAnswers,
+} from "../variables.mjs";
+import {
+  loadManifest,
+  saveManifest,
+  collectArtifacts,
+  createManifest,
+  readProjectState,
+  currentContent,
+  canonicalContent,
+  describeArtifact,
+  artifactKey,
+  mcpServersFor,
+  SETTINGS_PATH,
+  MCP_PATH,
+  LEGACY_MCP_PATH,
+} from "../manifest.mjs";
+import { addHook, removeHook, addPermission, removePermission, isDenied, SettingsParseError } from "../settings.mjs";
+import { addGuardHooks } from "../guards.mjs";
+import { loadGuardPolicy, saveGuardPolicy, syncTemplateGuards, findGuardCollisions } from "../guard-policy.mjs";
+import { migrateLegacyMcp, legacyMcpContent, renameMcpServers } from "../mcp.mjs";
+import { merge3 } from "../diff.mjs";
+import { createBackup, statePaths } from "../backups.mjs";
+import { excludeItems, listPlanItems, assignScopes, splitByScope } from "../selection.mjs";
+import { DEFAULT_SCOPE, USER_CONFIG_PATH, resolveTarget } from "../scopes.mjs";
+import { upsertManagedRegion, removeManagedRegion, removeMergedLines } from "../claude-md.mjs";
+
+/**
+ * CLI command: agentic-rig upgrade
+ *
+ * Re-applies the template(s) recorded in .claude/agentic-rig/applied.json
+ * at their current version. Each generated artifact is three-way merged:
+ * the recorded content is the base, the project file is "ours" and the
+ * new template output is "theirs". Local edits are kept; artifacts changed
+ * on both sides are merged line by line, and reported as conflicts when
+ * the changes overlap.
+ */
+export async function upgrade(flags) {
+  const projectRoot = resolveProjectRoot(flags);
+  const manifest = await loadManifest(projectRoot);
+  if (!manifest) {
+    console.error("No .claude/agentic-rig/applied.json found. Run `agentic-rig init <template>` first.");
+    process.exit(1);
+  }
+
+  const { sources, errors: sourceErrors } = await resolveTemplateSources(projectRoot, flags.templateSource);
+  for (const e of sourceErrors) console.error(`Warning: ${e}`);
+
+  const templateIds = manifest.templateIds || [manifest.template.id];
+  let chain;
+  try {
+    chain = await resolveTemplateChain(templateIds, getTemplatesDir(), projectRoot, sources);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  const composed = composeTemplates(chain);
+  if (composed.conflicts.length > 0) {
+    console.log(`Composition conflicts (${composed.conflicts.length}):`);
+    for (const c of composed.conflicts) {
+      console.log(`  ${formatConflict(c)}`);
+    }
+    console.log();
+    if (!flags.dryRun && !flags.force) {
+      console.error("Resolve the conflicts in the templates, or re-run with --force to let later templates win.");
+      process.exit(1);
+    }
+  }
+  let template = composed.template;
+
+  // Variables: --set, then the values used last time, then saved answers
+  const variableDefs = getTemplateVariables(template.meta);
+  let variableValues = {};
+  if (variableDefs.length > 0 || flags.set.length > 0) {
+    const { values, errors } = await resolveVariables(variableDefs, {
+      set: parseSetArgs(flags.set),
+      saved: { ...(await loadAnswers(projectRoot)), ...(manifest.variables || {}) },
+      interactive: Boolean(process.stdin.isTTY) && !flags.force,
+    });
+    if (errors.length > 0) {
+      for (const e of errors) console.error(e);
+      console.error("Pass values with --set <name>=<value>.");
+      process.exit(1);
+    }
+    variableValues = values;
+    template = applyVariables(template, values);
+  }
+
+  // Items deselected at init time stay excluded, renamed MCP servers renamed
+  const excluded = manifest.excluded || [];
+  const mcpRenames = manifest.mcpRenames || {};
+  template = renameMcpServers(excludeItems(template, excluded), mcpRenames);
+
+  const collisions = findGuardCollisions(await loadGuardPolicy(projectRoot), template);
+  if (collisions.length > 0) {
+    for (const name of collisions) {
+      console.error(`The template's guard "${name}" has the same name as one of the project's own guards.`);
+    }
+    console.error("Rename yours (agentic-rig guard remove <name>, then guard add --name <other>) before upgrading.");
+    process.exit(1);
+  }
+
+  const fromVersion = manifest.template?.version ?? "unknown";
+  const toVersion = template.meta.version ?? "unknown";
+  console.log(`\nTemplate: ${template.meta.name}`);
+  console.log(`Version:  ${fromVersion} -> ${toVersion}`);
+  console.log(`Target:   ${projectRoot}`);
+  if (flags.dryRun) console.log(`Mode:     dry-run (no files will be written)`);
+  console.log();
+
+  // Each item goes to the --scope given at init, else the template's default
+  const items = listPlanItems(template);
+  const parts = splitByScope(template, items, assignScopes(items, template.meta.scopes, manifest.scope));
+  const artifacts = Object.entries(parts).flatMap(([scope, part]) => collectArtifacts(addGuardHooks(part, scope), scope));
+  let state;
+  try {
+    state = await readProjectState(projectRoot, [...manifest.artifacts, ...artifacts]);
+  } catch (err) {
+    if (!(err instanceof SettingsParseError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+  }
+  const mcpMigration = migrateLegacyMcp(state.mcp, state.legacyMcp);
+  state.legacyMcpServers = mcpMigration.moved.length + mcpMigration.shadowed.length;
+  const changes = planUpgrade(manifest, artifacts, state, template);
+
+  const actionable = changes.filter((c) => c.action !== "unchanged");
+  if (actionable.length === 0 && state.legacyHooks === 0 && state.legacyMcpServers === 0) {
+    console.log("Already up to date.");
+    if (!flags.dryRun) {
+      const next = nextManifest(manifest, changes, { templateIds, chain, template, variables: variableValues, excluded, mcpRenames, scope: manifest.scope }, false);
+      await saveManifest(projectRoot, next);
+      await recordGuards(projectRoot, template, next);
+    }
+    return;
+  }
+
+  if (actionable.length > 0) {
+    console.log("Changes:");
+    for (const c of actionable) {
+      console.log(`  ${c.action.padEnd(9)} ${c.label}${c.note ? ` — ${c.note}` : ""}`);
+    }
+    console.log();
+  }
+  if (state.legacyHooks > 0) {
+    console.log(`Migrating ${state.legacyHooks} legacy hook entr${state.legacyHooks === 1 ? "y" : "ies"} in ${SETTINGS_PATH} to the "hooks" schema.\n`);
+  }
+  if (mcpMigration.moved.length > 0) {
+    console.log(`Moving MCP server(s) ${mcpMigration.moved.join(", ")} from ${LEGACY_MCP_PATH} to ${MCP_PATH}.\n`);
+  }
+  for (const name of mcpMigration.shadowed) {
+    console.log(`Dropping "${name}" from ${LEGACY_MCP_PATH}: ${MCP_PATH} already defines it differently.\n`);
+  }
+
+  const conflicts = changes.filter((c) => c.action === "conflict");
+  if (flags.dryRun) {
+    console.log("Dry run complete. No files written.");
+    return;
+  }
+
+  // A plan that writes nothing (only conflicts, without --force) needs no backup
+  const touched = touchedPaths(state, changes, flags.force);
+  if (touched.length > 0) {
+    const rigState = statePaths(projectRoot, variableDefs.length > 0 ? ["manifest", "guards", "answers"] : ["manifest", "guards"]);
+    const backup = await createBackup(projectRoot, "upgrade", [...touched, ...rigState]);
+    console.log(`Backed up to .claude/agentic-rig/backups/${backup.id}/ (undo with \`agentic-rig rollback\`).\n`);
+  }
+  const written = await applyChanges(projectRoot, state, changes, { force: flags.force });
+  const next = nextManifest(manifest, changes, { templateIds, chain, template, variables: variableValues, excluded, mcpRenames, scope: manifest.scope }, flags.force);
+  await saveManifest(projectRoot, next);
+  await recordGuards(projectRoot, template, next);
+  if (variableDefs.length > 0) {
+    await saveAnswers(projectRoot, variableValues);
+  }
+
+  console.log(`Updated ${written} file(s) to template "${template.meta.id}" version ${toVersion}.`);
+  if (conflicts.length > 0 && !flags.force) {
+    console.error(`\n${conflicts.length} conflict(s) were left unchanged. Edit the files by hand, or re-run with --force to take the template side.`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Classify a three-way change for one artifact.
+ * Returns "unchanged" (nothing to do, local edits kept), "apply", "keep"
+ * (dropped by the template but edited locally) or "conflict".
+ */
+function classify(base, ours, theirs) {
+  if (theirs === base || ours === theirs) return "unchanged";
+  if (ours === base) return "apply";
+  if (theirs === null) return "keep";
+  return "conflict";
+}
+
+/**
+ * Compute the upgrade plan: one change per old or new artifact, matched by
+ * artifactKey so an item that moved scope is removed from the old one.
+ * Returns [{ id, label, action, base, artifact, content, note }], where
+ * `artifact` is the new artifact (or the old one when removed) and
+ * `content` is what to write (null removes it).
+ */
+function planUpgrade(manifest, artifacts, state, template) {
+  const oldByKey = new Map(manifest.artifacts.filter((a) => !a.retained).map((a) => [artifactKey(a), a]));
+  const newByKey = new Map(artifacts.map((a) => [artifactKey(a), a]));
+  const keys = [...new Set([...oldByKey.keys(), ...newByKey.keys()])];
+  const changes = [];
+
+  for (const key of keys) {
+    const base = oldByKey.get(key) || null;
+    const next = newByKey.get(key) || null;
+    const artifact = next || base;
+    const { id } = artifact;
+
+    if (artifact.type === "claude_md") {
+      changes.push(planClaudeMd(base, next, state.files.get(artifact.path) ?? null, template));
+      continue;
+    }
+
+    const ours = currentContent(artifact, state);
+    const action = classify(
+      canonicalContent(artifact.type, base?.content ?? null),
+      canonicalContent(artifact.type, ours),
+      canonicalContent(artifact.type, next?.content ?? null),
+    );
+    const change = { id, label: describeArtifact(artifact), base, artifact, content: next?.content ?? null };
+
+    if (action === "apply" && !base && artifact.type === "permission" && isDenied(state.settingsFiles.get(artifact.path) || {}, artifact.list, artifact.content)) {
+      // A new allow/ask rule the project denies is recorded but never added
+      change.action = "skip";
+      change.note = "denied in settings, not added";
+    } else if (action === "apply") {
+      change.action = !next ? "remove" : !base ? "add" : "update";
+    } else if (action === "keep") {
+      change.action = "keep";
+      change.note = "removed from the template, kept local edits";
+    } else if (action === "conflict" && ours !== null && base && next && (artifact.type === "skill" || artifact.type === "agent")) {
+      // --force takes the template side of the overlapping hunks only
+      const merged = merge3(base.content, ours, next.content, { favor: "theirs" });
+      change.action = merged.clean ? "merge" : "conflict";
+      change.content = merged.content;
+      if (!merged.clean) change.note = `${merged.conflicts.length} overlapping change(s) with local edits`;
+    } else if (action === "conflict") {
+      change.action = "conflict";
+      change.note = ours === null ? "deleted locally, changed in the template" : "changed locally and in the template";
+    } else {
+      change.action = "unchanged";
+    }
+    changes.push(change);
+  }
+
+  return changes;
+}
+
+/**
+ * Plan the CLAUDE.md change. The base is the whole file as generated;
+ * "theirs" is that file with the template's managed region updated.
+ */
+function planClaudeMd(base, next, ours, template) {
+  const artifact = next || base;
+  const change = { id: artifact.id, label: artifact.path, base, artifact };
+
+  // Start from the generated file with the old template's merged lines taken out
+  const start = base ? removeMergedLines(base.file, base.merged) : ours;
+  let theirs;
+  if (!next) {
+    theirs = removeManagedRegion(start, base.region);
+    change.merged = [];
+  } else {
+    const result = upsertManagedRegion(start, {
+      id: next.region,
+      title: template.meta.name,
+      block: next.content,
+    });
+    theirs = result.content;
+    change.merged = result.merged;
+  }
+  change.file = theirs;
+
+  if (base && next && base.content === next.content) {
+    change.action = "unchanged";
+    change.file = base.file;
+    change.merged = base.merged;
+    return change;
+  }
+  if (!base || ours === base.file) {
+    change.action = !next ? "remove" : !base ? "add" : "update";
+    change.content = theirs;
+    return change;
+  }
+  if (ours === null) {
+    change.action = "conflict";
+    change.note = "deleted locally, changed in the template";
+    change.content = theirs;
+    return change;
+  }
+
+  const merged = merge3(base.file, ours, theirs, { favor: "theirs" });
+  change.action = merged.clean ? "merge" : "conflict";
+  change.content = merged.content;
+  if (!merged.clean) change.note = `${merged.conflicts.length} overlapping change(s) with local edits`;
+  return change;
+}
+
+/**
+ * Whether a planned change is written. Conflicts are written only with --force.
+ */
+function applies(c, force) {
+  return ["add", "update", "remove", "merge"].includes(c.action) || (c.action === "conflict" && force);
+}
+
+/**
+ * The files applyChanges may write, for the backup.
+ */
+function touchedPaths(state, changes, force) {
+  const paths = changes.filter((c) => applies(c, force)).map((c) => c.artifact.path);
+  if (state.legacyHooks > 0) paths.push(SETTINGS_PATH);
+  if (state.legacyMcpServers > 0 || paths.includes(LEGACY_MCP_PATH)) paths.push(MCP_PATH, LEGACY_MCP_PATH);
+  return [...new Set(paths)];
+}
+
+/**
+ * Write the planned changes. Conflicts are skipped unless `force` is set,
+ * in which case the template side of each overlapping change wins. Returns the number of files written.
+ */
+async function applyChanges(projectRoot, state, changes, { force }) {
+  // Legacy hook entries and MCP servers were migrated when read; write them back
+  const touched = new Set();
+  if (state.legacyHooks > 0) touched.add(SETTINGS_PATH);
+  if (state.legacyMcpServers > 0) touched.add(MCP_PATH).add(LEGACY_MCP_PATH);
+
+  for (const c of changes.filter((c) => applies(c, force))) {
+    const { artifact } = c;
+    switch (artifact.type) {
+      case "hook": {
+        const settings = state.settingsFiles.get(artifact.path);
+        removeHook(settings, artifact.event, JSON.parse(artifact.content));
+        if (c.content !== null) addHook(settings, artifact.event, JSON.parse(c.content));
+        touched.add(artifact.path);
+        break;
+      }
+      case "permission": {
+        const settings = state.settingsFiles.get(artifact.path);
+        if (c.content !== null) addPermission(settings, artifact.list, c.content);
+        else removePermission(settings, artifact.list, artifact.content);
+        touched.add(artifact.path);
+        break;
+      }
+      case "mcp_server": {
+        const project = (artifact.scope || DEFAULT_SCOPE) === DEFAULT_SCOPE;
+        if (!project && !state.userConfig) {
+          console.error(`Skipping MCP server "${artifact.name}": ${USER_CONFIG_PATH} is not valid JSON.`);
+          break;
+        }
+        const servers = mcpServersFor(artifact, state, { create: true });
+        if (c.content !== null) servers[artifact.name] = JSON.parse(c.content);
+        else delete servers[artifact.name];
+        touched.add(project ? MCP_PATH : USER_CONFIG_PATH);
+        break;
+      }
+      default: {
+        const filePath = resolveTarget(projectRoot, artifact.path);
+        if (c.content !== null) {
+          await writeFileWithDir(filePath, c.content);
+        } else {
+          await rm(filePath, { force: true });
+          if (artifact.type === "skill" || artifact.type === "guard") {
+            // Remove the skill or hooks directory when it is now empty
+            await rmdir(dirname(filePath)).catch(() => {});
+          }
+        }
+        touched.add(artifact.path);
+      }
+    }
+  }
+
+  for (const [path, settings] of state.settingsFiles) {
+    if (touched.has(path)) await writeFileWithDir(resolveTarget(projectRoot, path), JSON.stringify(settings, null, 2));
+  }
+  if (touched.has(USER_CONFIG_PATH)) {
+    await writeFileWithDir(resolveTarget(projectRoot, USER_CONFIG_PATH), JSON.stringify(state.userConfig, null, 2));
+  }
+  if (touched.has(MCP_PATH)) {
+    await writeFileWithDir(join(projectRoot, MCP_PATH), JSON.stringify(state.mcp, null, 2));
+  }
+  if (touched.has(LEGACY_MCP_PATH)) {
+    const content = legacyMcpContent(state.legacyMcp);
+    if (content === null) await rm(join(projectRoot, LEGACY_MCP_PATH), { force: true });
+    else await writeFileWithDir(join(projectRoot, LEGACY_MCP_PATH), content);
+  }
+  return touched.size;
+}
+
+/**
+ * Bring the template's entries in the guard policy in line with the new manifest.
+ */
+async function recordGuards(projectRoot, template, manifest) {
+  const policy = await loadGuardPolicy(projectRoot);
+  syncTemplateGuards(policy, template, manifest);
+  await saveGuardPolicy(projectRoot, policy);
+}
+
+/**
+ * Build the manifest after an upgrade. Applied and unchanged artifacts
+ * record the new template output; unresolved conflicts keep their old
+ * base so they are reported again next time; removed or kept artifacts
+ * are no longer tracked.
+ */
+function nextManifest(manifest, changes, applied, force) {
+  const artifacts = [];
+  for (const c of changes) {
+    const resolved = c.action !== "conflict" || force;
+    const record = resolved ? (c.action === "remove" || c.action === "keep" ? null : c.artifact) : c.base;
+    if (!record) continue;
+    // Keep track of whether agentic-rig added the artifact, for `revert`
+    const added = c.base ? Boolean(c.base.added) : c.action === "add";
+    if (record.type === "claude_md") {
+      const source = resolved ? c : c.base;
+      artifacts.push({ ...record, added, file: source.file, merged: source.merged || [] });
+    } else {
+      artifacts.push({ ...record, added });
+    }
+  }
+  // Artifacts from earlier inits of other templates are carried over untouched
+  artifacts.push(...manifest.artifacts.filter((a) => a.retained));
+  return createManifest({ ...applied, artifacts, createdFiles: manifest.createdFiles });
+}
@@ -0,0 +1,314 @@
+import { getTemplateVariables } from "./variables.mjs";
+
+/**
+ * Template composition — merges several parsed templates into one.
+ *
+ * Templates are merged in chain order (bases from `extends:` first, then
+ * each template listed on the command line, left to right). Later templates
+ * win, but any disagreement that cannot be merged is reported as a conflict
+ * so the caller can stop before anything is written.
+ */
+
+/**
+ * Split claude_md content into a preamble and ### sections.
+ * Returns { preamble, sections: [{ heading, body }] }.
+ */
+export function splitClaudeMdSections(content) {
+  const lines = content.split("\n");
+  const sections = [];
+  const preamble = [];
+  let current = null;
+  let inFence = false;
+
+  for (const line of lines) {
+    if (line.trim().startsWith("```")) inFence = !inFence;
+
+    if (!inFence && /^### .+/.test(line.trim())) {
+      current = { heading: line.trim().slice(4).trim(), body: [] };
+      sections.push(current);
+      continue;
+    }
+
+    if (current) current.body.push(line);
+    else preamble.push(line);
+  }
+
+  return {
+    preamble: preamble.join("\n").trim(),
+    sections: sections.map((s) => ({ heading: s.heading, body: s.body.join("\n").trim() })),
+  };
+}
+
+/**
+ * Join a preamble and ### sections back into claude_md content.
+ */
+export function joinClaudeMdSections({ preamble, sections }) {
+  const parts = [];
+  if (preamble) parts.push(preamble);
+  for (const s of sections) {
+    parts.push(s.body ? `### ${s.heading}\n\n${s.body}` : `### ${s.heading}`);
+  }
+  return parts.join("\n\n");
+}
+
+/**
+ * Merge claude_md content section by section.
+ * Sections with the same ### heading are combined: lines from the later
+ * template that are not already present are appended to the earlier body.
+ */
+export function mergeClaudeMd(contents) {
+  const merged = { preamble: "", sections: [] };
+
+  for (const content of contents) {
+    if (!content) continue;
+    const { preamble, sections } = splitClaudeMdSections(content);
+
+    if (preamble) {
+      merged.preamble = merged.preamble ? `${merged.preamble}\n\n${preamble}` : preamble;
+    }
+
+    for (const section of sections) {
+      const existing = merged.sections.find((s) => s.heading === section.heading);
+      if (!existing) {
+        merged.sections.push({ ...section });
+        continue;
+      }
+      existing.body = appendMissingLines(existing.body, section.body);
+    }
+  }
+
+  return joinClaudeMdSections(merged);
+}
+
+/**
+ * Append lines from `addition` that do not already appear in `base`.
+ * Fenced code blocks are appended as a whole unless an identical block exists.
+ */
+export function appendMissingLines(base, addition) {
+  if (!addition || base.includes(addition)) return base;
+  const baseLines = new Set(base.split("\n").map((l) => l.trim()).filter(Boolean));
+  const out = [];
+  let block = null;
+
+  for (const line of addition.split("\n")) {
+    if (block) {
+      block.push(line);
+      if (line.trim().startsWith("```")) {
+        const text = block.join("\n");
+        if (!base.includes(text)) out.push(text);
+        block = null;
+      }
+      continue;
+    }
+    if (line.trim().startsWith("```")) {
+      block = [line];
+      continue;
+    }
+    if (line.trim() && !baseLines.has(line.trim())) out.push(line);
+  }
+  if (block) out.push(block.join("\n"));
+
+  if (out.length === 0) return base;
+  return `${base}\n${out.join("\n")}`.trim();
+}
+
+/**
+ * Stable JSON comparison for MCP server configs.
+ */
+function sameJson(a, b) {
+  return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value).sort().map((k) => [k, sortKeys(value[k])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Merge detection rules so a composed template can still be scored.
+ * Values for each group are unioned.
+ */
+function mergeDetection(detections) {
+  const merged = {};
+  for (const detection of detections) {
+    for (const [group, values] of Object.entries(detection || {})) {
+      if (!Array.isArray(values)) continue;
+      merged[group] = [...new Set([...(merged[group] || []), ...values])];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merge variable declarations by name; later templates override earlier ones.
+ */
+function mergeVariables(templates) {
+  const byName = new Map();
+  for (const t of templates) {
+    for (const def of getTemplateVariables(t.meta)) {
+      byName.set(def.name, def);
+    }
+  }
+  return Array.from(byName.values());
+}
+
+/**
+ * Merge default item scopes; later templates override earlier ones.
+ * Returns undefined when no template declares any.
+ */
+function mergeScopes(templates) {
+  const declared = templates.map((t) => t.meta.scopes).filter((s) => s && typeof s === "object");
+  return declared.length > 0 ? Object.assign({}, ...declared) : undefined;
+}
+
+/**
+ * Compose parsed templates (in merge order) into a single template.
+ *
+ * Merge order and rules:
+ * 1. claude_md — merged per ### section (see mergeClaudeMd)
+ * 2. hooks — concatenated per event, deduped by matcher + command
+ *    guards — same name with a different definition is a conflict
+ *    permissions — rules concatenated per list and deduped; a rule one
+ *    template allows (or asks for) and another denies stays denied
+ * 3. skills / agents — same name with different content is a conflict
+ * 4. mcp_servers — same name with a different config is a conflict
+ * 5. external_skills — deduped by repository + skill
+ *
+ * On conflict the later template's value is kept.
+ * Returns { template, conflicts: [{ category, name, templates: [a, b] }] }.
+ */
+export function composeTemplates(templates) {
+  if (templates.length === 1) {
+    return { template: templates[0], conflicts: [] };
+  }
+
+  const conflicts = [];
+  const hooks = {};
+  const guards = [];
+  const permissions = {};
+  const skills = {};
+  const agents = {};
+  const mcpServers = {};
+  const externalSkills = [];
+  const owners = { skill: {}, agent: {}, mcp: {}, guard: {} };
+
+  for (const t of templates) {
+    const id = t.meta.id;
+
+    for (const [event, hookList] of Object.entries(t.hooks || {})) {
+      if (!Array.isArray(hookList)) continue;
+      if (!hooks[event]) hooks[event] = [];
+      for (const hook of hookList) {
+        const dup = hooks[event].some(
+          (h) => h.matcher === hook.matcher && h.command === hook.command
+        );
+        if (!dup) hooks[event].push(hook);
+      }
+    }
+
+    for (const guard of t.guards || []) {
+      const index = guards.findIndex((g) => g.name === guard.name);
+      if (index === -1) {
+        guards.push(guard);
+      } else {
+        if (!sameJson(guards[index], guard)) {
+          conflicts.push({ category: "guard", name: guard.name, templates: [owners.guard[guard.name], id] });
+        }
+        guards[index] = guard;
+      }
+      owners.guard[guard.name] = id;
+    }
+
+    for (const [list, rules] of Object.entries(t.permissions || {})) {
+      if (!Array.isArray(rules)) continue;
+      permissions[list] = [...new Set([...(permissions[list] || []), ...rules])];
+    }
+
+    for (const [category, source, target] of [
+      ["skill", t.skills, skills],
+      ["agent", t.agents, agents],
+    ]) {
+      for (const [name, content] of Object.entries(source || {})) {
+        if (name in target && target[name].trim() !== content.trim()) {
+          conflicts.push({ category, name, templates: [owners[category][name], id] });
+        }
+        target[name] = content;
+        owners[category][name] = id;
+      }
+    }
+
+    for (const [name, config] of Object.entries(t.mcp_servers || {})) {
+      if (name in mcpServers && !sameJson(mcpServers[name], config)) {
+        conflicts.push({ category: "mcp", name, templates: [owners.mcp[name], id] });
+      }
+      mcpServers[name] = config;
+      owners.mcp[name] = id;
+    }
+
+    for (const skill of t.external_skills || []) {
+      const dup = externalSkills.some(
+        (s) => s.repository === skill.repository && s.skill === skill.skill
+      );
+      if (!dup) externalSkills.push(skill);
+    }
+  }
+
+  // Never let one template's allow or ask rule weaken another's deny
+  const denied = new Set(permissions.deny || []);
+  for (const list of ["allow", "ask"]) {
+    if (!permissions[list]) continue;
+    for (const rule of permissions[list].filter((r) => denied.has(r))) {
+      conflicts.push({ category: "permission", name: rule, templates: denyingTemplate(templates, list, rule) });
+    }
+    permissions[list] = permissions[list].filter((r) => !denied.has(r));
+  }
+
+  const template = {
+    meta: {
+      id: templates.map((t) => t.meta.id).join("+"),
+      name: templates.map((t) => t.meta.name).join(" + "),
+      description: templates.map((t) => t.meta.description).filter(Boolean).join("; "),
+      detection: mergeDetection(templates.map((t) => t.meta.detection)),
+      variables: mergeVariables(templates),
+      scopes: mergeScopes(templates),
+      composedFrom: templates.map((t) => t.meta.id),
+    },
+    claude_md: mergeClaudeMd(templates.map((t) => t.claude_md)),
+    hooks,
+    guards,
+    permissions,
+    skills,
+    agents,
+    mcp_servers: mcpServers,
+    external_skills: externalSkills,
+  };
+
+  return { template, conflicts };
+}
+
+/**
+ * Format a composition conflict for display.
+ */
+export function formatConflict(conflict) {
+  const [a, b] = conflict.templates;
+  if (conflict.category === "permission") {
+    return `permission:${conflict.name} — allowed by "${a}" but denied by "${b}" (keeping the deny)`;
+  }
+  const what = conflict.category === "mcp"
+    ? "MCP server with different command/args"
+    : `${conflict.category} with different content`;
+  return `${conflict.category}:${conflict.name} — ${what} in "${a}" and "${b}" (using "${b}")`;
+}
+
+/**
+ * The templates that put `rule` in `list` and in deny, for a permission conflict.
+ */
+function denyingTemplate(templates, list, rule) {
+  const find = (l) => templates.find((t) => t.permissions?.[l]?.includes(rule))?.meta.id;
+  return [find(list), find("deny")];
+}
@@ -0,0 +1,38 @@
+import { join } from "node:path";
+import { readFileIfExists, writeFileWithDir } from "./utils.mjs";
+
+/**
+ * Project-level agentic-rig configuration, stored in
+ * .claude/agentic-rig/config.json:
+ * {
+ *   "templateSources": [{ "name": "acme", "source": "../acme-templates" }]
+ * }
+ */
+
+/**
+ * Returns the path to the config file for a project.
+ */
+export function getConfigPath(projectRoot) {
+  return join(projectRoot, ".claude", "agentic-rig", "config.json");
+}
+
+/**
+ * Load the project config. Returns {} if missing or unreadable.
+ */
+export async function loadConfig(projectRoot) {
+  const content = await readFileIfExists(getConfigPath(projectRoot));
+  if (!content) return {};
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save the project config.
+ */
+export async function saveConfig(projectRoot, config) {
+  await writeFileWithDir(getConfigPath(projectRoot), JSON.stringify(config, null, 2) + "\n");
+}
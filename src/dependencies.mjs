@@ -0,0 +1,324 @@
+import { readdir } from "node:fs/promises";
+import { join } from "node:path";
+import { readFileIfExists, parseJson } from "./utils.mjs";
+import { parseToml } from "./toml.mjs";
+import { parseYaml } from "./yaml.mjs";
+
+/**
+ * Dependency manifests — parsers that read each ecosystem's manifest into
+ * one normalised list, and the table that maps dependencies to frameworks.
+ *
+ * A dependency is { ecosystem, name, version, dev, file }: `version` is the
+ * declared requirement as written (or null), and `dev` marks development,
+ * test and optional groups. Python names are normalised as in PEP 503
+ * (lowercase, runs of "-", "_" and "." become "-"), Go module paths drop
+ * their /vN major-version suffix, and Java names are "group:artifact".
+ */
+
+/**
+ * Frameworks by ecosystem: dependency name -> framework name. A name ending
+ * in "*" matches every dependency with that prefix.
+ */
+export const FRAMEWORKS = {
+  node: {
+    react: "react",
+    next: "next",
+    vue: "vue",
+    nuxt: "nuxt",
+    svelte: "svelte",
+    "@sveltejs/kit": "sveltekit",
+    "@angular/core": "angular",
+    "@remix-run/react": "remix",
+    astro: "astro",
+    express: "express",
+    fastify: "fastify",
+    hono: "hono",
+    koa: "koa",
+    "@nestjs/core": "nestjs",
+    tailwindcss: "tailwindcss",
+    "@tailwindcss/postcss": "tailwindcss",
+  },
+  python: {
+    django: "django",
+    flask: "flask",
+    fastapi: "fastapi",
+    starlette: "starlette",
+    aiohttp: "aiohttp",
+    streamlit: "streamlit",
+  },
+  rust: {
+    "actix-web": "actix-web",
+    axum: "axum",
+    rocket: "rocket",
+    warp: "warp",
+    tauri: "tauri",
+    bevy: "bevy",
+  },
+  go: {
+    "github.com/gin-gonic/gin": "gin",
+    "github.com/labstack/echo": "echo",
+    "github.com/gofiber/fiber": "fiber",
+    "github.com/go-chi/chi": "chi",
+    "github.com/gorilla/mux": "gorilla",
+  },
+  ruby: {
+    rails: "rails",
+    sinatra: "sinatra",
+    hanami: "hanami",
+  },
+  php: {
+    "laravel/framework": "laravel",
+    "symfony/framework-bundle": "symfony",
+    "slim/slim": "slim",
+  },
+  java: {
+    "org.springframework.boot:*": "spring-boot",
+    "io.quarkus:*": "quarkus",
+    "io.micronaut:*": "micronaut",
+  },
+  dart: {
+    flutter: "flutter",
+    dart_frog: "dart_frog",
+  },
+};
+
+/**
+ * Manifest parsers: each takes the file content and returns
+ * [{ name, version, dev }] (ecosystem and file are added by the caller).
+ */
+const PARSERS = [
+  { file: "package.json", ecosystem: "node", parse: parsePackageJson },
+  { file: "pyproject.toml", ecosystem: "python", parse: parsePyproject },
+  { file: /^requirements.*\.txt$/, ecosystem: "python", parse: parseRequirements },
+  { file: "Cargo.toml", ecosystem: "rust", parse: parseCargoToml },
+  { file: "go.mod", ecosystem: "go", parse: parseGoMod },
+  { file: "Gemfile", ecosystem: "ruby", parse: parseGemfile },
+  { file: "composer.json", ecosystem: "php", parse: parseComposerJson },
+  { file: "pom.xml", ecosystem: "java", parse: parsePomXml },
+  { file: "build.gradle", ecosystem: "java", parse: parseGradle },
+  { file: "build.gradle.kts", ecosystem: "java", parse: parseGradle },
+  { file: "pubspec.yaml", ecosystem: "dart", parse: parsePubspec },
+];
+
+/**
+ * Read the dependencies from every manifest in `dir` (not subdirectories).
+ * Returns [{ ecosystem, name, version, dev, file }], deduplicated per
+ * ecosystem with runtime entries winning over dev ones.
+ */
+export async function readDependencies(dir) {
+  let names;
+  try {
+    names = (await readdir(dir, { withFileTypes: true })).filter((e) => e.isFile()).map((e) => e.name).sort();
+  } catch {
+    return [];
+  }
+
+  const byKey = new Map();
+  for (const parser of PARSERS) {
+    const files = names.filter((n) => (typeof parser.file === "string" ? n === parser.file : parser.file.test(n)));
+    for (const file of files) {
+      const content = await readFileIfExists(join(dir, file));
+      if (content === null) continue;
+      // requirements-dev.txt and the like hold development dependencies
+      const devFile = parser.file instanceof RegExp && /dev|test|lint|doc/i.test(file);
+      for (const dep of parser.parse(content)) {
+        const entry = { ecosystem: parser.ecosystem, name: dep.name, version: dep.version ?? null, dev: Boolean(dep.dev || devFile), file };
+        const key = `${entry.ecosystem}:${entry.name}`;
+        const seen = byKey.get(key);
+        if (!seen || (seen.dev && !entry.dev)) byKey.set(key, entry);
+      }
+    }
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Frameworks used by a dependency list, from FRAMEWORKS, in table order.
+ */
+export function detectFrameworks(dependencies) {
+  const frameworks = [];
+  for (const [ecosystem, table] of Object.entries(FRAMEWORKS)) {
+    const names = dependencies.filter((d) => d.ecosystem === ecosystem).map((d) => d.name);
+    for (const [pattern, framework] of Object.entries(table)) {
+      const hit = pattern.endsWith("*")
+        ? names.some((n) => n.startsWith(pattern.slice(0, -1)))
+        : names.includes(pattern);
+      if (hit && !frameworks.includes(framework)) frameworks.push(framework);
+    }
+  }
+  return frameworks;
+}
+
+/**
+ * Normalise a Python distribution name (PEP 503).
+ */
+export function normalizePythonName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, "-");
+}
+
+/** { name: version } maps from a manifest section. */
+function fromMap(map, dev, skip = () => false) {
+  if (!map || typeof map !== "object" || Array.isArray(map)) return [];
+  return Object.entries(map)
+    .filter(([name]) => !skip(name))
+    .map(([name, spec]) => ({ name, version: versionOf(spec), dev }));
+}
+
+/** The version of a string spec, or of a table spec ({ version = "1" }). */
+function versionOf(spec) {
+  if (typeof spec === "string") return spec;
+  if (typeof spec === "number") return String(spec);
+  return typeof spec?.version === "string" ? spec.version : null;
+}
+
+function parsePackageJson(content) {
+  const pkg = parseJson(content);
+  if (!pkg) return [];
+  return [...fromMap(pkg.dependencies, false), ...fromMap(pkg.devDependencies, true)];
+}
+
+/**
+ * A PEP 508 requirement ("fastapi[all]>=0.110; python_version>'3.8'").
+ * Returns { name, version } or null.
+ */
+function parseRequirement(line) {
+  const match = line.trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*([^;@]*)/);
+  if (!match) return null;
+  return { name: normalizePythonName(match[1]), version: match[2].trim() || null };
+}
+
+function parsePyproject(content) {
+  const { value } = parseToml(content);
+  const deps = [];
+  const requirements = (list, dev) => {
+    for (const line of Array.isArray(list) ? list : []) {
+      const req = typeof line === "string" ? parseRequirement(line) : null;
+      if (req) deps.push({ ...req, dev });
+    }
+  };
+
+  // PEP 621, PEP 735 dependency groups
+  requirements(value.project?.dependencies, false);
+  for (const list of Object.values(value.project?.["optional-dependencies"] || {})) requirements(list, true);
+  for (const list of Object.values(value["dependency-groups"] || {})) requirements(list, true);
+
+  // Poetry
+  const poetry = value.tool?.poetry;
+  const poetryDeps = (map, dev) =>
+    fromMap(map, dev, (name) => name === "python").map((d) => ({ ...d, name: normalizePythonName(d.name) }));
+  deps.push(...poetryDeps(poetry?.dependencies, false));
+  deps.push(...poetryDeps(poetry?.["dev-dependencies"], true));
+  for (const group of Object.values(poetry?.group || {})) deps.push(...poetryDeps(group?.dependencies, true));
+  return deps;
+}
+
+function parseRequirements(content) {
+  const deps = [];
+  for (const raw of content.split("\n")) {
+    const line = raw.replace(/\s#.*$/, "").trim();
+    // Options (-r, -e, --index-url), comments and direct URLs name no package
+    if (!line || line.startsWith("#") || line.startsWith("-") || /^[a-z+]+:\/\//i.test(line)) continue;
+    const req = parseRequirement(line);
+    if (req) deps.push({ ...req, dev: false });
+  }
+  return deps;
+}
+
+function parseCargoToml(content) {
+  const { value } = parseToml(content);
+  const tables = [value, ...Object.values(value.target || {})];
+  const deps = [];
+  for (const t of tables) {
+    deps.push(...fromMap(t.dependencies, false), ...fromMap(t["build-dependencies"], false));
+    deps.push(...fromMap(t["dev-dependencies"], true));
+  }
+  deps.push(...fromMap(value.workspace?.dependencies, false));
+  return deps;
+}
+
+function parseGoMod(content) {
+  const deps = [];
+  const add = (line) => {
+    // Indirect requirements are dependencies of dependencies
+    if (/\/\/\s*indirect/.test(line)) return;
+    const match = line.replace(/\/\/.*$/, "").trim().match(/^(\S+)\s+(\S+)/);
+    if (match) deps.push({ name: match[1].replace(/\/v\d+$/, ""), version: match[2], dev: false });
+  };
+  for (const block of content.matchAll(/^require\s*\(([^)]*)\)/gm)) {
+    block[1].split("\n").forEach(add);
+  }
+  for (const single of content.matchAll(/^require\s+([^(\s].*)$/gm)) add(single[1]);
+  return deps;
+}
+
+function parseGemfile(content) {
+  const deps = [];
+  // Open `do` blocks, true for group blocks of development or test gems
+  const blocks = [];
+  for (const raw of content.split("\n")) {
+    const line = raw.replace(/#.*$/, "").trim();
+    if (/^group\b.*\bdo\b/.test(line)) {
+      blocks.push(/:development|:test|["'](development|test)["']/.test(line));
+      continue;
+    }
+    if (/\bdo(\s*\|[^|]*\|)?$/.test(line)) {
+      blocks.push(blocks.at(-1) ?? false);
+      continue;
+    }
+    if (line === "end") {
+      blocks.pop();
+      continue;
+    }
+    const match = line.match(/^gem\s+["']([^"']+)["'](?:\s*,\s*["']([^"']+)["'])?/);
+    if (match) {
+      const dev = blocks.includes(true) || /group:\s*(\[[^\]]*)?:(development|test)/.test(line);
+      deps.push({ name: match[1], version: match[2] || null, dev });
+    }
+  }
+  return deps;
+}
+
+function parseComposerJson(content) {
+  const composer = parseJson(content);
+  if (!composer) return [];
+  // The PHP version and extensions are platform requirements, not packages
+  const platform = (name) => name === "php" || name.startsWith("ext-") || name.startsWith("lib-");
+  return [...fromMap(composer.require, false, platform), ...fromMap(composer["require-dev"], true, platform)];
+}
+
+function parsePomXml(content) {
+  const deps = [];
+  const xml = content.replace(/<!--[\s\S]*?-->/g, "");
+  const tag = (block, name) => block.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`))?.[1] ?? null;
+  for (const [, block] of xml.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+    const group = tag(block, "groupId");
+    const artifact = tag(block, "artifactId");
+    if (!group || !artifact) continue;
+    deps.push({ name: `${group}:${artifact}`, version: tag(block, "version"), dev: tag(block, "scope") === "test" });
+  }
+  // A Spring Boot or similar parent brings its dependencies in
+  const parent = xml.match(/<parent>([\s\S]*?)<\/parent>/)?.[1];
+  if (parent && tag(parent, "groupId") && tag(parent, "artifactId")) {
+    deps.push({ name: `${tag(parent, "groupId")}:${tag(parent, "artifactId")}`, version: tag(parent, "version"), dev: false });
+  }
+  return deps;
+}
+
+function parseGradle(content) {
+  const deps = [];
+  // implementation 'g:a:v', testImplementation("g:a:v"), id("org.springframework.boot")
+  const re = /^\s*(\w+)\s*\(?\s*["']([^"':\s]+):([^"':\s]+)(?::([^"'\s]+))?["']/gm;
+  for (const [, configuration, group, artifact, version] of content.matchAll(re)) {
+    deps.push({ name: `${group}:${artifact}`, version: version || null, dev: /^test/i.test(configuration) });
+  }
+  for (const [, id, version] of content.matchAll(/^\s*id\s*\(?\s*["']([^"']+)["']\s*\)?(?:\s*version\s*\(?\s*["']([^"']+)["'])?/gm)) {
+    if (id.includes(".")) deps.push({ name: `${id}:plugin`, version: version || null, dev: false });
+  }
+  return deps;
+}
+
+function parsePubspec(content) {
+  const { value } = parseYaml(content);
+  if (!value || typeof value !== "object") return [];
+  return [...fromMap(value.dependencies, false), ...fromMap(value.dev_dependencies, true)];
+}
@@ -0,0 +1,238 @@
+import { readdir, stat } from "node:fs/promises";
+import { join } from "node:path";
+import { readDependencies, normalizePythonName } from "./dependencies.mjs";
+import { listTemplates, parseTemplate, getTemplatesDir } from "./templates.mjs";
+
+/**
+ * Template detection — evaluates the `detection` frontmatter of each
+ * template against a project directory. Mirrors Step 1.11 of the
+ * project-setup skill: a template matches when at least 2 detection
+ * groups are satisfied, and confidence is matched / non-empty groups.
+ */
+
+export const MIN_MATCHED_GROUPS = 2;
+export const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+const SKIP_DIRS = new Set([
+  "node_modules", ".git", "__pycache__", ".next", ".nuxt",
+  "dist", "build", ".cache", "vendor", "target", ".venv", "venv",
+]);
+
+// agentic-rig's own state (backups, cached sources), relative to the project
+export const STATE_DIR = ".claude/agentic-rig";
+
+const MAX_WALK_DEPTH = 6;
+
+/**
+ * Convert a glob pattern to a RegExp over "/"-separated relative paths.
+ * Supports `*` (within a path segment), `**` (across segments), `?` and
+ * `{a,b}` (either).
+ */
+export function globToRegExp(glob) {
+  return new RegExp(`^${globBody(glob)}$`);
+}
+
+function globBody(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*") {
+      if (glob[i + 1] === "*") {
+        // "**/" matches zero or more directories
+        if (glob[i + 2] === "/") {
+          re += "(?:.*/)?";
+          i += 2;
+        } else {
+          re += ".*";
+          i += 1;
+        }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "{" && glob.indexOf("}", i) > i) {
+      const end = glob.indexOf("}", i);
+      re += `(?:${glob.slice(i + 1, end).split(",").map(globBody).join("|")})`;
+      i = end;
+    } else if ("\\^$+.()|{}[]".includes(ch)) {
+      re += `\\${ch}`;
+    } else {
+      re += ch;
+    }
+  }
+  return re;
+}
+
+/**
+ * List project files as forward-slash relative paths.
+ * Skips dependency and build directories and agentic-rig's state, and
+ * stops at MAX_WALK_DEPTH.
+ */
+export async function listProjectFiles(dir, prefix = "", depth = 0) {
+  const files = [];
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+  for (const entry of entries) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (SKIP_DIRS.has(entry.name) || rel === STATE_DIR || depth >= MAX_WALK_DEPTH) continue;
+      files.push(...(await listProjectFiles(join(dir, entry.name), rel, depth + 1)));
+    } else {
+      files.push(rel);
+    }
+  }
+  return files;
+}
+
+/**
+ * Gather the project signals needed to evaluate detection rules.
+ * Collected once per project and shared across all templates.
+ */
+export async function collectSignals(dir) {
+  const files = await listProjectFiles(dir);
+  const dependencies = await readDependencies(dir);
+  const namesOf = (ecosystem) => new Set(dependencies.filter((d) => d.ecosystem === ecosystem).map((d) => d.name));
+  return { dir, files, packageDeps: namesOf("node"), pythonDeps: namesOf("python") };
+}
+
+/**
+ * Check whether a config path exists. A trailing slash requires a directory.
+ */
+async function configExists(dir, configPath) {
+  try {
+    const s = await stat(join(dir, configPath));
+    return configPath.endsWith("/") ? s.isDirectory() : true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Evaluate one detection group. Returns the list of values that matched.
+ */
+async function evaluateGroup(group, values, signals) {
+  const matched = [];
+  switch (group) {
+    case "files_any":
+      for (const pattern of values) {
+        const re = globToRegExp(pattern);
+        const hit = signals.files.find((f) => re.test(f));
+        if (hit) matched.push(hit);
+      }
+      break;
+
+    case "config_files_any":
+      for (const configPath of values) {
+        if (await configExists(signals.dir, configPath)) matched.push(configPath);
+      }
+      break;
+
+    case "package_json_deps_any":
+      for (const dep of values) {
+        if (signals.packageDeps.has(dep)) matched.push(dep);
+      }
+      break;
+
+    case "python_deps_any":
+      for (const dep of values) {
+        if (signals.pythonDeps.has(normalizePythonName(dep))) matched.push(dep);
+      }
+      break;
+  }
+  return matched;
+}
+
+/**
+ * Score a template's detection rules against collected signals.
+ * Returns { groups: [{group, matched}], matchedGroups, totalGroups, confidence, matches }.
+ * Empty groups (e.g. `package_json_deps_any: []`) are not counted.
+ */
+export async function scoreDetection(detection, signals) {
+  const groups = [];
+  for (const [group, values] of Object.entries(detection || {})) {
+    if (!Array.isArray(values) || values.length === 0) continue;
+    const matched = await evaluateGroup(group, values, signals);
+    groups.push({ group, matched });
+  }
+
+  const totalGroups = groups.length;
+  const matchedGroups = groups.filter((g) => g.matched.length > 0).length;
+  const confidence = totalGroups > 0 ? matchedGroups / totalGroups : 0;
+
+  return {
+    groups,
+    matchedGroups,
+    totalGroups,
+    confidence: Math.round(confidence * 100) / 100,
+    matches: matchedGroups >= MIN_MATCHED_GROUPS,
+  };
+}
+
+/**
+ * Score every available template (bundled, user and source) against a project.
+ * Returns results sorted by confidence, highest first:
+ * [{ id, name, source, file, score }]
+ * Templates that fail to parse are listed last with `score: null` and `error`.
+ */
+export async function detectTemplates(projectRoot, templatesDir, sources = []) {
+  const dir = templatesDir || getTemplatesDir();
+  const templates = await listTemplates(dir, projectRoot, sources);
+  const signals = await collectSignals(projectRoot);
+
+  const results = [];
+  for (const entry of templates) {
+    let template;
+    try {
+      template = await parseTemplate(join(entry._dir || dir, entry.file));
+    } catch (err) {
+      // Report unparseable templates instead of silently dropping them
+      results.push({ id: entry.id, name: entry.name, source: entry.source, file: entry.file, score: null, error: err.message });
+      continue;
+    }
+    const score = await scoreDetection(template.meta.detection, signals);
+    results.push({
+      id: entry.id,
+      name: entry.name,
+      source: entry.source,
+      file: entry.file,
+      score,
+    });
+  }
+
+  results.sort((a, b) => {
+    if (!a.score || !b.score) return (a.score ? 0 : 1) - (b.score ? 0 : 1);
+    return b.score.confidence - a.score.confidence || b.score.matchedGroups - a.score.matchedGroups;
+  });
+  return results;
+}
+
+/**
+ * Pick the best matching template at or above a confidence threshold.
+ * Returns the result entry or null.
+ */
+export function pickBestMatch(results, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+  return results.find((r) => r.score?.matches && r.score.confidence >= minConfidence) || null;
+}
+
+/**
+ * Format a detection result for display.
+ */
+export function formatDetectionResult(result) {
+  if (!result.score) {
+    return `  ${result.id.padEnd(20)} error\n${result.error.replace(/^/gm, "    ")}`;
+  }
+  const pct = `${Math.round(result.score.confidence * 100)}%`.padStart(4);
+  const groups = `(${result.score.matchedGroups}/${result.score.totalGroups} groups)`;
+  const lines = [`  ${result.id.padEnd(20)} ${pct} ${groups}${result.score.matches ? " [match]" : ""}`];
+  for (const g of result.score.groups) {
+    if (g.matched.length > 0) {
+      lines.push(`    ${g.group}: ${g.matched.join(", ")}`);
+    }
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,206 @@
+/**
+ * Line-based diffing (Myers), unified diff output and three-way merging.
+ */
+
+/**
+ * Split text into lines. A trailing newline does not produce an extra line.
+ */
+export function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Diff two line arrays with Myers' O(ND) algorithm.
+ * Returns the edit script in order:
+ * [{ type: "same"|"remove"|"add", line, oldIndex, newIndex }], where the
+ * indexes are the positions in `a` and `b` before the edit is applied.
+ */
+export function diffLines(a, b) {
+  // Common prefix and suffix don't need the search
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const x0 = a.slice(prefix, a.length - suffix);
+  const y0 = b.slice(prefix, b.length - suffix);
+  const middle = myers(x0, y0).map((e) => ({ ...e, oldIndex: e.oldIndex + prefix, newIndex: e.newIndex + prefix }));
+
+  const edits = [];
+  for (let i = 0; i < prefix; i++) edits.push({ type: "same", line: a[i], oldIndex: i, newIndex: i });
+  edits.push(...middle);
+  for (let i = 0; i < suffix; i++) {
+    const oldIndex = a.length - suffix + i;
+    edits.push({ type: "same", line: a[oldIndex], oldIndex, newIndex: b.length - suffix + i });
+  }
+  return edits;
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds the furthest x per diagonal k in [-d-1, d+1] before round d
+  const trace = [];
+
+  search: for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break search;
+    }
+  }
+
+  // Walk the trace backwards to recover the path
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const row = trace[d];
+    const at = (k) => row[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      edits.push({ type: "same", line: a[x], oldIndex: x, newIndex: y });
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        y--;
+        edits.push({ type: "add", line: b[y], oldIndex: x, newIndex: y });
+      } else {
+        x--;
+        edits.push({ type: "remove", line: a[x], oldIndex: x, newIndex: y });
+      }
+    }
+  }
+  return edits.reverse();
+}
+
+/**
+ * Matched line index pairs [[i, j], ...] between two line arrays, in order.
+ */
+export function matchLines(a, b) {
+  return diffLines(a, b)
+    .filter((e) => e.type === "same")
+    .map((e) => [e.oldIndex, e.newIndex]);
+}
+
+/**
+ * Format a unified diff of two texts with `context` lines around each change.
+ * Returns "" when the texts are identical. Use "/dev/null" as a label for
+ * a file that does not exist yet.
+ */
+export function unifiedDiff(oldText, newText, { oldLabel = "a", newLabel = "b", context = 3 } = {}) {
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  const changed = edits.map((e, i) => (e.type === "same" ? -1 : i)).filter((i) => i >= 0);
+  if (changed.length === 0) return "";
+
+  // Group changes whose context windows touch or overlap into hunks
+  const ranges = [];
+  for (const i of changed) {
+    const last = ranges[ranges.length - 1];
+    if (last && i - last.end - 1 <= 2 * context) {
+      last.end = i;
+    } else {
+      ranges.push({ start: i, end: i });
+    }
+  }
+
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const r of ranges) {
+    const hunk = edits.slice(Math.max(0, r.start - context), Math.min(edits.length, r.end + context + 1));
+    const oldCount = hunk.filter((e) => e.type !== "add").length;
+    const newCount = hunk.filter((e) => e.type !== "remove").length;
+    // An empty side is numbered from the line before it, as diff(1) does
+    const oldStart = hunk[0].oldIndex + (oldCount > 0 ? 1 : 0);
+    const newStart = hunk[0].newIndex + (newCount > 0 ? 1 : 0);
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const e of hunk) {
+      out.push(`${e.type === "add" ? "+" : e.type === "remove" ? "-" : " "}${e.line}`);
+    }
+  }
+  return out.join("\n");
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Three-way merge of `ours` and `theirs` against their common `base` (diff3).
+ *
+ * Regions changed on only one side take that side. Regions changed
+ * identically on both sides are taken once. Regions changed differently
+ * on both sides are conflicts, written with git-style markers, or with
+ * `favor: "theirs"` resolved to theirs (like git's -X theirs).
+ *
+ * Returns { content, conflicts: [{ line }], clean }, where `line` is the
+ * 1-based line of the conflict marker (or the resolved region) in `content`.
+ */
+export function merge3(base, ours, theirs, { oursLabel = "local", theirsLabel = "template", favor = null } = {}) {
+  const b = splitLines(base);
+  const o = splitLines(ours);
+  const t = splitLines(theirs);
+
+  const oursAt = new Map(matchLines(b, o));
+  const theirsAt = new Map(matchLines(b, t));
+
+  const out = [];
+  const conflicts = [];
+  let bi = 0;
+  let oi = 0;
+  let ti = 0;
+
+  while (bi <= b.length) {
+    // Next base line kept in both sides: the end of the current chunk
+    let k = bi;
+    while (k < b.length && !(oursAt.has(k) && theirsAt.has(k))) k++;
+    const ko = k < b.length ? oursAt.get(k) : o.length;
+    const kt = k < b.length ? theirsAt.get(k) : t.length;
+
+    const baseChunk = b.slice(bi, k);
+    const oursChunk = o.slice(oi, ko);
+    const theirsChunk = t.slice(ti, kt);
+
+    if (sameLines(oursChunk, baseChunk)) {
+      out.push(...theirsChunk);
+    } else if (sameLines(theirsChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      out.push(...oursChunk);
+    } else {
+      conflicts.push({ line: out.length + 1 });
+      if (favor === "theirs") out.push(...theirsChunk);
+      else out.push(`<<<<<<< ${oursLabel}`, ...oursChunk, "=======", ...theirsChunk, `>>>>>>> ${theirsLabel}`);
+    }
+
+    if (k === b.length) break;
+    out.push(b[k]);
+    bi = k + 1;
+    oi = ko + 1;
+    ti = kt + 1;
+  }
+
+  const trailingNewline = [ours, theirs].some((s) => s && s.endsWith("\n"));
+  const content = out.join("\n") + (out.length > 0 && trailingNewline ? "\n" : "");
+  return { content, conflicts, clean: conflicts.length === 0 };
+}
@@ -55,6 +55,8 @@ export function deriveHeuristicKey(item) {
  * @param {string} options.projectSize - "small" | "medium" | "large"
  * @param {string} options.source - "cli" | "skill"
  * @param {Array<object>} options.items - Recommendation items with status
+ *   ("approved" | "skipped" | "modified", or "filtered" when excluded by
+ *   --only/--exclude and never offered to the user)
  * @returns {object} The feedback record
  */
 export function createFeedbackRecord(options) {
@@ -72,7 +74,10 @@ export function createFeedbackRecord(options) {
   const approved = items.filter((i) => i.status === "approved").length;
   const skipped = items.filter((i) => i.status === "skipped").length;
   const modified = items.filter((i) => i.status === "modified").length;
+  const filtered = items.filter((i) => i.status === "filtered").length;
   const total = items.length;
+  // Filtered items were never offered, so they don't count toward approval
+  const offered = total - filtered;
 
   return {
     sessionId,
@@ -101,7 +106,8 @@ export function createFeedbackRecord(options) {
       approved,
       skipped,
       modified,
-      approvalRate: total > 0 ? Math.round((approved / total) * 100) : 0,
+      filtered,
+      approvalRate: offered > 0 ? Math.round((approved / offered) * 100) : 0,
     },
   };
 }
@@ -194,6 +200,8 @@ export function aggregateFeedback(records) {
     byTemplate[tid].sessions++;
 
     for (const item of record.items || []) {
+      // Items filtered out with --only/--exclude say nothing about their quality
+      if (item.status === "filtered") continue;
       totalItems++;
       if (item.status === "approved") totalApproved++;
 
@@ -0,0 +1,113 @@
+import { join } from "node:path";
+import { rm } from "node:fs/promises";
+import { readFileIfExists, writeFileWithDir } from "./utils.mjs";
+import { DEFAULT_GUARD_TOOLS } from "./guards.mjs";
+import { DEFAULT_SCOPE } from "./scopes.mjs";
+
+/**
+ * Guard policy — every guard compiled into the project's hooks, in
+ * .claude/agentic-rig/guards.json:
+ *
+ *   { "version": 1, "guards": [
+ *     { "name": "env-files", "paths": [".env", ".env.*"], "tools": ["Write", "Edit"],
+ *       "reason": "...", "template": "shopify-theme" },
+ *     { "name": "secrets", "paths": ["config/secrets/"], "tools": ["Write", "Edit", "Bash"],
+ *       "reason": "..." }
+ *   ] }
+ *
+ * `init` and `upgrade` record the template's guards (tagged with the
+ * template ID); `agentic-rig guard add` records the project's own. Either
+ * way each entry is compiled into .claude/hooks/guard-<name>.mjs and a
+ * PreToolUse hook, so the file is the one place to review what is protected.
+ * Template guards written to another scope record it in `scope` (their
+ * script and hook then live where scopes.mjs puts that scope's).
+ */
+
+export const POLICY_VERSION = 1;
+
+/**
+ * Returns the path to the guard policy for a project.
+ */
+export function getGuardPolicyPath(projectRoot) {
+  return join(projectRoot, ".claude", "agentic-rig", "guards.json");
+}
+
+/**
+ * Load the guard policy. Returns an empty policy if missing or unreadable.
+ */
+export async function loadGuardPolicy(projectRoot) {
+  const content = await readFileIfExists(getGuardPolicyPath(projectRoot));
+  try {
+    const policy = content ? JSON.parse(content) : null;
+    if (policy && Array.isArray(policy.guards)) return policy;
+  } catch {
+    // Fall through to an empty policy
+  }
+  return { version: POLICY_VERSION, guards: [] };
+}
+
+/**
+ * Save the guard policy, removing the file once it lists no guards.
+ */
+export async function saveGuardPolicy(projectRoot, policy) {
+  const path = getGuardPolicyPath(projectRoot);
+  if (policy.guards.length === 0) {
+    await rm(path, { force: true });
+    return;
+  }
+  await writeFileWithDir(path, JSON.stringify(policy, null, 2) + "\n");
+}
+
+/**
+ * The policy entry for a guard: its definition with the tool scope spelled
+ * out, `template` set for guards that come from a template, and `scope`
+ * for guards installed outside the project scope.
+ */
+export function policyEntry(guard, templateId, scope) {
+  const entry = {
+    name: guard.name,
+    paths: guard.paths,
+    tools: guard.tools || DEFAULT_GUARD_TOOLS,
+    reason: guard.reason,
+  };
+  if (templateId) entry.template = templateId;
+  if (scope && scope !== DEFAULT_SCOPE) entry.scope = scope;
+  return entry;
+}
+
+/**
+ * Add a guard to the policy, replacing an entry with the same name.
+ */
+export function upsertGuard(policy, entry) {
+  const index = policy.guards.findIndex((g) => g.name === entry.name);
+  if (index === -1) policy.guards.push(entry);
+  else policy.guards[index] = entry;
+}
+
+/**
+ * Names of the template's guards that one of the project's own guards
+ * already uses. Template guards never replace those, so init and upgrade
+ * refuse to go on until one side is renamed or left out.
+ */
+export function findGuardCollisions(policy, template) {
+  const own = new Set(policy.guards.filter((g) => !g.template).map((g) => g.name));
+  return (template.guards || []).map((g) => g.name).filter((name) => own.has(name));
+}
+
+/**
+ * Record a template's guards after init or upgrade. Template entries whose
+ * guard the manifest no longer tracks (excluded, or dropped by the
+ * template) are removed; the project's own guards are left alone, even
+ * when a template guard has the same name (see findGuardCollisions).
+ */
+export function syncTemplateGuards(policy, template, manifest) {
+  const guards = manifest.artifacts.filter((a) => a.type === "guard");
+  const scopes = new Map(guards.filter((a) => !a.retained).map((a) => [a.name, a.scope]));
+  const own = new Set(policy.guards.filter((g) => !g.template).map((g) => g.name));
+  for (const guard of template.guards || []) {
+    if (own.has(guard.name)) continue;
+    upsertGuard(policy, policyEntry(guard, template.meta.id, scopes.get(guard.name)));
+  }
+  const tracked = new Set(guards.map((a) => a.name));
+  policy.guards = policy.guards.filter((g) => !g.template || tracked.has(g.name));
+}
@@ -0,0 +1,185 @@
+import { scopeTarget, resolveTarget } from "./scopes.mjs";
+import { globToRegExp } from "./detection.mjs";
+
+/**
+ * Guards — PreToolUse hooks that block tool calls on protected paths.
+ *
+ * Templates declare guards in a `## guards` JSON block:
+ *
+ *   [{ "name": "env-files", "paths": [".env", ".env.*"], "tools": ["Write", "Edit"],
+ *      "reason": "Do not edit .env files — they contain secrets" }]
+ *
+ * `init` compiles each guard into a dependency-free Node script,
+ * .claude/hooks/guard-<name>.mjs, run by a PreToolUse hook. The script
+ * reads the hook payload from stdin, matches `tool_input.file_path` (or
+ * the words of a Bash command) against the globs, and on a match prints
+ * the reason and exits 2, which blocks the call. Unlike shell `case`
+ * one-liners this runs the same on Windows.
+ *
+ * A guard may list expected cases, which `template validate` checks against
+ * its globs and `agentic-rig hooks test --suite` runs against the installed
+ * hooks:
+ *
+ *   "tests": { "block": [".env.local"], "allow": ["src/env.ts"] }
+ */
+
+export const GUARD_TOOLS = ["Write", "Edit", "MultiEdit", "NotebookEdit", "Bash"];
+export const DEFAULT_GUARD_TOOLS = ["Write", "Edit"];
+export const GUARD_HOOKS_DIR = ".claude/hooks";
+const GUARD_NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Path of a guard's script: project-relative, or under "~/" for the user scope.
+ */
+export function guardScriptPath(name, scope) {
+  return `${scope ? scopeTarget(scope, "hooks") : GUARD_HOOKS_DIR}/guard-${name}.mjs`;
+}
+
+/**
+ * The PreToolUse hook entry that runs a guard's script. Project scripts are
+ * run from $CLAUDE_PROJECT_DIR, so the hook works whatever the shell's
+ * working directory; user-scope scripts are run by absolute path.
+ */
+export function guardHook(guard, scope) {
+  const script = guardScriptPath(guard.name, scope);
+  return {
+    matcher: (guard.tools || DEFAULT_GUARD_TOOLS).join("|"),
+    command: script.startsWith("~/") ? `node ${JSON.stringify(resolveTarget("", script))}` : `node "$CLAUDE_PROJECT_DIR/${script}"`,
+  };
+}
+
+/**
+ * Problems with a guard definition's name, paths, reason and tools, as
+ * messages to follow its label. Returns [] when it is valid.
+ */
+export function checkGuard(guard) {
+  const problems = [];
+  if (typeof guard.name !== "string" || !GUARD_NAME.test(guard.name)) {
+    problems.push(`needs a "name" of lowercase letters, digits and dashes`);
+  }
+  if (!Array.isArray(guard.paths) || guard.paths.length === 0 || !guard.paths.every((p) => typeof p === "string" && p)) {
+    problems.push(`needs "paths", a non-empty array of globs`);
+  }
+  if (typeof guard.reason !== "string" || !guard.reason.trim()) {
+    problems.push(`is missing a "reason" string`);
+  }
+  if (guard.tools !== undefined) {
+    const unknown = Array.isArray(guard.tools) ? guard.tools.filter((t) => !GUARD_TOOLS.includes(t)) : [guard.tools];
+    if (unknown.length > 0) {
+      problems.push(`has unknown tools ${unknown.map((t) => JSON.stringify(t)).join(", ")} (expected ${GUARD_TOOLS.join(", ")})`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * The RegExp for a guard glob over "/"-separated project-relative paths.
+ * Globs are read as in .gitignore: a trailing "/" means everything below a
+ * directory, and a glob without a "/" matches the file name at any depth.
+ */
+function guardRegExp(glob) {
+  let pattern = glob.replace(/\\/g, "/").replace(/^\.\//, "");
+  if (pattern.endsWith("/")) pattern += "**";
+  return globToRegExp(pattern.includes("/") ? pattern : `**/${pattern}`);
+}
+
+/**
+ * The compiled form of a guard embedded in its script.
+ */
+export function compileGuard(guard) {
+  return {
+    name: guard.name,
+    tools: guard.tools || DEFAULT_GUARD_TOOLS,
+    patterns: guard.paths.map((p) => guardRegExp(p).source),
+    reason: guard.reason,
+  };
+}
+
+/**
+ * Whether a guard's globs cover a project-relative path.
+ */
+export function guardProtects(guard, path) {
+  const normalized = path.replace(/\\/g, "/").replace(/^\.\//, "");
+  return guard.paths.some((glob) => guardRegExp(glob).test(normalized));
+}
+
+/**
+ * The first path a tool call touches that a compiled guard protects, or
+ * null. Paths are made relative to $CLAUDE_PROJECT_DIR, else to the
+ * payload's cwd. Embedded in the guard scripts via Function.prototype.toString,
+ * so it must not refer to anything outside its own body.
+ */
+export function matchGuard(compiled, payload) {
+  if (!payload || !compiled.tools.includes(payload.tool_name)) return null;
+  const input = payload.tool_input || {};
+  const slashes = (p) => String(p).replace(/\\/g, "/");
+  const root = slashes(process.env.CLAUDE_PROJECT_DIR || payload.cwd || process.cwd()).replace(/\/$/, "");
+  const candidates = payload.tool_name === "Bash"
+    ? String(input.command || "").split(/[\s'"`;|&<>()]+/)
+    : [input.file_path, input.notebook_path];
+  const flags = process.platform === "win32" ? "i" : "";
+  const patterns = compiled.patterns.map((source) => new RegExp(source, flags));
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    let path = slashes(candidate);
+    if (path.toLowerCase().startsWith(`${root.toLowerCase()}/`)) path = path.slice(root.length + 1);
+    path = path.replace(/^\.\//, "");
+    if (patterns.some((re) => re.test(path))) return path;
+  }
+  return null;
+}
+
+/**
+ * Read the hook payload from stdin and block the call when it matches.
+ * Embedded in the guard scripts like matchGuard.
+ */
+function runGuard(compiled) {
+  let input = "";
+  process.stdin.setEncoding("utf8");
+  process.stdin.on("data", (chunk) => (input += chunk));
+  process.stdin.on("end", () => {
+    let payload = null;
+    try {
+      payload = JSON.parse(input);
+    } catch {
+      // Not a hook payload; nothing to check
+    }
+    const path = matchGuard(compiled, payload);
+    if (path) {
+      process.stderr.write(`BLOCKED: ${compiled.reason} (${path})\n`);
+      process.exit(2);
+    }
+  });
+}
+
+/**
+ * Source of a guard's Node script.
+ */
+export function renderGuardScript(guard) {
+  return [
+    "#!/usr/bin/env node",
+    `// Guard "${guard.name}", generated by agentic-rig. It is rewritten by`,
+    "// `agentic-rig upgrade`; change the guard definition instead of this file.",
+    "",
+    `const GUARD = ${JSON.stringify(compileGuard(guard), null, 2)};`,
+    "",
+    matchGuard.toString(),
+    "",
+    runGuard.toString(),
+    "",
+    "runGuard(GUARD);",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Add the hook entries for a template's guards to its PreToolUse hooks,
+ * running the scripts where `scope` puts them. Returns a new template.
+ */
+export function addGuardHooks(template, scope) {
+  if (!template.guards || template.guards.length === 0) return template;
+  const hooks = { ...(template.hooks || {}) };
+  hooks.PreToolUse = [...(hooks.PreToolUse || []), ...template.guards.map((g) => guardHook(g, scope))];
+  return { ...template, hooks };
+}
@@ -0,0 +1,199 @@
+import { spawn } from "node:child_process";
+import { mkdtemp, mkdir, cp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join, dirname, relative, resolve, isAbsolute, sep } from "node:path";
+import { fileExists } from "./utils.mjs";
+import { GUARD_HOOKS_DIR } from "./guards.mjs";
+
+/**
+ * Simulated tool calls for `agentic-rig hooks test`.
+ *
+ * Hooks configured in settings.json are run the way Claude Code runs them:
+ * every command hook whose matcher matches the tool gets the JSON payload
+ * on stdin, and exit code 2 (or a JSON "block"/"deny" decision) from a
+ * PreToolUse hook blocks the call, in which case PostToolUse hooks don't run.
+ * Commands run in a temporary copy of the project's .claude/hooks, so
+ * nothing in the project is touched. Commands that go through a package
+ * runner (npx, pnpm, yarn, bunx, ...) need the project's dependencies,
+ * which the sandbox doesn't have, so they are skipped instead of letting
+ * npx fetch packages into it.
+ */
+
+export const TEST_EVENTS = ["PreToolUse", "PostToolUse"];
+
+// Seconds a hook may run before it is stopped, unless it sets its own `timeout`
+const DEFAULT_TIMEOUT = 10;
+
+// A package runner invoked anywhere in a shell command
+const PACKAGE_RUNNER_RE = /(^|[\s;&|(`])(npx|pnpx|bunx|pnpm|yarn|(npm|bun)\s+(x|exec|run|run-script))(?=\s|$)/;
+
+/**
+ * Whether a hook command runs the project's tools through a package
+ * runner, and so can't run in the sandbox.
+ */
+export function needsProject(command) {
+  return PACKAGE_RUNNER_RE.test(command);
+}
+
+/**
+ * Command hooks configured for an event in settings.json (nested schema).
+ * Returns [{ event, matcher, command, timeout }].
+ */
+export function listConfiguredHooks(settings, event) {
+  const groups = settings.hooks?.[event];
+  if (!Array.isArray(groups)) return [];
+  return groups.flatMap((group) =>
+    (Array.isArray(group?.hooks) ? group.hooks : [])
+      .filter((h) => h.type === "command" && typeof h.command === "string")
+      .map((h) => ({ event, matcher: group.matcher || "", command: h.command, timeout: h.timeout }))
+  );
+}
+
+/**
+ * Whether a hook matcher applies to a tool. Matchers are regular
+ * expressions over the tool name; an empty matcher or "*" matches all.
+ */
+export function matcherApplies(matcher, tool) {
+  if (!matcher || matcher === "*") return true;
+  try {
+    return new RegExp(`^(?:${matcher})$`).test(tool);
+  } catch {
+    return matcher === tool;
+  }
+}
+
+/**
+ * Build the payload a hook receives on stdin for a tool call in `cwd`.
+ */
+export function buildPayload(event, { tool, path, command }, cwd) {
+  const toolInput = tool === "Bash"
+    ? { command }
+    : { file_path: join(cwd, path), ...(tool === "Write" ? { content: "" } : { old_string: "", new_string: "" }) };
+  return {
+    session_id: "agentic-rig-hooks-test",
+    cwd,
+    hook_event_name: event,
+    tool_name: tool,
+    tool_input: toolInput,
+  };
+}
+
+/**
+ * A `--path` as a forward-slash path relative to the project: relative
+ * paths are taken as is, absolute ones must lie inside `projectRoot`.
+ * Returns null for a path outside the project.
+ */
+export function projectRelativePath(projectRoot, path) {
+  const rel = relative(projectRoot, resolve(projectRoot, path));
+  if (!rel || rel.startsWith("..") || isAbsolute(rel)) return null;
+  return rel.split(sep).join("/");
+}
+
+/**
+ * Create a scratch project with a copy of .claude/hooks and of the files
+ * `paths` name (relative to the project, see projectRelativePath), so
+ * hooks can run without touching the project.
+ * Returns the sandbox directory; remove it with removeSandbox().
+ */
+export async function createSandbox(projectRoot, paths = []) {
+  const dir = await mkdtemp(join(tmpdir(), "agentic-rig-hooks-"));
+  const hooksDir = join(projectRoot, GUARD_HOOKS_DIR);
+  if (await fileExists(hooksDir)) {
+    await cp(hooksDir, join(dir, GUARD_HOOKS_DIR), { recursive: true });
+  }
+  for (const path of paths) {
+    // Nothing outside the sandbox is created or copied
+    const rel = relative(dir, join(dir, path));
+    if (!rel || rel.startsWith("..") || isAbsolute(path)) continue;
+    await mkdir(dirname(join(dir, path)), { recursive: true });
+    if (await fileExists(join(projectRoot, path))) {
+      await cp(join(projectRoot, path), join(dir, path), { recursive: true });
+    }
+  }
+  return dir;
+}
+
+export async function removeSandbox(dir) {
+  await rm(dir, { recursive: true, force: true });
+}
+
+/**
+ * Run a hook command through the shell with `payload` on stdin.
+ * Returns { exitCode, stdout, stderr, timedOut }.
+ */
+export function runHookCommand(command, { cwd, payload, timeout = DEFAULT_TIMEOUT, env = {} }) {
+  return new Promise((resolve) => {
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      // npx must never install anything, even for a command needsProject() misses
+      env: { ...process.env, CLAUDE_PROJECT_DIR: cwd, npm_config_yes: "false", ...env },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, timeout * 1000);
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.stdin.on("error", () => {
+      // The hook exited without reading its input
+    });
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      resolve({ exitCode: 1, stdout, stderr: stderr || err.message, timedOut });
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ exitCode: code ?? 1, stdout, stderr, timedOut });
+    });
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+/**
+ * Whether a hook's result blocks the tool call: exit code 2, or JSON
+ * output with a "block" decision or a "deny" permission decision.
+ */
+export function isBlocking(result) {
+  if (result.exitCode === 2) return true;
+  if (result.exitCode !== 0) return false;
+  try {
+    const output = JSON.parse(result.stdout);
+    return output?.decision === "block" || output?.hookSpecificOutput?.permissionDecision === "deny";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Simulate a tool call (`{ tool, path }` or `{ tool: "Bash", command }`)
+ * against the configured hooks in `sandbox`.
+ * Returns { blocked, results: [{ event, matcher, command, exitCode, stdout, stderr, timedOut, blocking, skipped }] },
+ * where `skipped` marks hooks that were not run (see needsProject).
+ */
+export async function simulateToolCall(settings, call, sandbox, { events = TEST_EVENTS } = {}) {
+  const results = [];
+  let blocked = false;
+  for (const event of events) {
+    // A blocked call never happens, so nothing runs after it
+    if (blocked) break;
+    const payload = buildPayload(event, call, sandbox);
+    const env = call.path ? { CLAUDE_FILE_PATHS: payload.tool_input.file_path } : {};
+    for (const hook of listConfiguredHooks(settings, event)) {
+      if (!matcherApplies(hook.matcher, call.tool)) continue;
+      if (needsProject(hook.command)) {
+        results.push({ ...hook, exitCode: 0, stdout: "", stderr: "", timedOut: false, blocking: false, skipped: true });
+        continue;
+      }
+      const result = await runHookCommand(hook.command, { cwd: sandbox, payload, timeout: hook.timeout, env });
+      const blocking = event === "PreToolUse" && isBlocking(result);
+      if (blocking) blocked = true;
+      results.push({ ...hook, ...result, blocking, skipped: false });
+    }
+  }
+  return { blocked, results };
+}
@@ -0,0 +1,348 @@
+import { createHash } from "node:crypto";
+import { join } from "node:path";
+import { readFileIfExists, writeFileWithDir } from "./utils.mjs";
+import { getManagedRegion } from "./claude-md.mjs";
+import { parseSettings, hasHook, hasPermission, migrateLegacyHooks, PERMISSION_LISTS } from "./settings.mjs";
+import { guardScriptPath, renderGuardScript } from "./guards.mjs";
+import { DEFAULT_SCOPE, USER_CONFIG_PATH, scopeTarget, resolveTarget, scopedMcpServers } from "./scopes.mjs";
+
+/**
+ * Applied-config manifest — records which template(s) and versions `init`
+ * applied, and the content and hash of every generated artifact, in
+ * .claude/agentic-rig/applied.json. `upgrade` uses the recorded content
+ * as the base of a three-way merge.
+ *
+ * Artifacts:
+ * - claude_md   the template's CLAUDE.md managed region (`file` holds the full file as generated)
+ * - hook        one command under settings.hooks.<event> in .claude/settings.json
+ * - permission  one rule under settings.permissions.<allow|ask|deny>
+ * - mcp_server  one server in .mcp.json
+ * - guard       .claude/hooks/guard-<name>.mjs (its hook entry is a `hook` artifact)
+ * - skill       .claude/skills/<name>/SKILL.md
+ * - agent       .claude/agents/<name>.md
+ *
+ * Each artifact records `added` — whether agentic-rig put it there, as
+ * opposed to it already existing — and `createdFiles` lists the files
+ * agentic-rig created, so `revert` removes only what was generated.
+ * `scope` is the settings scope the artifact was written to (see
+ * scopes.mjs), and `path` its file there; a "~/" path is under the home
+ * directory. Manifests from before scopes have no `scope`: project.
+ * Artifacts from an earlier init of a different template are kept with
+ * `retained: true` so they can still be reverted.
+ */
+
+export const MANIFEST_VERSION = 1;
+
+export const SETTINGS_PATH = ".claude/settings.json";
+export const MCP_PATH = ".mcp.json";
+// Where MCP servers were written before they moved to the project root
+export const LEGACY_MCP_PATH = ".claude/.mcp.json";
+
+/**
+ * Returns the path to the applied-config manifest for a project.
+ */
+export function getManifestPath(projectRoot) {
+  return join(projectRoot, ".claude", "agentic-rig", "applied.json");
+}
+
+/**
+ * Load the manifest. Returns null if missing or unreadable.
+ */
+export async function loadManifest(projectRoot) {
+  const content = await readFileIfExists(getManifestPath(projectRoot));
+  if (!content) return null;
+  try {
+    const manifest = JSON.parse(content);
+    return manifest && Array.isArray(manifest.artifacts) ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save the manifest.
+ */
+export async function saveManifest(projectRoot, manifest) {
+  await writeFileWithDir(getManifestPath(projectRoot), JSON.stringify(manifest, null, 2) + "\n");
+}
+
+/**
+ * Hash artifact content. Returns "sha256:<hex>".
+ */
+export function hashContent(content) {
+  return "sha256:" + createHash("sha256").update(content ?? "").digest("hex");
+}
+
+/**
+ * Stable JSON serialization (sorted keys) so equal configs hash equally.
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Stable ID for a hook entry. Hooks have no name; the entry itself is its identity.
+ */
+export function hookId(event, hook) {
+  return `hook:${event}:${hashContent(stableStringify(hook)).slice(7, 19)}`;
+}
+
+/**
+ * Stable ID for a permission rule in one of the allow/ask/deny lists.
+ */
+export function permissionKey(list, rule) {
+  return `permission:${list}:${rule}`;
+}
+
+/**
+ * List the artifacts a (composed, variable-substituted) template generates
+ * when written to `scope`. Guard hook entries are included once
+ * addGuardHooks has run on it.
+ * Returns [{ id, type, scope, path, content, hash }] plus `event` for hooks
+ * and `list` for permission rules.
+ */
+export function collectArtifacts(template, scope = DEFAULT_SCOPE) {
+  const artifacts = [];
+  const add = (artifact) => artifacts.push({ ...artifact, scope, hash: hashContent(artifact.content) });
+  const settingsPath = scopeTarget(scope, "settings");
+
+  if (template.claude_md) {
+    const region = template.meta.id;
+    add({ id: `claude_md:${region}`, type: "claude_md", region, path: scopeTarget(scope, "claude_md"), content: template.claude_md.trim() });
+  }
+
+  for (const [event, hookList] of Object.entries(template.hooks || {})) {
+    if (!Array.isArray(hookList)) continue;
+    for (const hook of hookList) {
+      add({ id: hookId(event, hook), type: "hook", event, path: settingsPath, content: JSON.stringify(hook) });
+    }
+  }
+
+  for (const list of PERMISSION_LISTS) {
+    for (const rule of template.permissions?.[list] || []) {
+      add({ id: permissionKey(list, rule), type: "permission", list, path: settingsPath, content: rule });
+    }
+  }
+
+  for (const [name, config] of Object.entries(template.mcp_servers || {})) {
+    add({ id: `mcp:${name}`, type: "mcp_server", name, path: scopeTarget(scope, "mcp"), content: JSON.stringify(config) });
+  }
+
+  for (const guard of template.guards || []) {
+    const { name } = guard;
+    add({ id: `guard:${name}`, type: "guard", name, path: guardScriptPath(name, scope), content: renderGuardScript(guard) });
+  }
+
+  for (const [name, content] of Object.entries(template.skills || {})) {
+    add({ id: `skill:${name}`, type: "skill", name, path: `${scopeTarget(scope, "skills")}/${name}/SKILL.md`, content });
+  }
+
+  for (const [name, content] of Object.entries(template.agents || {})) {
+    add({ id: `agent:${name}`, type: "agent", name, path: `${scopeTarget(scope, "agents")}/${name}.md`, content });
+  }
+
+  return artifacts;
+}
+
+/**
+ * Identity of an artifact across manifests: its ID, qualified by scope
+ * outside the project scope, so moving an item to another scope removes
+ * it from the old one.
+ */
+export function artifactKey(artifact) {
+  const scope = artifact.scope || DEFAULT_SCOPE;
+  return scope === DEFAULT_SCOPE ? artifact.id : `${artifact.id}@${scope}`;
+}
+
+// Artifact types kept in a settings file
+const SETTINGS_TYPES = ["hook", "permission"];
+
+/**
+ * Read the parts of the project artifacts live in: the settings files,
+ * .mcp.json, ~/.claude.json (for local and user MCP servers), and the
+ * CLAUDE.md, guard, skill and agent files of `artifacts`.
+ * `settings` is the project's settings.json, with legacy flat hook entries
+ * migrated in memory (`legacyHooks` counts them); `settingsFiles` maps each
+ * settings path to its parsed content. Servers still in the legacy
+ * .claude/.mcp.json are read into `legacyMcp`. `userConfig` is null when
+ * ~/.claude.json cannot be parsed, so it is never overwritten.
+ * Throws SettingsParseError when a settings file is invalid.
+ */
+export async function readProjectState(projectRoot, artifacts) {
+  const read = (path) => readFileIfExists(resolveTarget(projectRoot, path));
+  const readJson = async (path) => {
+    const content = await read(path);
+    try {
+      return content ? JSON.parse(content) : {};
+    } catch {
+      return null;
+    }
+  };
+  const settings = parseSettings(await read(SETTINGS_PATH), SETTINGS_PATH);
+  const legacyHooks = migrateLegacyHooks(settings);
+  const settingsFiles = new Map([[SETTINGS_PATH, settings]]);
+  const files = new Map();
+  for (const a of artifacts) {
+    if (SETTINGS_TYPES.includes(a.type)) {
+      if (!settingsFiles.has(a.path)) settingsFiles.set(a.path, parseSettings(await read(a.path), a.path));
+    } else if (a.type !== "mcp_server" && !files.has(a.path)) {
+      files.set(a.path, await read(a.path));
+    }
+  }
+  const usesUserConfig = artifacts.some((a) => a.type === "mcp_server" && (a.scope || DEFAULT_SCOPE) !== DEFAULT_SCOPE);
+  return {
+    projectRoot,
+    settings,
+    settingsFiles,
+    legacyHooks,
+    mcp: (await readJson(MCP_PATH)) || {},
+    legacyMcp: (await readJson(LEGACY_MCP_PATH)) || {},
+    userConfig: usesUserConfig ? await readJson(USER_CONFIG_PATH) : {},
+    files,
+  };
+}
+
+/**
+ * The MCP servers object an artifact's server lives in, or undefined.
+ * With `create`, missing objects are created in place.
+ */
+export function mcpServersFor(artifact, state, { create = false } = {}) {
+  const scope = artifact.scope || DEFAULT_SCOPE;
+  if (scope === DEFAULT_SCOPE) {
+    if (create) state.mcp.mcpServers = state.mcp.mcpServers || {};
+    return state.mcp.mcpServers;
+  }
+  return state.userConfig ? scopedMcpServers(state.userConfig, scope, state.projectRoot, { create }) : undefined;
+}
+
+/**
+ * Current content of an artifact in the project, or null when it is absent.
+ */
+export function currentContent(artifact, state) {
+  switch (artifact.type) {
+    case "hook": {
+      const settings = state.settingsFiles.get(artifact.path) || {};
+      return hasHook(settings, artifact.event, JSON.parse(artifact.content)) ? artifact.content : null;
+    }
+    case "permission": {
+      const settings = state.settingsFiles.get(artifact.path) || {};
+      return hasPermission(settings, artifact.list, artifact.content) ? artifact.content : null;
+    }
+    case "mcp_server": {
+      const project = (artifact.scope || DEFAULT_SCOPE) === DEFAULT_SCOPE;
+      const config = mcpServersFor(artifact, state)?.[artifact.name] ??
+        (project ? state.legacyMcp?.mcpServers?.[artifact.name] : undefined);
+      return config ? JSON.stringify(config) : null;
+    }
+    default:
+      return state.files.get(artifact.path) ?? null;
+  }
+}
+
+/**
+ * Comparable form of artifact content: JSON artifacts ignore key order.
+ */
+export function canonicalContent(type, content) {
+  if (content === null || (type !== "hook" && type !== "mcp_server")) return content;
+  return stableStringify(JSON.parse(content));
+}
+
+/**
+ * Short human-readable label for an artifact.
+ */
+export function describeArtifact(artifact) {
+  switch (artifact.type) {
+    case "hook": {
+      const hook = JSON.parse(artifact.content);
+      return `${artifact.path} ${artifact.event} hook (${hook.matcher || "all"}): ${truncate(hook.command || "", 50)}`;
+    }
+    case "permission":
+      return `${artifact.path} permissions.${artifact.list}: ${artifact.content}`;
+    case "mcp_server": {
+      const scope = artifact.scope || DEFAULT_SCOPE;
+      return scope === DEFAULT_SCOPE ? `${MCP_PATH} server "${artifact.name}"` : `${USER_CONFIG_PATH} ${scope} server "${artifact.name}"`;
+    }
+    case "claude_md":
+      return `${artifact.path} region "${artifact.region}"`;
+    default:
+      return artifact.path;
+  }
+}
+
+function truncate(text, max) {
+  return text.length > max ? text.slice(0, max - 1) + "…" : text;
+}
+
+/**
+ * Mark which artifacts are not yet in the project, i.e. will be added by
+ * writing them. `state` is the project state before writing. The
+ * CLAUDE.md region is added unless an earlier init already wrote it.
+ */
+export function markAdded(artifacts, state) {
+  return artifacts.map((a) => ({
+    ...a,
+    added: a.type === "claude_md"
+      ? getManagedRegion(state.files.get(a.path) ?? null, a.region) === null
+      : currentContent(a, state) === null,
+  }));
+}
+
+/**
+ * Fold the previous manifest into a new one: artifacts added by an earlier
+ * init stay marked as added, lines merged into CLAUDE.md sections are
+ * remembered, artifacts the new template no longer produces are kept as
+ * `retained`, and created files accumulate.
+ */
+export function carryOverManifest(previous, manifest) {
+  if (!previous) return manifest;
+  const prevByKey = new Map(previous.artifacts.map((a) => [artifactKey(a), a]));
+  const keys = new Set(manifest.artifacts.map(artifactKey));
+
+  const artifacts = manifest.artifacts.map((a) => {
+    const prev = prevByKey.get(artifactKey(a));
+    const carried = { ...a, added: a.added || Boolean(prev?.added) };
+    if (a.type === "claude_md" && prev?.merged) {
+      // Lines merged into user sections last time are already there now
+      const seen = new Set((a.merged || []).map((m) => `${m.heading}\n${m.text}`));
+      carried.merged = [...(a.merged || []), ...prev.merged.filter((m) => !seen.has(`${m.heading}\n${m.text}`))];
+    }
+    return carried;
+  });
+  for (const a of previous.artifacts) {
+    if (!keys.has(artifactKey(a))) artifacts.push({ ...a, retained: true });
+  }
+  const createdFiles = [...new Set([...(previous.createdFiles || []), ...manifest.createdFiles])];
+  return { ...manifest, artifacts, createdFiles };
+}
+
+/**
+ * Build a manifest record for an applied template.
+ * `templateIds` are the IDs as requested (before `extends:` expansion),
+ * so `upgrade` can resolve and compose them again; `excluded` lists the
+ * keys of items the user chose not to generate, `mcpRenames` the MCP
+ * servers added under another name because theirs was taken, and `scope`
+ * the --scope every item was written to (null: the template's defaults).
+ */
+export function createManifest({ templateIds, chain, template, variables, excluded, mcpRenames, scope, artifacts, createdFiles }) {
+  return {
+    version: MANIFEST_VERSION,
+    appliedAt: new Date().toISOString(),
+    templateIds,
+    template: {
+      id: template.meta.id,
+      name: template.meta.name,
+      version: template.meta.version ?? null,
+    },
+    templates: chain.map((t) => ({ id: t.meta.id, version: t.meta.version ?? null })),
+    variables: variables || {},
+    excluded: excluded || [],
+    mcpRenames: mcpRenames || {},
+    scope: scope || null,
+    artifacts,
+    createdFiles: createdFiles || [],
+  };
+}
@@ -0,0 +1,132 @@
+import { stableStringify } from "./manifest.mjs";
+
+/**
+ * Project-scoped MCP servers, in `.mcp.json` at the project root.
+ *
+ * Earlier versions of agentic-rig wrote `.claude/.mcp.json`, which Claude
+ * Code doesn't read; migrateLegacyMcp moves those servers to the root file.
+ * A template server whose name is already taken by a different definition
+ * is a conflict, resolved per server by keeping the existing definition,
+ * replacing it, or adding the template's under another name.
+ */
+
+export const MCP_RESOLUTIONS = ["keep", "replace", "rename"];
+
+/**
+ * Parse .mcp.json content. Returns {} when missing or invalid.
+ */
+export function parseMcpConfig(content) {
+  try {
+    const mcp = content ? JSON.parse(content) : {};
+    return mcp && typeof mcp === "object" && !Array.isArray(mcp) ? mcp : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Whether two server definitions are the same, ignoring key order.
+ */
+export function sameServer(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Template servers whose name is taken by a different definition.
+ * Returns [{ name, existing, template }].
+ */
+export function findMcpConflicts(mcp, servers) {
+  const conflicts = [];
+  for (const [name, config] of Object.entries(servers || {})) {
+    const existing = mcp.mcpServers?.[name];
+    if (existing && !sameServer(existing, config)) {
+      conflicts.push({ name, existing, template: config });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * One-line summary of a server definition.
+ */
+export function describeServer(config) {
+  return [config.command, ...(config.args || [])].filter(Boolean).join(" ") || config.url || JSON.stringify(config);
+}
+
+/**
+ * Apply conflict resolutions (`{ name: { action, newName } }`) to template
+ * servers: "keep" drops the template's server, "rename" moves it to
+ * `newName`, "replace" leaves it to overwrite the existing one.
+ * Returns { servers, kept: [name], renames: { name: newName } }.
+ */
+export function applyMcpResolutions(servers, resolutions) {
+  const result = {};
+  const kept = [];
+  const renames = {};
+  for (const [name, config] of Object.entries(servers || {})) {
+    const resolution = resolutions[name];
+    if (resolution?.action === "keep") {
+      kept.push(name);
+    } else if (resolution?.action === "rename") {
+      renames[name] = resolution.newName;
+      result[resolution.newName] = config;
+    } else {
+      result[name] = config;
+    }
+  }
+  return { servers: result, kept, renames };
+}
+
+/**
+ * Rename template servers as recorded by an earlier init (`{ name: newName }`).
+ * Returns a new template.
+ */
+export function renameMcpServers(template, renames) {
+  if (!template.mcp_servers || !renames || Object.keys(renames).length === 0) return template;
+  const servers = {};
+  for (const [name, config] of Object.entries(template.mcp_servers)) {
+    servers[renames[name] || name] = config;
+  }
+  return { ...template, mcp_servers: servers };
+}
+
+/**
+ * Move servers from the legacy `.claude/.mcp.json` config into the root
+ * config, both in place. A name the root file already defines keeps the
+ * root definition. Returns { moved: [name], shadowed: [name] }, where
+ * `shadowed` lists legacy servers dropped in favour of a different root one.
+ */
+export function migrateLegacyMcp(mcp, legacy) {
+  const moved = [];
+  const shadowed = [];
+  for (const [name, config] of Object.entries(legacy.mcpServers || {})) {
+    const existing = mcp.mcpServers?.[name];
+    if (existing && !sameServer(existing, config)) {
+      shadowed.push(name);
+      continue;
+    }
+    mcp.mcpServers = mcp.mcpServers || {};
+    mcp.mcpServers[name] = config;
+    moved.push(name);
+  }
+  delete legacy.mcpServers;
+  return { moved, shadowed };
+}
+
+/**
+ * Content for the legacy config once its servers are moved out, or null
+ * when nothing else is left in it and it can be removed.
+ */
+export function legacyMcpContent(legacy) {
+  return Object.keys(legacy).length > 0 ? JSON.stringify(legacy, null, 2) : null;
+}
+
+/**
+ * Merge template servers into .mcp.json content. A server with the same
+ * name is replaced, so resolve conflicts first. Returns the new content.
+ */
+export function mergeMcpJson(existing, newServers) {
+  const mcp = parseMcpConfig(existing);
+  mcp.mcpServers = { ...(mcp.mcpServers || {}), ...newServers };
+  return JSON.stringify(mcp, null, 2);
+}
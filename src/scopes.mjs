@@ -0,0 +1,97 @@
+import { homedir } from "node:os";
+import { join, resolve } from "node:path";
+
+/**
+ * Settings scopes — where generated items go, as in Claude Code:
+ *
+ *   project  shared with the team and committed: .claude/settings.json,
+ *            .mcp.json, CLAUDE.md, .claude/skills, .claude/agents
+ *   local    this checkout only, not committed: .claude/settings.local.json,
+ *            CLAUDE.local.md, and MCP servers under the project's entry in
+ *            ~/.claude.json
+ *   user     every project on this machine: ~/.claude/settings.json,
+ *            ~/.claude/CLAUDE.md, ~/.claude/skills, ~/.claude/agents, and
+ *            MCP servers at the top level of ~/.claude.json
+ *
+ * Skills, agents and guard scripts have no local location, so local ones
+ * go to the project's .claude directory (guard hooks still go to
+ * settings.local.json).
+ *
+ * Target paths starting with "~/" are under the home directory; the rest
+ * are relative to the project root.
+ */
+
+export const SCOPES = ["project", "local", "user"];
+export const DEFAULT_SCOPE = "project";
+
+// Where Claude Code keeps user and local MCP servers
+export const USER_CONFIG_PATH = "~/.claude.json";
+
+const TARGETS = {
+  project: {
+    settings: ".claude/settings.json",
+    claude_md: "CLAUDE.md",
+    mcp: ".mcp.json",
+    hooks: ".claude/hooks",
+    skills: ".claude/skills",
+    agents: ".claude/agents",
+  },
+  local: {
+    settings: ".claude/settings.local.json",
+    claude_md: "CLAUDE.local.md",
+    mcp: USER_CONFIG_PATH,
+    hooks: ".claude/hooks",
+    skills: ".claude/skills",
+    agents: ".claude/agents",
+  },
+  user: {
+    settings: "~/.claude/settings.json",
+    claude_md: "~/.claude/CLAUDE.md",
+    mcp: USER_CONFIG_PATH,
+    hooks: "~/.claude/hooks",
+    skills: "~/.claude/skills",
+    agents: "~/.claude/agents",
+  },
+};
+
+/**
+ * Target path for a kind of item ("settings", "claude_md", "mcp", "hooks",
+ * "skills", "agents") in a scope.
+ */
+export function scopeTarget(scope, kind) {
+  return TARGETS[scope || DEFAULT_SCOPE][kind];
+}
+
+/**
+ * Absolute path of a target path.
+ */
+export function resolveTarget(projectRoot, path) {
+  return path.startsWith("~/") ? join(homedir(), path.slice(2)) : join(projectRoot, path);
+}
+
+/**
+ * The MCP servers object for a local or user scope inside the parsed
+ * ~/.claude.json, or undefined when absent. With `create`, missing objects
+ * are created in place.
+ */
+export function scopedMcpServers(config, scope, projectRoot, { create = false } = {}) {
+  let holder = config;
+  if (scope === "local") {
+    const key = resolve(projectRoot);
+    if (!holder.projects?.[key]) {
+      if (!create) return undefined;
+      holder.projects = holder.projects || {};
+      holder.projects[key] = {};
+    }
+    holder = holder.projects[key];
+  }
+  if (!holder.mcpServers && create) holder.mcpServers = {};
+  return holder.mcpServers;
+}
+
+/**
+ * Validate a --scope value. Returns an error message, or null.
+ */
+export function checkScope(scope) {
+  return SCOPES.includes(scope) ? null : `Unknown scope "${scope}" (expected one of: ${SCOPES.join(", ")})`;
+}
@@ -0,0 +1,445 @@
+import { splitClaudeMdSections, joinClaudeMdSections } from "./compose.mjs";
+import { hookId, permissionKey } from "./manifest.mjs";
+import { deriveHeuristicKey } from "./feedback.mjs";
+import { DEFAULT_GUARD_TOOLS, guardScriptPath } from "./guards.mjs";
+import { PERMISSION_LISTS } from "./settings.mjs";
+import { SCOPES, DEFAULT_SCOPE, scopeTarget } from "./scopes.mjs";
+
+/**
+ * Per-item selection of what a template generates, numbered like the
+ * /project-setup Phase 2 report: C# (CLAUDE.md sections), H# (hooks),
+ * G# (guards), P# (permission rules), S# (skills), A# (agents), M# (MCP servers),
+ * E# (external skills).
+ *
+ * Numbers are positional and only meaningful for one run; each item also
+ * has a stable `key` (e.g. `skill:deploy`), which is what gets recorded
+ * when items are excluded. Keys follow deriveHeuristicKey, so exclusions
+ * and feedback name items the same way; hooks are the exception, keyed by
+ * content (hookId) because several may share a matcher.
+ */
+
+// Name of the CLAUDE.md text before the first section
+const INTRO_NAME = "(intro)";
+
+const CATEGORIES = [
+  { prefix: "C", category: "claude_md", title: "CLAUDE.md Sections" },
+  { prefix: "H", category: "hook", title: "Hooks" },
+  { prefix: "G", category: "guard", title: "Guards" },
+  { prefix: "P", category: "permission", title: "Permission Rules" },
+  { prefix: "S", category: "skill", title: "Skills" },
+  { prefix: "A", category: "agent", title: "Subagents" },
+  { prefix: "M", category: "mcp", title: "MCP Servers" },
+  { prefix: "E", category: "external_skill", title: "External Community Skills" },
+];
+
+const PERMISSION_SUMMARIES = {
+  allow: "runs without asking",
+  ask: "always asks for approval",
+  deny: "blocked",
+};
+
+/**
+ * List a template's items in report order.
+ * Returns [{ id, key, category, name, event?, summary, detail }].
+ */
+export function listPlanItems(template) {
+  const items = [];
+  const counters = {};
+  const add = (prefix, item) => {
+    counters[prefix] = (counters[prefix] || 0) + 1;
+    items.push({ id: `${prefix}${counters[prefix]}`, ...item });
+  };
+
+  if (template.claude_md) {
+    const { preamble, sections } = splitClaudeMdSections(template.claude_md);
+    if (preamble) {
+      add("C", { key: `claude_md:${INTRO_NAME}`, category: "claude_md", name: INTRO_NAME, summary: firstLine(preamble), detail: preamble });
+    }
+    for (const s of sections) {
+      add("C", {
+        key: `claude_md:${s.heading}`,
+        category: "claude_md",
+        name: s.heading,
+        summary: firstLine(s.body),
+        detail: `### ${s.heading}\n\n${s.body}`,
+      });
+    }
+  }
+
+  for (const [event, hookList] of Object.entries(template.hooks || {})) {
+    if (!Array.isArray(hookList)) continue;
+    for (const hook of hookList) {
+      add("H", {
+        key: hookId(event, hook),
+        category: "hook",
+        name: hook.matcher || "all",
+        event,
+        summary: `${event} ${hook.matcher || "*"}: ${hook.command || ""}`,
+        detail: JSON.stringify(hook, null, 2),
+      });
+    }
+  }
+
+  for (const guard of template.guards || []) {
+    add("G", {
+      key: `guard:${guard.name}`,
+      category: "guard",
+      name: guard.name,
+      summary: `${(guard.tools || DEFAULT_GUARD_TOOLS).join("|")} ${guard.paths.join(" ")}: ${guard.reason}`,
+      detail: JSON.stringify(guard, null, 2),
+    });
+  }
+
+  for (const list of PERMISSION_LISTS) {
+    for (const rule of template.permissions?.[list] || []) {
+      add("P", {
+        key: permissionKey(list, rule),
+        category: "permission",
+        name: `${list}:${rule}`,
+        summary: PERMISSION_SUMMARIES[list],
+        detail: `permissions.${list}: ${rule}`,
+      });
+    }
+  }
+
+  for (const [name, content] of Object.entries(template.skills || {})) {
+    add("S", { key: `skill:${name}`, category: "skill", name, summary: describe(content), detail: content });
+  }
+
+  for (const [name, content] of Object.entries(template.agents || {})) {
+    add("A", { key: `agent:${name}`, category: "agent", name, summary: describe(content), detail: content });
+  }
+
+  for (const [name, config] of Object.entries(template.mcp_servers || {})) {
+    add("M", {
+      key: `mcp:${name}`,
+      category: "mcp",
+      name,
+      summary: [config.command, ...(config.args || [])].filter(Boolean).join(" ") || config.url || "",
+      detail: JSON.stringify(config, null, 2),
+    });
+  }
+
+  for (const skill of template.external_skills || []) {
+    add("E", {
+      key: `external_skill:${skill.name}`,
+      category: "external_skill",
+      name: skill.name,
+      summary: `npx skills add ${skill.repository} --skill ${skill.skill}`,
+      detail: `${skill.name}\n  ${skill.description || ""}\n  npx skills add ${skill.repository} --skill ${skill.skill}`,
+    });
+  }
+
+  return items;
+}
+
+function firstLine(text) {
+  const line = (text || "").split("\n").find((l) => l.trim() && !l.trim().startsWith("```")) || "";
+  return truncate(line.trim(), 60);
+}
+
+function describe(content) {
+  const m = content.match(/^description:\s*(.+)$/m);
+  return truncate(m ? m[1].trim() : firstLine(content), 60);
+}
+
+function truncate(text, max) {
+  return text.length > max ? text.slice(0, max - 1) + "…" : text;
+}
+
+/**
+ * Format items as a numbered report grouped by category.
+ */
+export function formatPlanItems(items) {
+  const lines = [];
+  for (const { category, title } of CATEGORIES) {
+    const group = items.filter((i) => i.category === category);
+    if (group.length === 0) continue;
+    lines.push(`${title}:`);
+    for (const item of group) {
+      const label = item.category === "hook" ? item.summary : `${item.name} — ${item.summary}`;
+      lines.push(`  ${item.id.padEnd(4)} ${truncate(label, 100)}`);
+    }
+    lines.push("");
+  }
+  return lines.join("\n").trimEnd();
+}
+
+/**
+ * Expand a list like "H2, M1, C1-C3" into item IDs.
+ * Returns { ids, unknown } where `unknown` lists tokens that match no item.
+ */
+function expandIds(list, items) {
+  const known = new Set(items.map((i) => i.id));
+  const ids = [];
+  const unknown = [];
+  for (const token of list.split(/[\s,]+/).filter(Boolean)) {
+    const upper = token.toUpperCase();
+    const range = upper.match(/^([CHGPSAME])(\d+)-\1?(\d+)$/);
+    if (range) {
+      for (let n = Number(range[2]); n <= Number(range[3]); n++) {
+        if (known.has(`${range[1]}${n}`)) ids.push(`${range[1]}${n}`);
+      }
+      continue;
+    }
+    if (/^[CHGPSAME]$/.test(upper)) {
+      // A bare letter selects the whole category
+      ids.push(...items.filter((i) => i.id[0] === upper).map((i) => i.id));
+      continue;
+    }
+    if (known.has(upper)) ids.push(upper);
+    else unknown.push(token);
+  }
+  return { ids, unknown };
+}
+
+/**
+ * Parse an answer to the selection prompt.
+ *
+ *   ""  / "all"              every item
+ *   "all except H2,M1"       every item but those ("skip H2 M1" works too)
+ *   "C1-C3, S1"              only those items
+ *   "none"                   nothing
+ *   "detail H1"              show an item's full content
+ *   "cancel"                 abort
+ *
+ * Returns { action: "select", selected: Set<id> } | { action: "detail", item }
+ * | { action: "cancel" } | { action: "error", message }.
+ */
+export function parseSelection(answer, items) {
+  const text = answer.trim();
+  const lower = text.toLowerCase();
+  const allIds = items.map((i) => i.id);
+
+  if (lower === "" || lower === "all" || lower === "y" || lower === "yes") {
+    return { action: "select", selected: new Set(allIds) };
+  }
+  if (lower === "none") {
+    return { action: "select", selected: new Set() };
+  }
+  if (lower === "cancel" || lower === "q" || lower === "quit") {
+    return { action: "cancel" };
+  }
+
+  const detail = text.match(/^(?:detail|show)\s+(\S+)$/i);
+  if (detail) {
+    const item = items.find((i) => i.id === detail[1].toUpperCase());
+    return item ? { action: "detail", item } : { action: "error", message: `Unknown item: ${detail[1]}` };
+  }
+
+  const except = text.match(/^(?:all\s+(?:except|but)|skip|exclude)\s+(.+)$/i);
+  const { ids, unknown } = expandIds(except ? except[1] : text, items);
+  if (unknown.length > 0) {
+    return { action: "error", message: `Unknown item(s): ${unknown.join(", ")}` };
+  }
+  if (ids.length === 0) {
+    return { action: "error", message: `Could not read a selection from "${text}"` };
+  }
+
+  const chosen = new Set(ids);
+  return {
+    action: "select",
+    selected: except ? new Set(allIds.filter((id) => !chosen.has(id))) : chosen,
+  };
+}
+
+// Names accepted for a whole category in --only / --exclude
+const CATEGORY_ALIASES = {
+  claude_md: "claude_md",
+  "claude-md": "claude_md",
+  sections: "claude_md",
+  hook: "hook",
+  hooks: "hook",
+  guard: "guard",
+  guards: "guard",
+  permission: "permission",
+  permissions: "permission",
+  skill: "skill",
+  skills: "skill",
+  agent: "agent",
+  agents: "agent",
+  mcp: "mcp",
+  mcp_servers: "mcp",
+  "mcp-servers": "mcp",
+  external_skill: "external_skill",
+  external_skills: "external_skill",
+  "external-skills": "external_skill",
+};
+
+/**
+ * Apply --only / --exclude filters to plan items. Each filter is a category
+ * (`hooks`, `agents`, `mcp`, ...) or an item key as produced by
+ * deriveHeuristicKey (`skill:create-section`, `hook:PreToolUse:Bash`).
+ * A key prefix matches every item under it, so `hook:PreToolUse` matches
+ * all PreToolUse hooks.
+ *
+ * Returns { selected: Set<id>, unmatched: string[], error? } where
+ * `unmatched` lists filters that match no item.
+ */
+export function filterPlanItems(items, { only = [], exclude = [] } = {}) {
+  const matchers = new Map();
+  for (const filter of [...only, ...exclude]) {
+    const matcher = parseItemFilter(filter);
+    if (!matcher) {
+      const categories = [...new Set(Object.values(CATEGORY_ALIASES))].join(", ");
+      return { selected: new Set(), unmatched: [], error: `Unknown category in filter "${filter}" (expected one of: ${categories})` };
+    }
+    matchers.set(filter, matcher);
+  }
+
+  const matches = (filter) => items.filter(matchers.get(filter));
+  const unmatched = [...only, ...exclude].filter((f) => matches(f).length === 0);
+
+  const onlyIds = new Set(only.flatMap((f) => matches(f).map((i) => i.id)));
+  const excludeIds = new Set(exclude.flatMap((f) => matches(f).map((i) => i.id)));
+  const selected = new Set(
+    items
+      .filter((i) => only.length === 0 || onlyIds.has(i.id))
+      .filter((i) => !excludeIds.has(i.id))
+      .map((i) => i.id)
+  );
+  return { selected, unmatched };
+}
+
+/**
+ * Whether a filter names a known category (`hooks`, `skill:deploy`).
+ */
+export function isItemFilter(filter) {
+  return parseItemFilter(filter) !== null;
+}
+
+/**
+ * Turn one filter into a predicate over plan items, or null when its
+ * category is unknown.
+ */
+function parseItemFilter(filter) {
+  const at = filter.indexOf(":");
+  const category = CATEGORY_ALIASES[(at === -1 ? filter : filter.slice(0, at)).toLowerCase()];
+  if (!category) return null;
+  if (at === -1) return (item) => item.category === category;
+
+  const key = `${category}:${filter.slice(at + 1)}`;
+  return (item) => {
+    if (item.category !== category) return false;
+    const itemKey = deriveHeuristicKey(item);
+    return itemKey === key || itemKey.startsWith(`${key}:`);
+  };
+}
+
+/**
+ * Remove excluded items from a template. `excludedKeys` are item keys.
+ * Returns a new template.
+ */
+export function excludeItems(template, excludedKeys) {
+  const excluded = new Set(excludedKeys.map(currentItemKey));
+  if (excluded.size === 0) return template;
+  const result = { ...template };
+
+  if (template.claude_md) {
+    const { preamble, sections } = splitClaudeMdSections(template.claude_md);
+    result.claude_md = joinClaudeMdSections({
+      preamble: excluded.has(`claude_md:${INTRO_NAME}`) ? "" : preamble,
+      sections: sections.filter((s) => !excluded.has(`claude_md:${s.heading}`)),
+    });
+  }
+
+  if (template.hooks) {
+    result.hooks = {};
+    for (const [event, hookList] of Object.entries(template.hooks)) {
+      if (!Array.isArray(hookList)) continue;
+      const kept = hookList.filter((h) => !excluded.has(hookId(event, h)));
+      if (kept.length > 0) result.hooks[event] = kept;
+    }
+  }
+
+  if (template.guards) {
+    result.guards = template.guards.filter((g) => !excluded.has(`guard:${g.name}`));
+  }
+
+  if (template.permissions) {
+    result.permissions = {};
+    for (const list of PERMISSION_LISTS) {
+      const kept = (template.permissions[list] || []).filter((rule) => !excluded.has(permissionKey(list, rule)));
+      if (kept.length > 0) result.permissions[list] = kept;
+    }
+  }
+
+  const filterMap = (map, prefix) =>
+    map && Object.fromEntries(Object.entries(map).filter(([name]) => !excluded.has(`${prefix}:${name}`)));
+  result.skills = filterMap(template.skills, "skill");
+  result.agents = filterMap(template.agents, "agent");
+  result.mcp_servers = filterMap(template.mcp_servers, "mcp");
+  if (template.external_skills) {
+    result.external_skills = template.external_skills.filter((s) => !excluded.has(`external_skill:${s.name}`));
+  }
+
+  return result;
+}
+
+/**
+ * An item key as recorded by an older version: CLAUDE.md sections were
+ * `section:<heading>` (and `section:` for the intro) in manifests written
+ * before keys followed deriveHeuristicKey.
+ */
+function currentItemKey(key) {
+  if (!key.startsWith("section:")) return key;
+  return `claude_md:${key.slice("section:".length) || INTRO_NAME}`;
+}
+
+/**
+ * The scope of each plan item: `override` (--scope) when given, else the
+ * template's `scopes` frontmatter, else "project". `scopes` maps filters
+ * as accepted by --only (`mcp_servers`, `mcp:context7`) to scopes; item
+ * keys win over categories. Returns Map<id, scope>.
+ */
+export function assignScopes(items, scopes, override) {
+  const result = new Map(items.map((i) => [i.id, override || DEFAULT_SCOPE]));
+  if (override || !scopes) return result;
+  const entries = Object.entries(scopes).sort(([a], [b]) => Number(a.includes(":")) - Number(b.includes(":")));
+  for (const [filter, scope] of entries) {
+    const matcher = parseItemFilter(filter);
+    if (!matcher || !SCOPES.includes(scope)) continue;
+    for (const item of items) {
+      if (matcher(item)) result.set(item.id, scope);
+    }
+  }
+  return result;
+}
+
+/**
+ * Split a template by item scope. Returns { [scope]: template } for each
+ * scope with items, each holding only that scope's items.
+ */
+export function splitByScope(template, items, scopeById) {
+  const parts = {};
+  for (const scope of SCOPES) {
+    if (!items.some((i) => scopeById.get(i.id) === scope)) continue;
+    parts[scope] = excludeItems(template, items.filter((i) => scopeById.get(i.id) !== scope).map((i) => i.key));
+  }
+  return parts;
+}
+
+/**
+ * The file(s) an item is written to in `scope`, for display. Returns null
+ * for external skills, which are only recommended.
+ */
+export function itemTarget(item, scope) {
+  const name = item.key.slice(item.key.indexOf(":") + 1);
+  switch (item.category) {
+    case "claude_md":
+      return scopeTarget(scope, "claude_md");
+    case "hook":
+    case "permission":
+      return scopeTarget(scope, "settings");
+    case "guard":
+      return `${guardScriptPath(name, scope)}, ${scopeTarget(scope, "settings")}`;
+    case "skill":
+      return `${scopeTarget(scope, "skills")}/${name}/SKILL.md`;
+    case "agent":
+      return `${scopeTarget(scope, "agents")}/${name}.md`;
+    case "mcp":
+      return scopeTarget(scope, "mcp");
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * Hooks in Claude Code's .claude/settings.json.
+ *
+ * Templates declare hooks flat, per event: `{ matcher, command }`. Claude
+ * Code reads them nested under `hooks`, grouped by matcher:
+ *
+ *   { "hooks": { "PreToolUse": [
+ *     { "matcher": "Write|Edit", "hooks": [{ "type": "command", "command": "..." }] }
+ *   ] } }
+ *
+ * Earlier versions of agentic-rig wrote the flat entries as top-level
+ * event keys, which Claude Code ignores; migrateLegacyHooks moves them,
+ * except agentic-rig's own shell guards and formatters, which it drops.
+ *
+ * Templates' permission rules go in `permissions.allow`, `.ask` and `.deny`
+ * as they are. Merging never weakens a deny: an allow or ask rule that the
+ * project already denies is not added.
+ */
+
+export const HOOK_EVENTS = [
+  "PreToolUse", "PostToolUse", "Notification", "UserPromptSubmit",
+  "Stop", "SubagentStop", "PreCompact", "SessionStart", "SessionEnd",
+];
+
+export const PERMISSION_LISTS = ["allow", "ask", "deny"];
+
+/**
+ * Error thrown when a settings file is not a JSON object. Commands report
+ * it and exit rather than overwrite the file.
+ */
+export class SettingsParseError extends Error {
+  constructor(path) {
+    super(`${path} is not a valid JSON object. Fix it, then run the command again.`);
+    this.name = "SettingsParseError";
+    this.path = path;
+  }
+}
+
+/**
+ * Parse settings.json content. Returns {} when missing.
+ * Throws SettingsParseError, naming `path`, when invalid.
+ */
+export function parseSettings(content, path = ".claude/settings.json") {
+  let settings;
+  try {
+    settings = content ? JSON.parse(content) : {};
+  } catch {
+    throw new SettingsParseError(path);
+  }
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) throw new SettingsParseError(path);
+  return settings;
+}
+
+/**
+ * The matcher group for a template hook in an event's list, or undefined.
+ * Groups without a matcher match hooks without one.
+ */
+function findGroup(list, matcher) {
+  return list.find((g) => g && Array.isArray(g.hooks) && (g.matcher || "") === (matcher || ""));
+}
+
+/**
+ * Whether settings already run a template hook's command under its matcher.
+ */
+export function hasHook(settings, event, hook) {
+  const list = settings.hooks?.[event];
+  const group = Array.isArray(list) ? findGroup(list, hook.matcher) : undefined;
+  return Boolean(group?.hooks.some((h) => h.command === hook.command));
+}
+
+/**
+ * Add a template hook to settings, under the group for its matcher.
+ * Commands already in the group are not added twice. Returns true if added.
+ */
+export function addHook(settings, event, hook) {
+  if (hasHook(settings, event, hook)) return false;
+  if (!settings.hooks || typeof settings.hooks !== "object") settings.hooks = {};
+  if (!Array.isArray(settings.hooks[event])) settings.hooks[event] = [];
+
+  const list = settings.hooks[event];
+  let group = findGroup(list, hook.matcher);
+  if (!group) {
+    group = hook.matcher ? { matcher: hook.matcher, hooks: [] } : { hooks: [] };
+    list.push(group);
+  }
+  const { matcher, ...rest } = hook;
+  group.hooks.push({ type: "command", ...rest });
+  return true;
+}
+
+/**
+ * Remove a template hook's command from settings, dropping the matcher
+ * group, event and `hooks` object once they are empty. Returns true if removed.
+ */
+export function removeHook(settings, event, hook) {
+  if (!hasHook(settings, event, hook)) return false;
+  const list = settings.hooks[event];
+  const group = findGroup(list, hook.matcher);
+  group.hooks = group.hooks.filter((h) => h.command !== hook.command);
+  if (group.hooks.length === 0) list.splice(list.indexOf(group), 1);
+  if (list.length === 0) delete settings.hooks[event];
+  if (Object.keys(settings.hooks).length === 0) delete settings.hooks;
+  return true;
+}
+
+/**
+ * Whether a top-level settings value is a list of legacy flat hook entries.
+ */
+function isLegacyHookList(value) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every((h) => h && typeof h.command === "string" && !Array.isArray(h.hooks));
+}
+
+/**
+ * Shell one-liner guards written by earlier versions of agentic-rig:
+ * case "$CLAUDE_FILE_PATHS" in <globs>) echo 'BLOCKED: <reason>' && exit 2;; esac
+ * The compiled guard scripts replace them.
+ */
+const LEGACY_GUARD_COMMAND = /^case "\$CLAUDE_FILE_PATHS" in .+\) echo 'BLOCKED: [^']*' && exit 2;; esac$/;
+
+/** Formatter hooks written by earlier versions of the bundled templates. */
+const LEGACY_FORMATTER_COMMANDS = new Set([
+  "npx tsc --noEmit --pretty 2>&1 | head -20 || true",
+  "ruff check --fix $CLAUDE_FILE_PATHS 2>/dev/null && ruff format $CLAUDE_FILE_PATHS 2>/dev/null || true",
+  "npx prisma format 2>/dev/null || true",
+  "shopify theme check --fail-level error --path . --include ChangedFiles 2>/dev/null || true",
+]);
+
+/**
+ * Whether a legacy flat entry is one agentic-rig wrote itself. Claude Code
+ * never ran these, so they are dropped rather than switched on; templates
+ * add their current hooks when applied.
+ */
+function isAgenticRigLegacyHook(hook) {
+  return LEGACY_GUARD_COMMAND.test(hook.command) || LEGACY_FORMATTER_COMMANDS.has(hook.command);
+}
+
+/**
+ * Move legacy flat entries (`{ "PreToolUse": [{ matcher, command }] }` at
+ * the top level) into the nested `hooks` schema, in place, dropping the
+ * ones agentic-rig wrote itself.
+ * Returns the number of legacy entries migrated.
+ */
+export function migrateLegacyHooks(settings) {
+  let migrated = 0;
+  for (const event of HOOK_EVENTS) {
+    if (!isLegacyHookList(settings[event])) continue;
+    for (const hook of settings[event]) {
+      if (!isAgenticRigLegacyHook(hook)) addHook(settings, event, hook);
+      migrated++;
+    }
+    delete settings[event];
+  }
+  return migrated;
+}
+
+/**
+ * Whether settings already have a permission rule in a list.
+ */
+export function hasPermission(settings, list, rule) {
+  const rules = settings.permissions?.[list];
+  return Array.isArray(rules) && rules.includes(rule);
+}
+
+/**
+ * Whether an existing deny rule rules out adding `rule` to `list`.
+ */
+export function isDenied(settings, list, rule) {
+  return list !== "deny" && hasPermission(settings, "deny", rule);
+}
+
+/**
+ * Add a permission rule to settings. Rules already in the list are not
+ * added twice, and denied allow/ask rules are not added at all.
+ * Returns true if added.
+ */
+export function addPermission(settings, list, rule) {
+  if (hasPermission(settings, list, rule) || isDenied(settings, list, rule)) return false;
+  if (!settings.permissions || typeof settings.permissions !== "object") settings.permissions = {};
+  if (!Array.isArray(settings.permissions[list])) settings.permissions[list] = [];
+  settings.permissions[list].push(rule);
+  return true;
+}
+
+/**
+ * Remove a permission rule, dropping the list and `permissions` object
+ * once they are empty. Returns true if removed.
+ */
+export function removePermission(settings, list, rule) {
+  if (!hasPermission(settings, list, rule)) return false;
+  const { permissions } = settings;
+  permissions[list] = permissions[list].filter((r) => r !== rule);
+  if (permissions[list].length === 0) delete permissions[list];
+  if (Object.keys(permissions).length === 0) delete settings.permissions;
+  return true;
+}
+
+/**
+ * Template allow/ask rules (`{ allow, ask, deny }`) that settings or the
+ * template itself deny, as [{ list, rule }]. They are left out when merging.
+ */
+export function findDeniedPermissions(settings, permissions) {
+  const denied = [];
+  for (const list of PERMISSION_LISTS) {
+    for (const rule of permissions?.[list] || []) {
+      if (isDenied(settings, list, rule) || (list !== "deny" && permissions.deny?.includes(rule))) {
+        denied.push({ list, rule });
+      }
+    }
+  }
+  return denied;
+}
+
+/**
+ * Merge template hooks (`{ Event: [{ matcher, command }] }`) and permission
+ * rules (`{ allow, ask, deny }`) into settings.json content, migrating
+ * legacy hook entries on the way. Returns the new content.
+ * Throws SettingsParseError when the existing content is invalid.
+ */
+export function mergeSettingsJson(existing, newHooks, newPermissions = {}) {
+  const settings = parseSettings(existing);
+  migrateLegacyHooks(settings);
+  for (const [event, hookList] of Object.entries(newHooks || {})) {
+    if (!Array.isArray(hookList)) continue;
+    for (const hook of hookList) addHook(settings, event, hook);
+  }
+  // Deny rules first, so an allow rule in the same template can't slip past them
+  for (const list of [...PERMISSION_LISTS].reverse()) {
+    for (const rule of newPermissions[list] || []) addPermission(settings, list, rule);
+  }
+  return JSON.stringify(settings, null, 2);
+}
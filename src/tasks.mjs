@@ -0,0 +1,147 @@
+import { join } from "node:path";
+import { readFileIfExists, fileExists, parseJson } from "./utils.mjs";
+import { parseToml } from "./toml.mjs";
+import { parseYaml } from "./yaml.mjs";
+
+/**
+ * Package managers and task runners — how a project's commands are run.
+ *
+ * The package manager comes from package.json's `packageManager` field
+ * ("pnpm@9.1.0"), else from the lockfile. Tasks are collected from
+ * package.json scripts, Makefile, justfile, Taskfile.yml, pyproject.toml
+ * scripts (PEP 621 and Poetry), composer.json scripts and cargo aliases,
+ * each as { runner, name, run, command, note }: `run` is the invocation to
+ * type, `command` what it runs, when the file says, and `note` what must
+ * happen before `run` works, or null.
+ */
+
+export const PACKAGE_MANAGERS = ["npm", "pnpm", "yarn", "bun"];
+
+/** Lockfiles in order of precedence, when `packageManager` is not set. */
+const LOCKFILES = [
+  { file: "pnpm-lock.yaml", manager: "pnpm" },
+  { file: "yarn.lock", manager: "yarn" },
+  { file: "bun.lock", manager: "bun" },
+  { file: "bun.lockb", manager: "bun" },
+  { file: "package-lock.json", manager: "npm" },
+  { file: "npm-shrinkwrap.json", manager: "npm" },
+];
+
+/**
+ * Detect the JavaScript package manager of a directory.
+ * Returns one of PACKAGE_MANAGERS, or null without a package.json or lockfile.
+ */
+export async function detectPackageManager(dir) {
+  const pkg = parseJson(await readFileIfExists(join(dir, "package.json")));
+  const declared = typeof pkg?.packageManager === "string" ? pkg.packageManager.split("@")[0] : null;
+  if (PACKAGE_MANAGERS.includes(declared)) return declared;
+  for (const { file, manager } of LOCKFILES) {
+    if (await fileExists(join(dir, file))) return manager;
+  }
+  return pkg ? "npm" : null;
+}
+
+/**
+ * The command that runs a package.json script with a package manager.
+ */
+export function scriptInvocation(packageManager, name) {
+  return `${packageManager || "npm"} run ${name}`;
+}
+
+/**
+ * Collect the runnable tasks of a directory. `packageManager` runs the
+ * package.json scripts (see detectPackageManager).
+ * Returns [{ runner, name, run, command, note }] in file order.
+ */
+export async function collectTasks(dir, { packageManager } = {}) {
+  const tasks = [];
+  const add = (runner, name, run, command = null, note = null) => tasks.push({ runner, name, run, command, note });
+
+  const pkg = parseJson(await readFileIfExists(join(dir, "package.json")));
+  for (const [name, command] of Object.entries(pkg?.scripts || {})) {
+    add(packageManager || "npm", name, scriptInvocation(packageManager, name), command);
+  }
+
+  const makefile = await readFirst(dir, ["GNUmakefile", "makefile", "Makefile"]);
+  for (const name of parseMakeTargets(makefile ?? "")) add("make", name, `make ${name}`);
+
+  const justfile = await readFirst(dir, ["justfile", "Justfile", ".justfile"]);
+  for (const name of parseJustRecipes(justfile ?? "")) add("just", name, `just ${name}`);
+
+  const taskfile = await readFirst(dir, ["Taskfile.yml", "Taskfile.yaml", "taskfile.yml", "taskfile.yaml"]);
+  if (taskfile !== null) {
+    const { value } = parseYaml(taskfile);
+    for (const [name, task] of Object.entries(value?.tasks || {})) {
+      add("task", name, `task ${name}`, typeof task?.desc === "string" ? task.desc : null);
+    }
+  }
+
+  const pyproject = await readFileIfExists(join(dir, "pyproject.toml"));
+  if (pyproject !== null) {
+    const { value } = parseToml(pyproject);
+    // Entry points are run through the environment's tool when it has one
+    const runner = (await fileExists(join(dir, "uv.lock"))) ? "uv" : (await fileExists(join(dir, "poetry.lock"))) ? "poetry" : null;
+    // Without one, the entry point exists only once the package is installed
+    for (const [name, target] of Object.entries(value.project?.scripts || {})) {
+      add(runner || "python", name, runner ? `${runner} run ${name}` : name, String(target), runner ? null : "needs `pip install -e .` first");
+    }
+    for (const [name, target] of Object.entries(value.tool?.poetry?.scripts || {})) {
+      if (value.project?.scripts?.[name] !== undefined) continue;
+      add("poetry", name, `poetry run ${name}`, typeof target === "string" ? target : target?.reference ?? null);
+    }
+  }
+
+  const composer = parseJson(await readFileIfExists(join(dir, "composer.json")));
+  for (const [name, command] of Object.entries(composer?.scripts || {})) {
+    // Hooks such as post-install-cmd run on their own
+    if (/^(pre|post)-/.test(name)) continue;
+    add("composer", name, `composer run ${name}`, Array.isArray(command) ? command.join(" && ") : String(command));
+  }
+
+  const cargoConfig = await readFirst(join(dir, ".cargo"), ["config.toml", "config"]);
+  if (cargoConfig !== null) {
+    for (const [name, command] of Object.entries(parseToml(cargoConfig).value.alias || {})) {
+      add("cargo", name, `cargo ${name}`, Array.isArray(command) ? command.join(" ") : String(command));
+    }
+  }
+
+  return tasks;
+}
+
+/**
+ * Explicit targets of a Makefile, skipping special (.PHONY), pattern (%)
+ * and variable-assignment lines.
+ */
+export function parseMakeTargets(content) {
+  const names = [];
+  for (const line of content.split("\n")) {
+    const match = line.match(/^([A-Za-z0-9_][A-Za-z0-9_./-]*(?:\s+[A-Za-z0-9_][A-Za-z0-9_./-]*)*)\s*(?::(?![:=])|::(?!=))/);
+    if (!match) continue;
+    for (const name of match[1].split(/\s+/)) {
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Recipes of a justfile, skipping settings, aliases, imports and
+ * private recipes (starting with "_").
+ */
+export function parseJustRecipes(content) {
+  const names = [];
+  for (const line of content.split("\n")) {
+    if (/^(set|alias|export|import|mod)\s/.test(line)) continue;
+    const match = line.match(/^@?([A-Za-z][A-Za-z0-9_-]*)(?:\s[^:]*)?:(?!=)/);
+    if (match && !names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+async function readFirst(dir, files) {
+  for (const file of files) {
+    const content = await readFileIfExists(join(dir, file));
+    if (content !== null) return content;
+  }
+  return null;
+}
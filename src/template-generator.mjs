@@ -52,6 +52,8 @@ export function buildFrontmatter(meta) {
  * @param {object} options.meta - Template metadata { id, name, description, detection }
  * @param {string} [options.claudeMd] - CLAUDE.md content
  * @param {object} [options.hooks] - Hooks object { PreToolUse: [...], PostToolUse: [...] }
+ * @param {Array} [options.guards] - Guards [{ name, paths, tools, reason }]
+ * @param {object} [options.permissions] - Permission rules { allow: [...], ask: [...], deny: [...] }
  * @param {object} [options.skills] - Skills { name: content }
  * @param {object} [options.agents] - Agents { name: content }
  * @param {object} [options.mcpServers] - MCP servers { name: config }
@@ -63,6 +65,8 @@ export function buildTemplateContent(options) {
     meta,
     claudeMd,
     hooks,
+    guards,
+    permissions,
     skills,
     agents,
     mcpServers,
@@ -89,6 +93,24 @@ export function buildTemplateContent(options) {
     parts.push("");
   }
 
+  // guards section
+  if (guards && guards.length > 0) {
+    parts.push("## guards");
+    parts.push("```json");
+    parts.push(JSON.stringify(guards, null, 2));
+    parts.push("```");
+    parts.push("");
+  }
+
+  // permissions section
+  if (permissions && Object.keys(permissions).length > 0) {
+    parts.push("## permissions");
+    parts.push("```json");
+    parts.push(JSON.stringify(permissions, null, 2));
+    parts.push("```");
+    parts.push("");
+  }
+
   // skills section
   if (skills && Object.keys(skills).length > 0) {
     parts.push("## skills");
@@ -0,0 +1,228 @@
+import { join, resolve, basename, dirname, isAbsolute } from "node:path";
+import { mkdir, rm, readdir, writeFile } from "node:fs/promises";
+import { dirExists, fileExists, execFileCommand } from "./utils.mjs";
+import { loadConfig } from "./config.mjs";
+
+/**
+ * External template sources — template sets maintained outside the
+ * bundled and project template directories.
+ *
+ * A source is { name, source } where `source` is one of:
+ * - a local directory containing _index.md (or a templates/ subdirectory)
+ * - a .tgz / .tar.gz tarball, local path or http(s) URL (e.g. `npm pack` output)
+ * - a git URL, optionally with `#ref` for a branch or tag; any other
+ *   http(s) URL is taken as a git repository
+ *
+ * Tarballs and git repositories are materialized into
+ * .claude/agentic-rig/sources/<name>/. Templates from a source are
+ * namespaced by its name, e.g. `acme/nextjs-internal`.
+ */
+
+/**
+ * Returns the cache directory for materialized sources.
+ */
+export function getSourcesCacheDir(projectRoot) {
+  return join(projectRoot, ".claude", "agentic-rig", "sources");
+}
+
+/**
+ * The cache directory of a materialized source. Throws if `name` would
+ * resolve outside the sources cache, so it is safe to remove.
+ */
+export function getSourceCacheDir(projectRoot, name) {
+  const cacheDir = resolve(getSourcesCacheDir(projectRoot));
+  const dir = resolve(cacheDir, name);
+  if (dirname(dir) !== cacheDir) {
+    throw new Error(`Invalid template source name "${name}"`);
+  }
+  return dir;
+}
+
+/**
+ * Classify a source string as "git", "tarball" or "dir".
+ * http(s) URLs are never directories: tarballs by extension, else git.
+ */
+export function classifySource(source) {
+  const withoutRef = source.replace(/#.*$/, "");
+  if (/^(git@|git\+|git:\/\/|ssh:\/\/)/.test(source) || /\.git$/.test(withoutRef)) return "git";
+  if (/\.(tgz|tar\.gz)$/i.test(withoutRef)) return "tarball";
+  if (/^https?:\/\//i.test(source)) return "git";
+  return "dir";
+}
+
+/**
+ * Derive a namespace from a source string: the repository, tarball or
+ * directory name, lowercased and stripped of extensions and version suffixes.
+ */
+export function deriveSourceName(source) {
+  const withoutRef = source.replace(/#.*$/, "").replace(/[\\/]+$/, "");
+  const base = basename(withoutRef.replace(/^[^/]*:/, ""))
+    .replace(/\.git$/, "")
+    .replace(/\.(tgz|tar\.gz)$/i, "")
+    .replace(/-\d+\.\d+\.\d+.*$/, "");
+  return normalizeSourceName(base) || "source";
+}
+
+/**
+ * Normalize a namespace to lowercase letters, digits, dots, dashes and underscores.
+ * Check the result with checkSourceName.
+ */
+export function normalizeSourceName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Why a normalized name can't name a source, or null if it can. Names made
+ * only of dots would put the cache outside .claude/agentic-rig/sources/.
+ */
+export function checkSourceName(name) {
+  if (!name) return "Template source names can't be empty.";
+  if (/^\.+$/.test(name)) return `Template source name "${name}" can't be made only of dots.`;
+  return null;
+}
+
+/**
+ * Parse a source spec: "<source>" or "<name>=<source>".
+ * Returns { name, source }.
+ */
+export function parseSourceSpec(spec) {
+  const named = spec.match(/^([A-Za-z0-9._-]+)=(.+)$/);
+  if (named && !/^[a-z+]+:\/\//i.test(spec)) {
+    return { name: normalizeSourceName(named[1]), source: named[2] };
+  }
+  return { name: deriveSourceName(spec), source: spec };
+}
+
+/**
+ * Find the directory holding _index.md inside a source checkout:
+ * the root, templates/, or either of those inside a single top-level
+ * directory (tarballs from `npm pack` unpack into package/).
+ */
+async function findTemplatesRoot(dir) {
+  const candidates = [dir, join(dir, "templates")];
+  try {
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const e of entries) {
+      if (e.isDirectory() && e.name !== ".git") {
+        candidates.push(join(dir, e.name), join(dir, e.name, "templates"));
+      }
+    }
+  } catch {
+    // Unreadable — fall through to "not found"
+  }
+  for (const candidate of candidates) {
+    if (await fileExists(join(candidate, "_index.md"))) return candidate;
+  }
+  return null;
+}
+
+async function extractTarball(tarball, dest) {
+  await rm(dest, { recursive: true, force: true });
+  await mkdir(dest, { recursive: true });
+
+  let file = tarball;
+  if (/^https?:\/\//.test(tarball)) {
+    const res = await fetch(tarball);
+    if (!res.ok) throw new Error(`Download failed (${res.status}): ${tarball}`);
+    file = join(dest, "..", `${basename(dest)}.tgz`);
+    await writeFile(file, Buffer.from(await res.arrayBuffer()));
+  }
+
+  const result = await execFileCommand("tar", ["-xzf", file, "-C", dest]);
+  if (file !== tarball) await rm(file, { force: true });
+  if (result.exitCode !== 0) {
+    throw new Error(`Could not extract ${tarball}: ${result.stderr.trim()}`);
+  }
+}
+
+async function cloneGit(url, dest) {
+  const [repo, ref] = url.split("#");
+  await rm(dest, { recursive: true, force: true });
+  await mkdir(join(dest, ".."), { recursive: true });
+
+  const args = ["clone", "--depth", "1"];
+  if (ref) args.push("--branch", ref);
+  // "--" keeps a source starting with "-" from being read as an option
+  args.push("--", repo.replace(/^git\+/, ""), dest);
+
+  const result = await execFileCommand("git", args);
+  if (result.exitCode !== 0) {
+    throw new Error(`git clone failed for ${url}: ${result.stderr.trim()}`);
+  }
+}
+
+/**
+ * Make a source available locally and return its templates directory.
+ * Local directories are used in place; relative paths resolve against
+ * `baseDir`. Tarballs and git URLs are fetched into the cache on first use,
+ * or again when `refresh` is set. Throws if the name is invalid or the
+ * source has no _index.md.
+ */
+export async function materializeSource(projectRoot, { name, source }, { refresh = false, baseDir = projectRoot } = {}) {
+  const problem = checkSourceName(name);
+  if (problem) throw new Error(problem);
+  const kind = classifySource(source);
+  let dir;
+
+  if (kind === "dir") {
+    dir = isAbsolute(source) ? source : resolve(baseDir, source);
+    if (!(await dirExists(dir))) {
+      throw new Error(`Template source directory not found: ${dir}`);
+    }
+  } else {
+    dir = getSourceCacheDir(projectRoot, name);
+    if (refresh || !(await dirExists(dir))) {
+      if (kind === "git") {
+        await cloneGit(source, dir);
+      } else {
+        const tarball = /^https?:\/\//.test(source) || isAbsolute(source) ? source : resolve(baseDir, source);
+        await extractTarball(tarball, dir);
+      }
+    }
+  }
+
+  const root = await findTemplatesRoot(dir);
+  if (!root) {
+    throw new Error(`No _index.md found in template source "${name}" (${source})`);
+  }
+  return root;
+}
+
+/**
+ * Resolve configured and ad-hoc template sources to local directories.
+ * `extraSources` (from --template-source, "<source>" or "<name>=<source>")
+ * come first, then config order.
+ * Returns { sources: [{ name, source, dir }], errors: [message] };
+ * a source that fails to load is reported and skipped.
+ */
+export async function resolveTemplateSources(projectRoot, extraSources = []) {
+  const config = await loadConfig(projectRoot);
+  const configured = Array.isArray(config.templateSources) ? config.templateSources : [];
+
+  const requested = [
+    // Ad-hoc sources are always re-fetched so they reflect what was passed
+    ...extraSources.map((spec) => ({ ...parseSourceSpec(spec), baseDir: process.cwd(), refresh: true })),
+    ...configured
+      .filter((s) => s && typeof s.source === "string")
+      .map((s) => ({ name: normalizeSourceName(s.name || deriveSourceName(s.source)), source: s.source, baseDir: projectRoot, refresh: false })),
+  ];
+
+  const sources = [];
+  const errors = [];
+  const seen = new Set();
+  for (const s of requested) {
+    if (seen.has(s.name)) continue;
+    seen.add(s.name);
+    try {
+      const dir = await materializeSource(projectRoot, s, { baseDir: s.baseDir, refresh: s.refresh });
+      sources.push({ name: s.name, source: s.source, dir });
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+
+  return { sources, errors };
+}
@@ -0,0 +1,576 @@
+import { readFile, readdir, stat } from "node:fs/promises";
+import { join, basename, dirname } from "node:path";
+import {
+  parseIndex,
+  parseTemplateContent,
+  extractFrontmatter,
+  findTopLevelSections,
+  findTopLevelSubsections,
+} from "./templates.mjs";
+import { parseYaml } from "./yaml.mjs";
+import { getTemplateVariables } from "./variables.mjs";
+import { HOOK_EVENTS, PERMISSION_LISTS } from "./settings.mjs";
+import { checkGuard, guardProtects } from "./guards.mjs";
+import { isItemFilter } from "./selection.mjs";
+import { SCOPES } from "./scopes.mjs";
+
+/**
+ * Template validation — checks template files for the mistakes that the
+ * parser otherwise tolerates silently (broken JSON blocks, dropped table
+ * rows, malformed hook entries) plus the template security baseline.
+ *
+ * Every check produces a diagnostic: { file, line, severity, message }
+ * where severity is "error" or "warning".
+ */
+
+const KNOWN_SECTIONS = ["claude_md", "hooks", "guards", "permissions", "skills", "agents", "mcp_servers", "external_skills"];
+
+const KNOWN_DETECTION_GROUPS = [
+  "files_any", "config_files_any", "package_json_deps_any", "python_deps_any",
+];
+
+/**
+ * Security baseline every template should meet. Shared with `self-improve`.
+ * Returns [{ check, message }] for each missing item.
+ */
+export function checkTemplateSecurity(content) {
+  const missing = [];
+  if (!content.includes("Security Notes")) {
+    missing.push({ check: "security-notes", message: 'missing a "Security Notes" section' });
+  }
+  // A guard counts when declared in ## guards or as a shell one-liner hook
+  const guardPaths = parseTemplateContent(content).guards.flatMap((g) => (Array.isArray(g.paths) ? g.paths : []));
+  const guardsPath = (test) => guardPaths.some(test);
+  const shellGuard = content.includes("BLOCKED") && content.includes("exit 2");
+
+  const hasEnvGuard = guardsPath((p) => p.includes(".env")) || (shellGuard && content.includes(".env"));
+  if (!hasEnvGuard) {
+    missing.push({ check: "env-guard", message: "missing a .env guard" });
+  }
+  const lockFile = /lock(\.json|\.yaml|\b)/i;
+  const hasLockGuard = guardsPath((p) => lockFile.test(p)) || (shellGuard && content.includes("lock") && content.includes("package manager"));
+  if (!hasLockGuard) {
+    missing.push({ check: "lock-guard", message: "missing a lock file guard" });
+  }
+  const buildOutput = (text) => text.includes("dist/") || text.includes("build/") || text.includes("min.js");
+  const hasBuildGuard = guardsPath(buildOutput) || (shellGuard && buildOutput(content));
+  if (!hasBuildGuard) {
+    missing.push({ check: "build-guard", message: "missing a build artifact guard" });
+  }
+  return missing;
+}
+
+/**
+ * Validate template content. `file` is used for diagnostics only.
+ */
+export function validateTemplateContent(content, file) {
+  const diagnostics = [];
+  const report = (line, severity, message) => diagnostics.push({ file, line, severity, message });
+
+  // Frontmatter syntax (parser errors) and schema
+  const parsed = parseTemplateContent(content);
+  for (const e of parsed.errors) report(e.line, "error", e.message);
+  if (parsed.errors.length === 0) {
+    validateMeta(parsed.meta, content, report);
+  } else if (Object.keys(parsed.meta).length > 0) {
+    // Check what did parse too, so authors see every problem in one round;
+    // lines with a syntax error already have theirs
+    const syntaxLines = new Set(parsed.errors.map((e) => e.line));
+    validateMeta(parsed.meta, content, (line, severity, message) => {
+      if (!syntaxLines.has(line)) report(line, severity, message);
+    });
+  } else {
+    report(1, "warning", "Frontmatter schema checks were skipped; fix the syntax errors first");
+  }
+
+  // Sections
+  const { body, bodyStartLine } = extractFrontmatter(content);
+  const bodyLines = body.split("\n");
+  const sections = findTopLevelSections(body);
+
+  for (let i = 0; i < sections.length; i++) {
+    const section = sections[i];
+    const endLine = i + 1 < sections.length ? sections[i + 1].line : bodyLines.length;
+    const start = bodyStartLine + section.line;
+    const lines = bodyLines.slice(section.line + 1, endLine);
+    const firstLine = start + 1;
+
+    if (!KNOWN_SECTIONS.includes(section.name)) {
+      report(start, "warning", `Unknown section "## ${section.name}" is ignored`);
+      continue;
+    }
+
+    switch (section.name) {
+      case "hooks": {
+        const json = readJsonBlock(lines, firstLine, "hooks", report);
+        if (json !== undefined) validateHooks(json, lines, firstLine, report);
+        break;
+      }
+      case "guards": {
+        const json = readJsonBlock(lines, firstLine, "guards", report);
+        if (json !== undefined) validateGuards(json, lines, firstLine, report);
+        break;
+      }
+      case "permissions": {
+        const json = readJsonBlock(lines, firstLine, "permissions", report);
+        if (json !== undefined) validatePermissions(json, lines, firstLine, report);
+        break;
+      }
+      case "mcp_servers": {
+        const json = readJsonBlock(lines, firstLine, "mcp_servers", report);
+        if (json !== undefined) validateMcpServers(json, lines, firstLine, report);
+        break;
+      }
+      case "skills":
+      case "agents":
+        validateNamedEntries(section.name, lines, firstLine, report);
+        break;
+      case "external_skills":
+        validateExternalSkills(lines, firstLine, report);
+        break;
+    }
+  }
+
+  if (!sections.some((s) => s.name === "claude_md")) {
+    report(bodyStartLine, "warning", "No ## claude_md section");
+  }
+
+  for (const { message } of checkTemplateSecurity(content)) {
+    report(1, "warning", `Security: ${message}`);
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Validate frontmatter fields and types.
+ */
+function validateMeta(meta, content, report) {
+  const lineOf = (key) => {
+    const idx = content.split("\n").findIndex((l) => l.startsWith(`${key}:`));
+    return idx >= 0 ? idx + 1 : 1;
+  };
+
+  for (const key of ["id", "name", "description"]) {
+    if (typeof meta[key] !== "string" || !meta[key].trim()) {
+      report(lineOf(key), "error", `Frontmatter "${key}" is required and must be a string`);
+    }
+  }
+  if (typeof meta.id === "string" && !/^[a-z0-9][a-z0-9-]*$/.test(meta.id)) {
+    report(lineOf("id"), "error", `Frontmatter "id" must be kebab-case: ${meta.id}`);
+  }
+  if (!Number.isInteger(meta.version)) {
+    report(lineOf("version"), "error", 'Frontmatter "version" is required and must be an integer');
+  }
+
+  if (meta.detection !== undefined && meta.detection !== null) {
+    if (typeof meta.detection !== "object" || Array.isArray(meta.detection)) {
+      report(lineOf("detection"), "error", '"detection" must be a mapping of detection groups');
+    } else {
+      for (const [group, values] of Object.entries(meta.detection)) {
+        if (!KNOWN_DETECTION_GROUPS.includes(group)) {
+          report(lineOf("detection"), "warning", `Unknown detection group "${group}" is ignored`);
+        }
+        if (!Array.isArray(values) || values.some((v) => typeof v !== "string")) {
+          report(lineOf("detection"), "error", `Detection group "${group}" must be a list of strings`);
+        }
+      }
+    }
+  } else {
+    report(1, "warning", 'No "detection" rules — the template can never be auto-detected');
+  }
+
+  if (meta.extends !== undefined) {
+    const ok = typeof meta.extends === "string" ||
+      (Array.isArray(meta.extends) && meta.extends.every((e) => typeof e === "string"));
+    if (!ok) report(lineOf("extends"), "error", '"extends" must be a template ID or a list of IDs');
+  }
+
+  if (meta.variables !== undefined) {
+    for (const def of getTemplateVariables(meta)) {
+      if (def.validate) {
+        try {
+          new RegExp(def.validate);
+        } catch (err) {
+          report(lineOf("variables"), "error", `Variable "${def.name}" has an invalid validate pattern: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  if (meta.scopes !== undefined) {
+    if (!meta.scopes || typeof meta.scopes !== "object" || Array.isArray(meta.scopes)) {
+      report(lineOf("scopes"), "error", '"scopes" must be a mapping of item filters to scopes');
+    } else {
+      for (const [filter, scope] of Object.entries(meta.scopes)) {
+        if (!isItemFilter(filter)) {
+          report(lineOf("scopes"), "error", `Scope filter "${filter}" names no item category (e.g. mcp_servers, skill:deploy)`);
+        }
+        if (!SCOPES.includes(scope)) {
+          report(lineOf("scopes"), "error", `Scope "${scope}" for "${filter}" must be one of: ${SCOPES.join(", ")}`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Find and parse the first ```json block in a section.
+ * Returns the parsed value, or undefined after reporting a problem.
+ */
+function readJsonBlock(lines, firstLine, sectionName, report) {
+  const open = lines.findIndex((l) => /^```json\s*$/.test(l.trim()));
+  if (open < 0) {
+    report(firstLine - 1, "error", `## ${sectionName} has no \`\`\`json block — it will be treated as empty`);
+    return undefined;
+  }
+  const close = lines.findIndex((l, i) => i > open && l.trim().startsWith("```"));
+  if (close < 0) {
+    report(firstLine + open, "error", `Unterminated \`\`\`json block in ## ${sectionName}`);
+    return undefined;
+  }
+
+  const text = lines.slice(open + 1, close).join("\n");
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    // Point at the offending line when the engine reports a position,
+    // otherwise at the opening fence
+    const pos = err.message.match(/position (\d+)/);
+    const lineCol = err.message.match(/line (\d+) column/);
+    const lineInBlock = lineCol
+      ? Number(lineCol[1])
+      : pos ? text.slice(0, Number(pos[1])).split("\n").length : 0;
+    report(firstLine + open + lineInBlock, "error", `Invalid JSON in ## ${sectionName}: ${err.message} — the section will be treated as empty`);
+    return undefined;
+  }
+}
+
+/**
+ * Best-effort line for a value inside a section: the first line containing `needle`.
+ */
+function findLine(lines, firstLine, needle) {
+  const idx = lines.findIndex((l) => l.includes(needle));
+  return idx >= 0 ? firstLine + idx : firstLine;
+}
+
+function validateHooks(hooks, lines, firstLine, report) {
+  if (typeof hooks !== "object" || Array.isArray(hooks)) {
+    report(firstLine, "error", "## hooks must be a JSON object keyed by hook event");
+    return;
+  }
+  for (const [event, entries] of Object.entries(hooks)) {
+    const eventLine = findLine(lines, firstLine, `"${event}"`);
+    if (!HOOK_EVENTS.includes(event)) {
+      report(eventLine, "warning", `Unknown hook event "${event}"`);
+    }
+    if (!Array.isArray(entries)) {
+      report(eventLine, "error", `Hook event "${event}" must be an array of hook entries`);
+      continue;
+    }
+    entries.forEach((entry, i) => {
+      const line = typeof entry?.command === "string"
+        ? findLine(lines, firstLine, JSON.stringify(entry.command).slice(1, 40))
+        : eventLine;
+      if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+        report(eventLine, "error", `${event}[${i}] must be an object with "matcher" and "command"`);
+        return;
+      }
+      if (typeof entry.command !== "string" || !entry.command.trim()) {
+        report(line, "error", `${event}[${i}] is missing a "command" string`);
+      }
+      if (entry.matcher !== undefined && typeof entry.matcher !== "string") {
+        report(line, "error", `${event}[${i}] "matcher" must be a string`);
+      }
+      if ((event === "PreToolUse" || event === "PostToolUse") && entry.matcher === undefined) {
+        report(line, "warning", `${event}[${i}] has no "matcher" and will run for every tool`);
+      }
+    });
+  }
+}
+
+function validateGuards(guards, lines, firstLine, report) {
+  if (!Array.isArray(guards)) {
+    report(firstLine, "error", "## guards must be a JSON array of guard objects");
+    return;
+  }
+  const seen = new Set();
+  guards.forEach((guard, i) => {
+    if (!guard || typeof guard !== "object" || Array.isArray(guard)) {
+      report(firstLine, "error", `guards[${i}] must be an object with "name", "paths" and "reason"`);
+      return;
+    }
+    const label = typeof guard.name === "string" ? `Guard "${guard.name}"` : `guards[${i}]`;
+    const line = typeof guard.name === "string" ? findLine(lines, firstLine, `"${guard.name}"`) : firstLine;
+    for (const problem of checkGuard(guard)) report(line, "error", `${label} ${problem}`);
+    if (typeof guard.name === "string") {
+      if (seen.has(guard.name)) report(line, "error", `${label} is defined more than once`);
+      seen.add(guard.name);
+    }
+    if (guard.tests !== undefined) validateGuardTests(guard, label, line, report);
+  });
+}
+
+/**
+ * A guard's "tests" must be { block: [paths], allow: [paths] }, and its
+ * globs must agree with them.
+ */
+function validateGuardTests(guard, label, line, report) {
+  const { tests } = guard;
+  if (!tests || typeof tests !== "object" || Array.isArray(tests)) {
+    report(line, "error", `${label} "tests" must be an object with "block" and/or "allow" path lists`);
+    return;
+  }
+  for (const key of Object.keys(tests)) {
+    if (key !== "block" && key !== "allow") report(line, "warning", `${label} "tests" has unknown key "${key}"`);
+  }
+  const canMatch = Array.isArray(guard.paths) && guard.paths.every((p) => typeof p === "string" && p);
+  for (const expect of ["block", "allow"]) {
+    const cases = tests[expect];
+    if (cases === undefined) continue;
+    if (!Array.isArray(cases) || !cases.every((p) => typeof p === "string" && p)) {
+      report(line, "error", `${label} "tests.${expect}" must be a list of paths`);
+      continue;
+    }
+    if (!canMatch) continue;
+    for (const path of cases) {
+      if (guardProtects(guard, path) !== (expect === "block")) {
+        report(line, "error", `${label} test expects "${path}" to be ${expect === "block" ? "blocked" : "allowed"}, but its paths ${expect === "block" ? "don't match it" : "match it"}`);
+      }
+    }
+  }
+}
+
+// A tool name, optionally with a specifier: Bash(npm run test:*), Read(./.env*), mcp__github
+const PERMISSION_RULE = /^[A-Za-z][\w-]*(\(.+\))?$/;
+
+function validatePermissions(permissions, lines, firstLine, report) {
+  if (!permissions || typeof permissions !== "object" || Array.isArray(permissions)) {
+    report(firstLine, "error", `## permissions must be a JSON object with "allow", "ask" and/or "deny" lists`);
+    return;
+  }
+  for (const [list, rules] of Object.entries(permissions)) {
+    const line = findLine(lines, firstLine, `"${list}"`);
+    if (!PERMISSION_LISTS.includes(list)) {
+      report(line, "warning", `Unknown permissions list "${list}" is ignored (expected ${PERMISSION_LISTS.join(", ")})`);
+      continue;
+    }
+    if (!Array.isArray(rules) || !rules.every((r) => typeof r === "string")) {
+      report(line, "error", `permissions.${list} must be a list of rule strings`);
+      continue;
+    }
+    const seen = new Set();
+    for (const rule of rules) {
+      const ruleLine = findLine(lines, firstLine, JSON.stringify(rule));
+      if (!PERMISSION_RULE.test(rule)) {
+        report(ruleLine, "error", `Permission rule "${rule}" should be a tool name, optionally with a specifier, e.g. Bash(npm run test:*)`);
+      }
+      if (seen.has(rule)) report(ruleLine, "warning", `Permission rule "${rule}" is listed twice in ${list}`);
+      seen.add(rule);
+      if (list !== "deny" && Array.isArray(permissions.deny) && permissions.deny.includes(rule)) {
+        report(ruleLine, "warning", `Permission rule "${rule}" is also denied, so it won't be added to ${list}`);
+      }
+    }
+  }
+}
+
+function validateMcpServers(servers, lines, firstLine, report) {
+  if (typeof servers !== "object" || Array.isArray(servers)) {
+    report(firstLine, "error", "## mcp_servers must be a JSON object keyed by server name");
+    return;
+  }
+  for (const [name, config] of Object.entries(servers)) {
+    const line = findLine(lines, firstLine, `"${name}"`);
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+      report(line, "error", `MCP server "${name}" must be an object`);
+      continue;
+    }
+    if (typeof config.command !== "string" && typeof config.url !== "string") {
+      report(line, "error", `MCP server "${name}" needs a "command" (stdio) or "url" (http/sse)`);
+    }
+    if (config.args !== undefined &&
+        (!Array.isArray(config.args) || config.args.some((a) => typeof a !== "string"))) {
+      report(line, "error", `MCP server "${name}" "args" must be a list of strings`);
+    }
+  }
+}
+
+/**
+ * Validate ### entries in ## skills / ## agents: each needs a ```markdown
+ * block whose frontmatter has a name matching the heading and a description.
+ */
+function validateNamedEntries(sectionName, lines, firstLine, report) {
+  const content = lines.join("\n");
+  const subs = findTopLevelSubsections(content);
+  const kind = sectionName === "skills" ? "Skill" : "Agent";
+
+  if (subs.length === 0) {
+    report(firstLine - 1, "warning", `## ${sectionName} has no ### entries`);
+  }
+
+  for (let i = 0; i < subs.length; i++) {
+    const sub = subs[i];
+    const line = firstLine + sub.line;
+    const subLines = lines.slice(sub.line + 1, i + 1 < subs.length ? subs[i + 1].line : lines.length);
+    const open = subLines.findIndex((l) => /^```markdown\s*$/.test(l.trim()));
+    if (open < 0) {
+      report(line, "warning", `${kind} "${sub.name}" has no \`\`\`markdown block — raw section text will be used`);
+      continue;
+    }
+
+    const inner = subLines.slice(open + 1);
+    if (inner[0]?.trim() !== "---") {
+      report(line, "error", `${kind} "${sub.name}" is missing frontmatter (name, description)`);
+      continue;
+    }
+    const end = inner.findIndex((l, j) => j > 0 && l.trim() === "---");
+    if (end < 0) {
+      report(line, "error", `${kind} "${sub.name}" has unterminated frontmatter`);
+      continue;
+    }
+
+    const fmFirstLine = line + open + 2;
+    const { value, errors } = parseYaml(inner.slice(1, end).join("\n"), { lineOffset: fmFirstLine });
+    for (const e of errors) report(e.line, "error", `${kind} "${sub.name}": ${e.message}`);
+    if (errors.length > 0) continue;
+
+    if (typeof value.name !== "string" || !value.name) {
+      report(fmFirstLine, "error", `${kind} "${sub.name}" frontmatter is missing "name"`);
+    } else if (value.name !== sub.name) {
+      report(fmFirstLine, "warning", `${kind} frontmatter name "${value.name}" does not match heading "${sub.name}"`);
+    }
+    if (typeof value.description !== "string" || !value.description) {
+      report(fmFirstLine, "error", `${kind} "${sub.name}" frontmatter is missing "description"`);
+    }
+  }
+}
+
+/**
+ * Validate the external skills table: every data row needs 4 cells.
+ */
+function validateExternalSkills(lines, firstLine, report) {
+  let sawHeader = false;
+  lines.forEach((raw, i) => {
+    const trimmed = raw.trim();
+    if (!trimmed.startsWith("|")) return;
+    const cells = trimmed.split("|").map((c) => c.trim()).filter((c) => c.length > 0);
+    if (cells[0]?.toLowerCase() === "name") {
+      sawHeader = true;
+      return;
+    }
+    if (cells[0]?.startsWith("-")) return;
+    if (!sawHeader) {
+      report(firstLine + i, "error", "External skills row before the | Name | Repository | Skill | Description | header");
+      return;
+    }
+    if (cells.length !== 4) {
+      report(firstLine + i, "error", `External skills row has ${cells.length} cell(s), expected 4 — it will be ${cells.length < 4 ? "dropped" : "truncated"}`);
+    } else if (!/^[\w.-]+\/[\w.-]+$/.test(cells[1])) {
+      report(firstLine + i, "warning", `External skill repository should be owner/repo: ${cells[1]}`);
+    }
+  });
+}
+
+/**
+ * Validate a single template file.
+ */
+export async function validateTemplateFile(filePath) {
+  let content;
+  try {
+    content = await readFile(filePath, "utf8");
+  } catch (err) {
+    return [{ file: filePath, line: 1, severity: "error", message: `Cannot read file: ${err.message}` }];
+  }
+  return validateTemplateContent(content, filePath);
+}
+
+/**
+ * Validate a templates directory: _index.md consistency plus every template.
+ */
+export async function validateTemplatesDir(dir) {
+  const diagnostics = [];
+  const indexPath = join(dir, "_index.md");
+  let indexContent;
+  try {
+    indexContent = await readFile(indexPath, "utf8");
+  } catch {
+    diagnostics.push({ file: indexPath, line: 1, severity: "error", message: "Missing _index.md" });
+    return diagnostics;
+  }
+
+  const indexLines = indexContent.split("\n");
+  const rowLine = (id) => {
+    const idx = indexLines.findIndex((l) => l.includes(`| ${id} |`));
+    return idx >= 0 ? idx + 1 : 1;
+  };
+
+  // Rows parseIndex would drop
+  indexLines.forEach((raw, i) => {
+    const trimmed = raw.trim();
+    if (!trimmed.startsWith("|")) return;
+    const cells = trimmed.split("|").map((c) => c.trim()).filter((c) => c.length > 0);
+    if (cells.length > 0 && cells.length < 4 && !cells[0].startsWith("-")) {
+      diagnostics.push({ file: indexPath, line: i + 1, severity: "error", message: `Index row has ${cells.length} cell(s), expected 4 — it will be dropped` });
+    }
+  });
+
+  const entries = parseIndex(indexContent);
+  const seenIds = new Set();
+  const indexedFiles = new Set();
+
+  for (const entry of entries) {
+    const line = rowLine(entry.id);
+    if (seenIds.has(entry.id)) {
+      diagnostics.push({ file: indexPath, line, severity: "error", message: `Duplicate template ID "${entry.id}"` });
+    }
+    seenIds.add(entry.id);
+    indexedFiles.add(entry.file);
+
+    const filePath = join(dir, entry.file);
+    let content;
+    try {
+      content = await readFile(filePath, "utf8");
+    } catch {
+      diagnostics.push({ file: indexPath, line, severity: "error", message: `Template file not found: ${entry.file}` });
+      continue;
+    }
+
+    const { meta, errors } = parseTemplateContent(content);
+    if (errors.length === 0 && meta.id !== entry.id) {
+      diagnostics.push({ file: indexPath, line, severity: "error", message: `Index ID "${entry.id}" does not match frontmatter id "${meta.id}" in ${entry.file}` });
+    }
+    diagnostics.push(...validateTemplateContent(content, filePath));
+  }
+
+  // Template files the index does not list
+  const files = (await readdir(dir)).filter((f) => f.endsWith(".md") && f !== "_index.md");
+  for (const f of files) {
+    if (!indexedFiles.has(f)) {
+      diagnostics.push({ file: join(dir, f), line: 1, severity: "warning", message: "Template file is not listed in _index.md" });
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Validate a path: a templates directory (with _index.md) or a single file.
+ */
+export async function validatePath(target) {
+  let s;
+  try {
+    s = await stat(target);
+  } catch {
+    return [{ file: target, line: 1, severity: "error", message: "Path not found" }];
+  }
+  if (s.isDirectory()) return validateTemplatesDir(target);
+  if (basename(target) === "_index.md") return validateTemplatesDir(dirname(target));
+  return validateTemplateFile(target);
+}
+
+/**
+ * Format a diagnostic as file:line: severity: message.
+ */
+export function formatDiagnostic(d) {
+  return `${d.file}:${d.line}: ${d.severity}: ${d.message}`;
+}
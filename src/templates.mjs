@@ -1,6 +1,7 @@
 import { readFile } from "node:fs/promises";
 import { join, dirname } from "node:path";
 import { fileURLToPath } from "node:url";
+import { parseYaml } from "./yaml.mjs";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -20,10 +21,13 @@ export function getUserTemplatesDir(projectRoot) {
 
 /**
  * List available templates by reading _index.md from the templates directory.
- * Searches both bundled and user template directories.
- * Returns [{id, name, description, file, source}]
+ * Searches bundled, user and external source template directories.
+ * `sources` are resolved template sources ([{ name, dir }], see
+ * template-sources.mjs); their templates are namespaced as `name/id`.
+ * Precedence on ID collision: bundled, then user, then sources in order.
+ * Returns [{id, name, description, file, source, namespace}]
  */
-export async function listTemplates(templatesDir, projectRoot) {
+export async function listTemplates(templatesDir, projectRoot, sources = []) {
   const bundledDir = templatesDir || getTemplatesDir();
 
   // Load bundled templates
@@ -33,12 +37,16 @@ export async function listTemplates(templatesDir, projectRoot) {
   const userDir = getUserTemplatesDir(projectRoot);
   const user = await listTemplatesFromDir(userDir, "user");
 
-  // Merge: user templates supplement bundled, but bundled take precedence on ID collision
-  const byId = new Map();
-  for (const t of bundled) {
-    byId.set(t.id, t);
+  // Load external source templates, namespaced by source name
+  const external = [];
+  for (const src of sources) {
+    const templates = await listTemplatesFromDir(src.dir, "source");
+    external.push(...templates.map((t) => ({ ...t, id: `${src.name}/${t.id}`, namespace: src.name })));
   }
-  for (const t of user) {
+
+  // Merge: later groups supplement earlier ones, earlier take precedence on ID collision
+  const byId = new Map();
+  for (const t of [...bundled, ...user, ...external]) {
     if (!byId.has(t.id)) {
       byId.set(t.id, t);
     }
@@ -66,7 +74,7 @@ async function listTemplatesFromDir(dir, source) {
  * Parse _index.md content into a list of template entries.
  * Format: markdown table with columns: ID | Name | Description | File
  */
-function parseIndex(content) {
+export function parseIndex(content) {
   const lines = content.split("\n");
   const templates = [];
   let inTable = false;
@@ -106,6 +114,20 @@ function parseIndex(content) {
   return templates;
 }
 
+/**
+ * Error thrown when a template file cannot be parsed.
+ * `errors` holds [{ line, message }] with 1-based file line numbers.
+ */
+export class TemplateParseError extends Error {
+  constructor(filePath, errors) {
+    const details = errors.map((e) => `  ${filePath}:${e.line}: ${e.message}`).join("\n");
+    super(`Invalid template ${filePath}:\n${details}`);
+    this.name = "TemplateParseError";
+    this.filePath = filePath;
+    this.errors = errors;
+  }
+}
+
 /**
  * Parse a template .md file into structured data.
  * Returns:
@@ -113,43 +135,56 @@ function parseIndex(content) {
  *   meta: { id, name, description, version, detection },
  *   claude_md: "string",
  *   hooks: { PreToolUse: [...], PostToolUse: [...] },
+ *   guards: [{ name, paths, tools, reason }, ...],
+ *   permissions: { allow: [...], ask: [...], deny: [...] },
  *   skills: { "name": "content", ... },
  *   agents: { "name": "content", ... },
  *   mcp_servers: { "name": {...}, ... }
  * }
+ * Throws TemplateParseError if the frontmatter is malformed.
  */
 export async function parseTemplate(filePath) {
   const content = await readFile(filePath, "utf8");
-  return parseTemplateContent(content);
+  const template = parseTemplateContent(content);
+  if (template.errors.length > 0) {
+    throw new TemplateParseError(filePath, template.errors);
+  }
+  return template;
 }
 
 /**
  * Parse template content string (exported for testing).
+ * Frontmatter problems are returned in `errors` rather than thrown.
  */
 export function parseTemplateContent(content) {
-  const { frontmatter, body } = extractFrontmatter(content);
-  const meta = parseFrontmatter(frontmatter);
+  const { frontmatter, body, errors: fmErrors } = extractFrontmatter(content);
+  const { meta, errors } = parseFrontmatter(frontmatter);
   const sections = extractSections(body);
 
   return {
     meta,
     claude_md: sections.claude_md || "",
     hooks: sections.hooks || {},
+    guards: sections.guards || [],
+    permissions: sections.permissions || {},
     skills: sections.skills || {},
     agents: sections.agents || {},
     mcp_servers: sections.mcp_servers || {},
     external_skills: sections.external_skills || [],
+    errors: [...fmErrors, ...errors],
   };
 }
 
 /**
  * Split content into YAML frontmatter and body.
+ * Frontmatter starts on line 2 of the file when present; `bodyStartLine`
+ * is the 1-based file line the body starts on.
  */
-function extractFrontmatter(content) {
+export function extractFrontmatter(content) {
   const lines = content.split("\n");
 
   if (lines[0].trim() !== "---") {
-    return { frontmatter: "", body: content };
+    return { frontmatter: "", body: content, bodyStartLine: 1, errors: [] };
   }
 
   let endIndex = -1;
@@ -161,132 +196,51 @@ function extractFrontmatter(content) {
   }
 
   if (endIndex === -1) {
-    return { frontmatter: "", body: content };
+    return {
+      frontmatter: "",
+      body: content,
+      bodyStartLine: 1,
+      errors: [{ line: 1, message: "Unterminated frontmatter (missing closing \"---\")" }],
+    };
   }
 
   return {
     frontmatter: lines.slice(1, endIndex).join("\n"),
     body: lines.slice(endIndex + 1).join("\n"),
+    bodyStartLine: endIndex + 2,
+    errors: [],
   };
 }
 
 /**
- * Hand-rolled shallow YAML parser for frontmatter.
- * Supports: scalars, simple lists (- item), and nested objects two levels deep.
- *
- * Tracks state with: parentKey (top-level block), childKey (nested block under parent),
- * and the indent levels at which each was opened.
+ * Parse frontmatter YAML (see yaml.mjs for the supported subset).
+ * Returns { meta, errors } with error line numbers relative to the file.
  */
 function parseFrontmatter(yaml) {
-  if (!yaml.trim()) return {};
-
-  const result = {};
-  const lines = yaml.split("\n");
-
-  // State: which top-level key and (optionally) which child key we are inside
-  let parentKey = null; // e.g., "detection"
-  let parentIndent = -1;
-  let childKey = null; // e.g., "files_any" (always under parentKey)
-  let childIndent = -1;
-
-  for (const line of lines) {
-    if (!line.trim() || line.trim().startsWith("#")) continue;
-
-    const indent = line.length - line.trimStart().length;
-    const trimmed = line.trim();
-
-    // --- Top-level (indent 0) ---
-    if (indent === 0 && trimmed.includes(":")) {
-      parentKey = null;
-      childKey = null;
-      const colonIdx = trimmed.indexOf(":");
-      const key = trimmed.slice(0, colonIdx).trim();
-      const value = trimmed.slice(colonIdx + 1).trim();
-
-      if (value && value !== "[]") {
-        result[key] = parseScalar(value);
-      } else if (value === "[]") {
-        result[key] = [];
-      } else {
-        result[key] = {};
-        parentKey = key;
-        parentIndent = indent;
-      }
-      continue;
-    }
-
-    // --- Indented content under a parent key ---
-    if (parentKey && indent > parentIndent) {
-
-      // If we are inside a child key's list, check if this line is still at child-list depth
-      if (childKey && indent > childIndent && trimmed.startsWith("- ")) {
-        const item = trimmed.slice(2).trim().replace(/^["']|["']$/g, "");
-        result[parentKey][childKey].push(item);
-        continue;
-      }
-
-      // If indent dropped back to parent's child level (or we see a new key at that level),
-      // reset childKey so we can pick up a sibling
-      if (childKey && indent <= childIndent) {
-        childKey = null;
-      }
-
-      // List item directly under parent (parent is a list, not an object)
-      if (trimmed.startsWith("- ")) {
-        const item = trimmed.slice(2).trim().replace(/^["']|["']$/g, "");
-        if (!Array.isArray(result[parentKey])) {
-          result[parentKey] = [];
-        }
-        result[parentKey].push(item);
-        continue;
-      }
-
-      // Nested key: value (child of parent)
-      if (trimmed.includes(":")) {
-        if (typeof result[parentKey] !== "object" || Array.isArray(result[parentKey])) {
-          result[parentKey] = {};
-        }
-        const colonIdx = trimmed.indexOf(":");
-        const nestedKey = trimmed.slice(0, colonIdx).trim();
-        const nestedValue = trimmed.slice(colonIdx + 1).trim();
-
-        if (nestedValue && nestedValue !== "[]") {
-          result[parentKey][nestedKey] = parseScalar(nestedValue);
-          childKey = null;
-        } else {
-          // Empty value or [] — this child holds a list
-          result[parentKey][nestedKey] = [];
-          childKey = nestedKey;
-          childIndent = indent;
-        }
-        continue;
-      }
-    }
+  if (!yaml.trim()) return { meta: {}, errors: [] };
+
+  const { value, errors } = parseYaml(yaml, { lineOffset: 1 });
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return {
+      meta: {},
+      errors: [...errors, { line: 2, message: "Frontmatter must be a mapping of key: value pairs" }],
+    };
   }
-
-  return result;
-}
-
-/**
- * Parse a scalar YAML value: strip quotes, convert numbers.
- */
-function parseScalar(value) {
-  const stripped = value.replace(/^["']|["']$/g, "");
-  if (/^\d+$/.test(stripped)) return parseInt(stripped, 10);
-  return stripped;
+  return { meta: value, errors };
 }
 
 /**
  * Find top-level ## headings, ignoring any inside fenced code blocks.
- * Returns [{name, index, fullMatch}] with positions relative to body.
+ * Returns [{name, index, line, fullMatch}] with positions (and 0-based
+ * line numbers) relative to body.
  */
-function findTopLevelSections(body) {
+export function findTopLevelSections(body) {
   const lines = body.split("\n");
   const sections = [];
   let inFence = false;
   let pos = 0;
 
-  for (const line of lines) {
+  for (const [lineNum, line] of lines.entries()) {
     const trimmed = line.trim();
 
     // Track fenced code block boundaries
@@ -299,6 +253,7 @@ function findTopLevelSections(body) {
       sections.push({
         name: trimmed.slice(3).trim().toLowerCase(),
         index: pos,
+        line: lineNum,
         fullMatch: line,
       });
     }
@@ -318,6 +273,8 @@ function extractSections(body) {
   const result = {
     claude_md: "",
     hooks: {},
+    guards: [],
+    permissions: {},
     skills: {},
     agents: {},
     mcp_servers: {},
@@ -346,6 +303,18 @@ function extractSections(body) {
         result.hooks = extractJsonBlock(content) || {};
         break;
 
+      case "guards": {
+        const guards = extractJsonBlock(content);
+        result.guards = Array.isArray(guards) ? guards : [];
+        break;
+      }
+
+      case "permissions": {
+        const permissions = extractJsonBlock(content);
+        result.permissions = permissions && typeof permissions === "object" && !Array.isArray(permissions) ? permissions : {};
+        break;
+      }
+
       case "skills":
         result.skills = extractNamedSubsections(content);
         break;
@@ -384,14 +353,15 @@ function extractJsonBlock(content) {
 
 /**
  * Find top-level ### headings in content, ignoring any inside fenced code blocks.
+ * Returns [{name, index, line, fullMatch}] with 0-based line numbers.
  */
-function findTopLevelSubsections(content) {
+export function findTopLevelSubsections(content) {
   const lines = content.split("\n");
   const subs = [];
   let inFence = false;
   let pos = 0;
 
-  for (const line of lines) {
+  for (const [lineNum, line] of lines.entries()) {
     const trimmed = line.trim();
 
     if (trimmed.startsWith("```")) {
@@ -402,6 +372,7 @@ function findTopLevelSubsections(content) {
       subs.push({
         name: trimmed.slice(4).trim(),
         index: pos,
+        line: lineNum,
         fullMatch: line,
       });
     }
@@ -488,12 +459,78 @@ function parseExternalSkillsTable(content) {
 
 /**
  * Find a template by ID from available templates.
- * Searches both bundled and user template directories.
+ * Searches bundled, user and source template directories. An unqualified
+ * ID that matches nothing else falls back to the first source template
+ * with that name (e.g. "nextjs-internal" -> "acme/nextjs-internal").
+ * Source templates get their namespaced ID in `meta.id`.
  */
-export async function findTemplate(templateId, templatesDir, projectRoot) {
-  const templates = await listTemplates(templatesDir, projectRoot);
-  const entry = templates.find((t) => t.id === templateId);
+export async function findTemplate(templateId, templatesDir, projectRoot, sources = []) {
+  const templates = await listTemplates(templatesDir, projectRoot, sources);
+  const entry =
+    templates.find((t) => t.id === templateId) ||
+    (!templateId.includes("/") && templates.find((t) => t.namespace && t.id === `${t.namespace}/${templateId}`));
   if (!entry) return null;
   const dir = entry._dir || templatesDir || getTemplatesDir();
-  return parseTemplate(join(dir, entry.file));
+  const template = await parseTemplate(join(dir, entry.file));
+  if (entry.namespace) {
+    template.meta = { ...template.meta, id: entry.id, namespace: entry.namespace };
+  }
+  return template;
+}
+
+/**
+ * Normalize an `extends:` frontmatter value into a list of template IDs.
+ * Accepts a YAML list or a single ID.
+ */
+export function getExtends(meta) {
+  const value = meta?.extends;
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map((id) => String(id).trim()).filter(Boolean);
+}
+
+/**
+ * Resolve template IDs and their `extends:` bases into parsed templates,
+ * in merge order: each template's bases (recursively) come before it, and
+ * listed templates keep their command-line order. A template reached twice
+ * is only included once, at its first position.
+ * Throws if a template is missing or the extends chain has a cycle.
+ */
+export async function resolveTemplateChain(templateIds, templatesDir, projectRoot, sources = []) {
+  const resolved = [];
+  const seen = new Set();
+
+  async function visit(id, stack, namespace) {
+    // Bases of a source template resolve within the same source first
+    let template = null;
+    if (namespace && !id.includes("/")) {
+      template = await findTemplate(`${namespace}/${id}`, templatesDir, projectRoot, sources);
+    }
+    if (!template) {
+      template = await findTemplate(id, templatesDir, projectRoot, sources);
+    }
+    if (!template) {
+      const via = stack.length > 0 ? ` (extended by ${stack[stack.length - 1]})` : "";
+      throw new Error(`Template not found: ${id}${via}`);
+    }
+
+    const key = template.meta.id || id;
+    if (stack.includes(key)) {
+      throw new Error(`Template extends cycle: ${[...stack, key].join(" -> ")}`);
+    }
+    if (seen.has(key)) return;
+
+    for (const base of getExtends(template.meta)) {
+      await visit(base, [...stack, key], template.meta.namespace);
+    }
+
+    seen.add(key);
+    resolved.push(template);
+  }
+
+  for (const id of templateIds) {
+    await visit(id, [], null);
+  }
+
+  return resolved;
 }
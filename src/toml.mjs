@@ -0,0 +1,274 @@
+/**
+ * TOML-subset parser for project manifests (Cargo.toml, pyproject.toml).
+ * No runtime dependencies.
+ *
+ * Supports:
+ * - tables (`[a.b]`) and arrays of tables (`[[a]]`)
+ * - bare, quoted and dotted keys
+ * - basic and literal strings, single- and multi-line, with escapes
+ * - integers (with `_` and 0x/0o/0b prefixes), floats, `inf`/`nan` and booleans
+ * - arrays (across lines, with comments and trailing commas) and inline tables
+ * - dates and times, kept as their source text
+ *
+ * Malformed lines are reported as errors with 1-based line numbers and
+ * skipped, so the rest of a manifest can still be read.
+ */
+
+/**
+ * Parse TOML text.
+ *
+ * @param {string} text
+ * @returns {{ value: object, errors: Array<{ line: number, message: string }> }}
+ */
+export function parseToml(text) {
+  const state = { text: text.replace(/\r\n/g, "\n"), pos: 0, errors: [] };
+  const root = {};
+  let current = root;
+
+  while (state.pos < state.text.length) {
+    skipSpaces(state);
+    const ch = state.text[state.pos];
+    if (ch === "\n") {
+      state.pos++;
+      continue;
+    }
+    if (ch === "#" || ch === undefined) {
+      skipToLineEnd(state);
+      continue;
+    }
+    try {
+      if (ch === "[") {
+        const isArray = state.text[state.pos + 1] === "[";
+        state.pos += isArray ? 2 : 1;
+        const keys = parseKey(state);
+        expect(state, isArray ? "]]" : "]");
+        current = isArray ? appendTable(state, root, keys) : openTable(state, root, keys);
+      } else {
+        const keys = parseKey(state);
+        expect(state, "=");
+        assign(state, current, keys, parseValue(state));
+      }
+      skipSpaces(state);
+      if (state.text[state.pos] === "#") skipToLineEnd(state);
+      if (state.pos < state.text.length && state.text[state.pos] !== "\n") {
+        fail(state, "Expected the end of the line");
+      }
+    } catch (err) {
+      if (!err.tomlLine) throw err;
+      state.errors.push({ line: err.tomlLine, message: err.message });
+      skipToLineEnd(state);
+    }
+  }
+
+  return { value: root, errors: state.errors };
+}
+
+function lineAt(state, pos) {
+  let line = 1;
+  for (let i = 0; i < pos && i < state.text.length; i++) {
+    if (state.text[i] === "\n") line++;
+  }
+  return line;
+}
+
+function fail(state, message) {
+  const err = new Error(message);
+  err.tomlLine = lineAt(state, state.pos);
+  throw err;
+}
+
+function skipSpaces(state) {
+  while (state.text[state.pos] === " " || state.text[state.pos] === "\t") state.pos++;
+}
+
+function skipToLineEnd(state) {
+  const end = state.text.indexOf("\n", state.pos);
+  state.pos = end === -1 ? state.text.length : end;
+}
+
+/** Skip whitespace, newlines and comments (inside arrays). */
+function skipBlank(state) {
+  for (;;) {
+    skipSpaces(state);
+    if (state.text[state.pos] === "\n") state.pos++;
+    else if (state.text[state.pos] === "#") skipToLineEnd(state);
+    else return;
+  }
+}
+
+function expect(state, token) {
+  skipSpaces(state);
+  if (!state.text.startsWith(token, state.pos)) fail(state, `Expected "${token}"`);
+  state.pos += token.length;
+  skipSpaces(state);
+}
+
+function parseKey(state) {
+  const keys = [];
+  for (;;) {
+    skipSpaces(state);
+    const ch = state.text[state.pos];
+    if (ch === '"' || ch === "'") {
+      keys.push(parseString(state));
+    } else {
+      const match = state.text.slice(state.pos).match(/^[A-Za-z0-9_-]+/);
+      if (!match) fail(state, "Expected a key");
+      keys.push(match[0]);
+      state.pos += match[0].length;
+    }
+    skipSpaces(state);
+    if (state.text[state.pos] !== ".") return keys;
+    state.pos++;
+  }
+}
+
+function isTable(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/** Walk to the table at `keys`, creating tables along the way. */
+function walk(state, table, keys) {
+  for (const key of keys) {
+    if (table[key] === undefined) table[key] = {};
+    let next = table[key];
+    if (Array.isArray(next) && isTable(next[next.length - 1])) next = next[next.length - 1];
+    if (!isTable(next)) fail(state, `"${key}" is not a table`);
+    table = next;
+  }
+  return table;
+}
+
+function openTable(state, root, keys) {
+  return walk(state, root, keys);
+}
+
+function appendTable(state, root, keys) {
+  const parent = walk(state, root, keys.slice(0, -1));
+  const key = keys[keys.length - 1];
+  if (parent[key] === undefined) parent[key] = [];
+  if (!Array.isArray(parent[key])) fail(state, `"${key}" is not an array of tables`);
+  const table = {};
+  parent[key].push(table);
+  return table;
+}
+
+function assign(state, table, keys, value) {
+  const parent = walk(state, table, keys.slice(0, -1));
+  const key = keys[keys.length - 1];
+  if (parent[key] !== undefined) fail(state, `Duplicate key "${keys.join(".")}"`);
+  parent[key] = value;
+}
+
+function parseValue(state) {
+  skipSpaces(state);
+  const rest = state.text.slice(state.pos);
+  const ch = rest[0];
+  if (ch === '"' || ch === "'") return parseString(state);
+  if (ch === "[") return parseArray(state);
+  if (ch === "{") return parseInlineTable(state);
+
+  // Dates with a space before the time are one value
+  const match = rest.match(/^\d{4}-\d{2}-\d{2} \d{2}:[0-9:.Z+-]*/) || rest.match(/^[^\s,\]}#]+/);
+  if (!match) fail(state, "Expected a value");
+  const token = match[0];
+  state.pos += token.length;
+  if (token === "true") return true;
+  if (token === "false") return false;
+  if (/^\d{4}-\d{2}-\d{2}|^\d{2}:\d{2}/.test(token)) return token;
+  if (/^[+-]?inf$/.test(token)) return token.startsWith("-") ? -Infinity : Infinity;
+  if (/^[+-]?nan$/.test(token)) return NaN;
+  const number = Number(token.replace(/_/g, ""));
+  if (Number.isNaN(number)) fail(state, `Invalid value "${token}"`);
+  return number;
+}
+
+function parseArray(state) {
+  state.pos++;
+  const items = [];
+  for (;;) {
+    skipBlank(state);
+    if (state.text[state.pos] === "]") break;
+    items.push(parseValue(state));
+    skipBlank(state);
+    if (state.text[state.pos] === ",") {
+      state.pos++;
+    } else if (state.text[state.pos] !== "]") {
+      fail(state, 'Expected "," or "]" in array');
+    }
+  }
+  state.pos++;
+  return items;
+}
+
+function parseInlineTable(state) {
+  state.pos++;
+  const table = {};
+  skipSpaces(state);
+  if (state.text[state.pos] === "}") {
+    state.pos++;
+    return table;
+  }
+  for (;;) {
+    const keys = parseKey(state);
+    expect(state, "=");
+    assign(state, table, keys, parseValue(state));
+    skipSpaces(state);
+    const ch = state.text[state.pos];
+    state.pos++;
+    if (ch === "}") return table;
+    if (ch !== ",") {
+      state.pos--;
+      fail(state, 'Expected "," or "}" in inline table');
+    }
+  }
+}
+
+const ESCAPES = { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r", '"': '"', "\\": "\\" };
+
+function parseString(state) {
+  const { text } = state;
+  const quote = text[state.pos];
+  const multiline = text.startsWith(quote.repeat(3), state.pos);
+  const delimiter = multiline ? quote.repeat(3) : quote;
+  state.pos += delimiter.length;
+  // A newline right after the opening delimiter is not part of the string
+  if (multiline && text[state.pos] === "\n") state.pos++;
+
+  let value = "";
+  for (;;) {
+    if (state.pos >= text.length || (!multiline && text[state.pos] === "\n")) {
+      fail(state, "Unterminated string");
+    }
+    if (text.startsWith(delimiter, state.pos)) {
+      // Up to two quotes may directly precede the closing delimiter
+      let end = state.pos + delimiter.length;
+      while (multiline && text[end] === quote && end - state.pos < 5) end++;
+      value += text.slice(state.pos, end - delimiter.length);
+      state.pos = end;
+      return value;
+    }
+    const ch = text[state.pos];
+    if (ch === "\\" && quote === '"') {
+      const next = text[state.pos + 1];
+      if (multiline && /[ \t\n]/.test(next) && /^\\[ \t]*\n/.test(text.slice(state.pos))) {
+        // Line-ending backslash: trim the newline and leading whitespace
+        state.pos++;
+        while (/[ \t\n]/.test(text[state.pos])) state.pos++;
+        continue;
+      }
+      if (ESCAPES[next]) {
+        value += ESCAPES[next];
+        state.pos += 2;
+        continue;
+      }
+      const hex = next === "u" ? 4 : next === "U" ? 8 : 0;
+      const code = hex ? text.slice(state.pos + 2, state.pos + 2 + hex) : "";
+      if (!hex || !/^[0-9A-Fa-f]+$/.test(code) || code.length !== hex) fail(state, "Invalid escape in string");
+      value += String.fromCodePoint(parseInt(code, 16));
+      state.pos += 2 + hex;
+      continue;
+    }
+    value += ch;
+    state.pos++;
+  }
+}
@@ -0,0 +1,53 @@
+import { dirname, basename, join } from "node:path";
+import { mkdir, rename, rm, writeFile } from "node:fs/promises";
+
+/**
+ * Transactional writes — a command's files are first written to staged
+ * copies, and moved into place only once every copy is written, so a
+ * failure while writing (a full disk, a read-only directory) leaves the
+ * project untouched. Each staged copy sits next to its target, so moving
+ * it is an atomic rename on the same filesystem.
+ *
+ * A failure while moving files into place is rare but leaves some files
+ * committed; the error's `committed` lists them, so the caller can restore
+ * them from the command's backup (see backups.mjs).
+ */
+
+/**
+ * Path of the staged copy of a file.
+ */
+function stagedPath(path) {
+  return join(dirname(path), `.${basename(path)}.${process.pid}.agentic-rig-staged`);
+}
+
+/**
+ * Write `files` ([{ path, content }], absolute paths; null content removes
+ * the file) all or nothing. Throws on failure, after removing the staged
+ * copies; the error has `path` (the file that failed) and `committed`.
+ */
+export async function writeFilesAtomically(files) {
+  const staged = [];
+  const committed = [];
+  let current = null;
+  try {
+    for (const f of files) {
+      current = f.path;
+      if (f.content === null) continue;
+      const temp = stagedPath(f.path);
+      await mkdir(dirname(f.path), { recursive: true });
+      staged.push(temp);
+      await writeFile(temp, f.content, "utf8");
+    }
+    for (const f of files) {
+      current = f.path;
+      if (f.content === null) await rm(f.path, { force: true });
+      else await rename(stagedPath(f.path), f.path);
+      committed.push(f.path);
+    }
+  } catch (err) {
+    for (const temp of staged) await rm(temp, { force: true }).catch(() => {});
+    err.path = current;
+    err.committed = committed;
+    throw err;
+  }
+}
@@ -1,6 +1,6 @@
 import { join, dirname } from "node:path";
 import { fileURLToPath } from "node:url";
-import { stat, cp, readdir, mkdir, writeFile, readFile } from "node:fs/promises";
+import { stat, cp, readdir, mkdir, writeFile, readFile, rmdir } from "node:fs/promises";
 import { createInterface } from "node:readline";
 import { execFile } from "node:child_process";
 
@@ -45,17 +45,68 @@ export async function listFiles(dir, prefix = "") {
   return files;
 }
 
-export function promptYesNo(question) {
-  return new Promise((resolve) => {
-    const rl = createInterface({
-      input: process.stdin,
-      output: process.stdout,
-    });
-    rl.question(`${question} (y/N) `, (answer) => {
-      rl.close();
-      resolve(answer.trim().toLowerCase() === "y");
-    });
+export async function promptYesNo(question) {
+  const prompter = createPrompter();
+  try {
+    const answer = await prompter.ask(`${question} (y/N)`);
+    return (answer ?? "").toLowerCase() === "y";
+  } finally {
+    prompter.close();
+  }
+}
+
+// Lines read ahead of a question (piped input) are kept for the next
+// question, even when it is asked by a later prompter
+const pendingLines = [];
+let inputEnded = false;
+
+/**
+ * Open one readline interface for a series of questions, so piped answers
+ * are not lost between prompts. `ask` resolves null once input has ended.
+ * Call close() when done.
+ */
+export function createPrompter() {
+  const rl = inputEnded ? null : createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  let waiting = null;
+  let closing = false;
+  rl?.on("line", (line) => {
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve(line);
+    } else {
+      pendingLines.push(line);
+    }
+  });
+  rl?.on("close", () => {
+    if (!closing) inputEnded = true;
+    if (waiting) waiting(null);
   });
+
+  return {
+    ask(question, defaultValue) {
+      const hint = defaultValue !== undefined && defaultValue !== "" ? ` [${defaultValue}]` : "";
+      const answer = (line) => (line === null ? null : line.trim() || (defaultValue ?? ""));
+      if (rl) {
+        rl.setPrompt(`${question}${hint}: `);
+        rl.prompt();
+      } else {
+        process.stdout.write(`${question}${hint}: `);
+      }
+      if (pendingLines.length > 0) return Promise.resolve(answer(pendingLines.shift()));
+      if (inputEnded) return Promise.resolve(null);
+      return new Promise((resolve) => {
+        waiting = (line) => resolve(answer(line));
+      });
+    },
+    close() {
+      closing = true;
+      rl?.close();
+    },
+  };
 }
 
 export async function writeFileWithDir(filePath, content) {
@@ -80,51 +131,31 @@ export async function readFileIfExists(filePath) {
   }
 }
 
-export function mergeSettingsJson(existing, newHooks) {
-  let settings;
+/**
+ * Parse a JSON manifest (package.json, composer.json, ...) read with
+ * readFileIfExists. Returns null when the content is missing, invalid, or
+ * not an object or array.
+ */
+export function parseJson(content) {
   try {
-    settings = existing ? JSON.parse(existing) : {};
+    const value = content ? JSON.parse(content) : null;
+    return value && typeof value === "object" ? value : null;
   } catch {
-    settings = {};
-  }
-
-  for (const [event, hookList] of Object.entries(newHooks)) {
-    if (!Array.isArray(hookList)) continue;
-    if (!settings[event]) {
-      settings[event] = [];
-    }
-    for (const hook of hookList) {
-      const alreadyExists = settings[event].some(
-        (h) => h.matcher === hook.matcher && h.command === hook.command
-      );
-      if (!alreadyExists) {
-        settings[event].push(hook);
-      }
-    }
+    return null;
   }
-
-  return JSON.stringify(settings, null, 2);
 }
 
-export function mergeMcpJson(existing, newServers) {
-  let mcp;
-  try {
-    mcp = existing ? JSON.parse(existing) : {};
-  } catch {
-    mcp = {};
-  }
-
-  if (!mcp.mcpServers) {
-    mcp.mcpServers = {};
-  }
-
-  for (const [name, config] of Object.entries(newServers)) {
-    if (!mcp.mcpServers[name]) {
-      mcp.mcpServers[name] = config;
+/**
+ * Remove `dir` and its parents while they are empty, up to (not including) `root`.
+ */
+export async function removeEmptyDirs(dir, root) {
+  for (let current = dir; current.startsWith(root) && current !== root; current = dirname(current)) {
+    try {
+      await rmdir(current);
+    } catch {
+      return;
     }
   }
-
-  return JSON.stringify(mcp, null, 2);
 }
 
 /**
@@ -160,3 +191,24 @@ export function execCommand(command, args, options = {}) {
     });
   });
 }
+
+/**
+ * Executes a command via child_process.execFile without a shell.
+ * Use for tools invoked with file paths or URLs (git, tar) so arguments
+ * are passed through verbatim and never interpreted by a shell.
+ */
+export function execFileCommand(command, args, options = {}) {
+  return new Promise((resolve) => {
+    execFile(command, args, {
+      timeout: options.timeout || 120000,
+      maxBuffer: 1024 * 1024,
+      cwd: options.cwd,
+    }, (error, stdout, stderr) => {
+      resolve({
+        exitCode: error ? (typeof error.code === "number" ? error.code : 1) : 0,
+        stdout: stdout?.toString() || "",
+        stderr: stderr?.toString() || (error && typeof error.code === "string" ? error.message : ""),
+      });
+    });
+  });
+}
@@ -0,0 +1,210 @@
+import { join } from "node:path";
+import { readFileIfExists, writeFileWithDir, createPrompter } from "./utils.mjs";
+
+/**
+ * Template variables — `{{name}}` placeholders declared in frontmatter:
+ *
+ *   variables:
+ *     store:
+ *       prompt: Shopify store domain
+ *       default: your-store.myshopify.com
+ *       validate: ^[a-z0-9-]+\.myshopify\.com$
+ *
+ * Only declared names are substituted, so other `{{ ... }}` syntax in
+ * templates (Liquid, Handlebars, etc.) is left untouched.
+ */
+
+/**
+ * Returns the path to the saved answers file for a project.
+ */
+export function getAnswersPath(projectRoot) {
+  return join(projectRoot, ".claude", "agentic-rig", "answers.json");
+}
+
+/**
+ * Normalize the `variables` frontmatter into a list of definitions.
+ * Returns [{ name, prompt, default, validate }].
+ */
+export function getTemplateVariables(meta) {
+  const vars = meta?.variables;
+  if (!vars || typeof vars !== "object") return [];
+
+  const list = Array.isArray(vars)
+    ? vars.map((v) => (typeof v === "string" ? { name: v } : v))
+    : Object.entries(vars).map(([name, def]) => ({
+        name,
+        ...(def && typeof def === "object" && !Array.isArray(def) ? def : {}),
+      }));
+
+  return list
+    .filter((v) => v && v.name)
+    .map((v) => ({
+      name: String(v.name),
+      prompt: v.prompt ? String(v.prompt) : String(v.name),
+      default: v.default !== undefined ? String(v.default) : undefined,
+      validate: v.validate ? String(v.validate) : undefined,
+    }));
+}
+
+/**
+ * Check a value against a variable's validation regex.
+ * Returns an error message, or null when valid.
+ */
+export function validateVariable(def, value) {
+  if (value === undefined || value === "") {
+    return `Missing value for "${def.name}"`;
+  }
+  if (def.validate) {
+    let re;
+    try {
+      re = new RegExp(def.validate);
+    } catch {
+      return `Invalid validation pattern for "${def.name}": ${def.validate}`;
+    }
+    if (!re.test(value)) {
+      return `Value for "${def.name}" does not match ${def.validate}: ${value}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse `--set key=value` arguments into an object.
+ */
+export function parseSetArgs(pairs) {
+  const values = {};
+  for (const pair of pairs || []) {
+    const eq = pair.indexOf("=");
+    if (eq <= 0) continue;
+    values[pair.slice(0, eq).trim()] = pair.slice(eq + 1);
+  }
+  return values;
+}
+
+/**
+ * Load previously saved answers. Returns {} if none exist.
+ */
+export async function loadAnswers(projectRoot) {
+  const content = await readFileIfExists(getAnswersPath(projectRoot));
+  if (!content) return {};
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save answers, merged over any previously saved values.
+ */
+export async function saveAnswers(projectRoot, values) {
+  const existing = await loadAnswers(projectRoot);
+  const merged = { ...existing, ...values };
+  await writeFileWithDir(getAnswersPath(projectRoot), JSON.stringify(merged, null, 2) + "\n");
+  return merged;
+}
+
+/**
+ * Resolve a value for every declared variable.
+ * Precedence: --set values, then saved answers, then an interactive prompt
+ * (only when stdin is a TTY), then the declared default. Prompting stops
+ * once input has ended. --set names the template doesn't declare are errors.
+ * Returns { values, errors }.
+ */
+export async function resolveVariables(defs, { set = {}, saved = {}, interactive = false } = {}) {
+  const values = {};
+  const errors = [];
+  const declared = new Set(defs.map((d) => d.name));
+  for (const name of Object.keys(set).filter((n) => !declared.has(n))) {
+    errors.push(declared.size > 0
+      ? `Unknown variable "${name}" in --set (the template declares ${[...declared].join(", ")})`
+      : `Unknown variable "${name}" in --set (the template declares no variables)`);
+  }
+
+  const prompter = interactive ? createPrompter() : null;
+  let inputEnded = false;
+  try {
+    for (const def of defs) {
+      let value = set[def.name] ?? saved[def.name];
+
+      if (value === undefined && prompter && !inputEnded) {
+        value = await promptVariable(prompter, def);
+        if (value === null) {
+          inputEnded = true;
+          errors.push(`Input ended before a value for "${def.name}" was given`);
+          continue;
+        }
+      }
+
+      if (value === undefined) value = def.default;
+
+      const error = validateVariable(def, value);
+      if (error) {
+        errors.push(error);
+        continue;
+      }
+      values[def.name] = value;
+    }
+  } finally {
+    prompter?.close();
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Ask for a variable until the answer is valid. Returns null once input
+ * has ended (EOF, or Ctrl-D on a terminal).
+ */
+async function promptVariable(prompter, def) {
+  for (;;) {
+    const value = await prompter.ask(def.prompt, def.default);
+    if (value === null) return null;
+    const error = validateVariable(def, value);
+    if (!error) return value;
+    console.log(`  ${error}`);
+  }
+}
+
+/**
+ * Replace `{{name}}` placeholders for the given values in a string.
+ */
+export function substituteString(str, values) {
+  return str.replace(/\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+  );
+}
+
+/**
+ * Recursively substitute placeholders in strings within objects and arrays.
+ */
+function substituteDeep(value, values) {
+  if (typeof value === "string") return substituteString(value, values);
+  if (Array.isArray(value)) return value.map((v) => substituteDeep(v, values));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, substituteDeep(v, values)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Apply variable values to a parsed template's content sections.
+ * Returns a new template object; meta is left as-is.
+ */
+export function applyVariables(template, values) {
+  if (Object.keys(values).length === 0) return template;
+  return {
+    ...template,
+    claude_md: substituteDeep(template.claude_md, values),
+    hooks: substituteDeep(template.hooks, values),
+    guards: substituteDeep(template.guards, values),
+    permissions: substituteDeep(template.permissions, values),
+    skills: substituteDeep(template.skills, values),
+    agents: substituteDeep(template.agents, values),
+    mcp_servers: substituteDeep(template.mcp_servers, values),
+    external_skills: substituteDeep(template.external_skills, values),
+  };
+}
@@ -0,0 +1,113 @@
+import { dirname, join } from "node:path";
+import { readFileIfExists, parseJson } from "./utils.mjs";
+import { parseYaml } from "./yaml.mjs";
+import { parseToml } from "./toml.mjs";
+import { globToRegExp, listProjectFiles } from "./detection.mjs";
+import { detectPackageManager } from "./tasks.mjs";
+
+/**
+ * Workspace detection — finds the packages of a monorepo from each tool's
+ * workspace config:
+ *
+ *   npm / yarn / bun
+ *               package.json `workspaces` (a list, or { packages })
+ *   pnpm        pnpm-workspace.yaml `packages`
+ *   lerna       lerna.json `packages` (default packages/*)
+ *   nx          nx.json, with a project.json per project
+ *   turbo       turbo.json (packages come from the package manager's workspaces)
+ *   cargo       Cargo.toml [workspace] `members`, minus `exclude`
+ *   go          go.work `use` directives
+ *
+ * A directory only counts as a package when it has the tool's manifest
+ * (package.json, Cargo.toml, go.mod or project.json), as the tools require.
+ */
+
+/**
+ * Detect the workspace tools and packages of a project.
+ * Returns { tools, packages } with packages as sorted forward-slash paths
+ * relative to `dir`, or null when no workspace config is found.
+ */
+export async function detectWorkspaces(dir) {
+  const tools = [];
+  const packages = new Set();
+  let files = null;
+  const add = async (tool, patterns, manifest) => {
+    tools.push(tool);
+    files ??= await listProjectFiles(dir);
+    for (const path of expandPatterns(patterns, manifest, files)) packages.add(path);
+  };
+
+  const pkg = parseJson(await readFileIfExists(join(dir, "package.json")));
+  const npmPatterns = Array.isArray(pkg?.workspaces) ? pkg.workspaces : pkg?.workspaces?.packages;
+  if (Array.isArray(npmPatterns)) {
+    const manager = await detectPackageManager(dir);
+    await add(manager === "yarn" || manager === "bun" ? manager : "npm", npmPatterns, "package.json");
+  }
+
+  const pnpmConfig = await readFileIfExists(join(dir, "pnpm-workspace.yaml"));
+  if (pnpmConfig !== null) {
+    const { value } = parseYaml(pnpmConfig);
+    await add("pnpm", Array.isArray(value?.packages) ? value.packages : [], "package.json");
+  }
+
+  const lernaConfig = await readFileIfExists(join(dir, "lerna.json"));
+  if (lernaConfig !== null) {
+    const lerna = parseJson(lernaConfig);
+    await add("lerna", Array.isArray(lerna?.packages) ? lerna.packages : ["packages/*"], "package.json");
+  }
+
+  if ((await readFileIfExists(join(dir, "nx.json"))) !== null) {
+    await add("nx", ["**"], "project.json");
+  }
+
+  if ((await readFileIfExists(join(dir, "turbo.json"))) !== null) {
+    tools.push("turbo");
+  }
+
+  const cargo = await readFileIfExists(join(dir, "Cargo.toml"));
+  const cargoWorkspace = cargo !== null ? parseToml(cargo).value.workspace : undefined;
+  if (cargoWorkspace && typeof cargoWorkspace === "object") {
+    const members = Array.isArray(cargoWorkspace.members) ? cargoWorkspace.members : [];
+    const exclude = Array.isArray(cargoWorkspace.exclude) ? cargoWorkspace.exclude.map((p) => `!${p}`) : [];
+    await add("cargo", [...members, ...exclude], "Cargo.toml");
+  }
+
+  const goWork = await readFileIfExists(join(dir, "go.work"));
+  if (goWork !== null) {
+    await add("go", parseGoWorkUses(goWork), "go.mod");
+  }
+
+  if (tools.length === 0) return null;
+  packages.delete("");
+  return { tools, packages: [...packages].sort() };
+}
+
+/**
+ * The directories listed by `use` in a go.work file, single or in a block.
+ */
+export function parseGoWorkUses(content) {
+  const uses = [];
+  const text = content.replace(/\/\/.*$/gm, "");
+  for (const match of text.matchAll(/^\s*use\s*\(([^)]*)\)/gm)) {
+    uses.push(...match[1].split("\n").map((l) => l.trim()).filter(Boolean));
+  }
+  for (const match of text.matchAll(/^\s*use\s+([^\s(]+)/gm)) {
+    uses.push(match[1]);
+  }
+  return uses.map((u) => u.replace(/^"|"$/g, ""));
+}
+
+/**
+ * Directories matching workspace patterns ("apps/*", "!apps/legacy",
+ * "./tools/cli") that contain `manifest`, from the project's file list.
+ */
+function expandPatterns(patterns, manifest, files) {
+  const dirs = files
+    .filter((f) => f === manifest || f.endsWith(`/${manifest}`))
+    .map((f) => (f === manifest ? "" : dirname(f)));
+  const normalize = (p) => p.replace(/^!/, "").replace(/^\.\//, "").replace(/\/+$/, "") || ".";
+  const toRegExp = (p) => (normalize(p) === "." ? /^$/ : globToRegExp(normalize(p)));
+  const include = patterns.filter((p) => typeof p === "string" && !p.startsWith("!")).map(toRegExp);
+  const exclude = patterns.filter((p) => typeof p === "string" && p.startsWith("!")).map(toRegExp);
+  return dirs.filter((d) => include.some((re) => re.test(d)) && !exclude.some((re) => re.test(d)));
+}
@@ -0,0 +1,555 @@
+/**
+ * YAML-subset parser for template frontmatter. No runtime dependencies.
+ *
+ * Supports:
+ * - block mappings and sequences nested to any depth
+ * - sequences of mappings (`- name: x` followed by indented keys)
+ * - plain, single-quoted and double-quoted scalars (with escapes)
+ * - plain scalars continued on more-indented lines
+ * - literal (`|`) and folded (`>`) block scalars with `-`/`+` chomping
+ *   and an indentation indicator (`|2`)
+ * - flow sequences and mappings (`[a, b]`, `{ key: value }`)
+ * - `true`/`false`, `null`/`~` and numbers (including `1e3`)
+ * - comments (`# ...`) outside quotes
+ *
+ * Anchors, aliases, tags and multi-document streams are not supported.
+ * Malformed input is reported as errors with 1-based line numbers instead
+ * of being silently dropped.
+ */
+
+/**
+ * Parse YAML text.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.lineOffset=0] - Added to reported line numbers
+ *   (e.g. 1 when the text starts on line 2 of a file)
+ * @returns {{ value: any, errors: Array<{ line: number, message: string }> }}
+ */
+export function parseYaml(text, { lineOffset = 0 } = {}) {
+  const state = {
+    lines: text.split("\n").map((raw, i) => ({ raw: raw.replace(/\r$/, ""), num: i + 1 + lineOffset })),
+    pos: 0,
+    errors: [],
+  };
+
+  const first = peekSignificant(state);
+  if (!first) return { value: {}, errors: [] };
+
+  let value = parseNode(state, indentOf(state, first));
+
+  // Anything left over did not fit the document structure
+  let line;
+  while ((line = peekSignificant(state))) {
+    addError(state, line, "Unexpected content (check indentation)");
+    state.pos++;
+  }
+
+  if (value === null || value === undefined) value = {};
+  return { value, errors: state.errors };
+}
+
+function addError(state, line, message) {
+  state.errors.push({ line: line.num, message });
+}
+
+function isBlankOrComment(raw) {
+  const trimmed = raw.trim();
+  return trimmed === "" || trimmed.startsWith("#");
+}
+
+function peekSignificant(state) {
+  while (state.pos < state.lines.length && isBlankOrComment(state.lines[state.pos].raw)) {
+    state.pos++;
+  }
+  return state.pos < state.lines.length ? state.lines[state.pos] : null;
+}
+
+function indentOf(state, line) {
+  const match = line.raw.match(/^[ \t]*/)[0];
+  if (match.includes("\t") && !line.tabReported) {
+    line.tabReported = true;
+    addError(state, line, "Tabs are not allowed for indentation");
+  }
+  return match.replace(/\t/g, " ").length;
+}
+
+function contentOf(line, indent) {
+  return line.raw.slice(indent).replace(/^\t+/, "");
+}
+
+function isSequenceItem(content) {
+  return content === "-" || content.startsWith("- ");
+}
+
+/**
+ * Parse the node starting at the current line, which sits at `indent`.
+ */
+function parseNode(state, indent) {
+  const line = peekSignificant(state);
+  if (!line) return null;
+  const content = contentOf(line, indentOf(state, line));
+
+  if (isSequenceItem(content)) return parseSequence(state, indent);
+  if (findMappingColon(content) >= 0) return parseMapping(state, indent);
+
+  state.pos++;
+  return parseScalarWithContinuation(state, stripComment(content).trim(), line, indent - 1);
+}
+
+function parseMapping(state, indent) {
+  const result = {};
+  let line;
+
+  while ((line = peekSignificant(state))) {
+    const ind = indentOf(state, line);
+    if (ind < indent) break;
+    if (ind > indent) {
+      addError(state, line, "Unexpected indentation");
+      state.pos++;
+      continue;
+    }
+
+    const content = contentOf(line, ind);
+    if (isSequenceItem(content)) {
+      addError(state, line, "Unexpected list item in a mapping");
+      state.pos++;
+      continue;
+    }
+
+    const colon = findMappingColon(content);
+    if (colon < 0) {
+      addError(state, line, `Expected "key: value", got "${content.trim()}"`);
+      state.pos++;
+      continue;
+    }
+
+    const key = parseKey(state, content.slice(0, colon).trim(), line);
+    const rest = stripComment(content.slice(colon + 1)).trim();
+    if (Object.prototype.hasOwnProperty.call(result, key)) {
+      addError(state, line, `Duplicate key "${key}"`);
+    }
+    state.pos++;
+    // "a: b: c" is not a nested mapping; YAML rejects it rather than reading "b: c"
+    if (findMappingColon(rest) >= 0) {
+      addError(state, line, `Nested mapping on one line after "${key}:"; move it to its own indented line or quote the value`);
+      result[key] = null;
+      continue;
+    }
+    result[key] = parseValueAfterIndicator(state, rest, indent, line, true);
+  }
+
+  return result;
+}
+
+function parseSequence(state, indent) {
+  const result = [];
+  let line;
+
+  while ((line = peekSignificant(state))) {
+    const ind = indentOf(state, line);
+    if (ind < indent) break;
+    if (ind > indent) {
+      addError(state, line, "Unexpected indentation");
+      state.pos++;
+      continue;
+    }
+
+    const content = contentOf(line, ind);
+    if (!isSequenceItem(content)) break;
+
+    const afterDash = content.slice(1);
+    const rest = afterDash.trimStart();
+    const restTrimmed = stripComment(rest).trim();
+
+    if (restTrimmed === "") {
+      state.pos++;
+      result.push(parseValueAfterIndicator(state, "", indent, line, false));
+      continue;
+    }
+
+    // "- key: value" or "- - item": re-read the rest of the line as a nested
+    // block whose indentation is the column where the item content starts
+    if (isSequenceItem(rest) || findMappingColon(rest) >= 0) {
+      const childIndent = ind + 1 + (afterDash.length - rest.length);
+      line.raw = " ".repeat(childIndent) + rest;
+      result.push(parseNode(state, childIndent));
+      continue;
+    }
+
+    state.pos++;
+    result.push(parseValueAfterIndicator(state, restTrimmed, indent, line, false));
+  }
+
+  return result;
+}
+
+/**
+ * Parse the value following "key:" or "- " at `ownerIndent`.
+ */
+function parseValueAfterIndicator(state, rest, ownerIndent, line, allowSameIndentSequence) {
+  if (rest === "") {
+    const next = peekSignificant(state);
+    if (!next) return null;
+    const nextIndent = indentOf(state, next);
+    if (nextIndent > ownerIndent) return parseNode(state, nextIndent);
+    // YAML allows a sequence at the same indent as its parent key
+    if (
+      allowSameIndentSequence &&
+      nextIndent === ownerIndent &&
+      isSequenceItem(contentOf(next, nextIndent))
+    ) {
+      return parseSequence(state, ownerIndent);
+    }
+    return null;
+  }
+
+  // Chomping and indentation indicators may come in either order: |2- or |-2
+  const blockHeader = rest.match(/^([|>])(?:([+-]?)([1-9]?)|([1-9])([+-]))$/);
+  if (blockHeader) {
+    const [, style, chomp, digit, digitFirst, chompLast] = blockHeader;
+    const indicator = Number(digit || digitFirst) || 0;
+    return parseBlockScalar(state, ownerIndent, style, chomp || chompLast || "", indicator);
+  }
+
+  return parseScalarWithContinuation(state, rest, line, ownerIndent);
+}
+
+/**
+ * Parse an inline value; plain scalars may continue on more-indented lines.
+ */
+function parseScalarWithContinuation(state, text, line, ownerIndent) {
+  const first = text[0];
+  if (first === '"' || first === "'" || first === "[" || first === "{") {
+    return parseInlineValue(state, text, line);
+  }
+
+  const parts = [text];
+  let next;
+  while ((next = peekSignificant(state))) {
+    const ind = indentOf(state, next);
+    const content = contentOf(next, ind);
+    if (ind <= ownerIndent || isSequenceItem(content) || findMappingColon(content) >= 0) break;
+    parts.push(stripComment(content).trim());
+    state.pos++;
+  }
+
+  return parseInlineValue(state, parts.join(" "), line);
+}
+
+/**
+ * Parse a literal (|) or folded (>) block scalar. A non-zero `indicator`
+ * fixes the content indentation relative to the owner, so the first line
+ * may itself start with spaces.
+ */
+function parseBlockScalar(state, ownerIndent, style, chomp, indicator = 0) {
+  const collected = [];
+  let blockIndent = indicator > 0 ? ownerIndent + indicator : -1;
+
+  while (state.pos < state.lines.length) {
+    const line = state.lines[state.pos];
+    if (line.raw.trim() === "") {
+      collected.push("");
+      state.pos++;
+      continue;
+    }
+    const ind = indentOf(state, line);
+    if (ind <= ownerIndent) break;
+    if (blockIndent < 0) blockIndent = ind;
+    if (ind < blockIndent) {
+      addError(state, line, "Block scalar line is less indented than the first line");
+      state.pos++;
+      continue;
+    }
+    collected.push(line.raw.slice(blockIndent));
+    state.pos++;
+  }
+
+  // Trailing blank lines belong to chomping, not content
+  let trailing = 0;
+  while (collected.length > 0 && collected[collected.length - 1] === "") {
+    collected.pop();
+    trailing++;
+  }
+
+  let body;
+  if (style === "|") {
+    body = collected.join("\n");
+  } else {
+    body = "";
+    for (let i = 0; i < collected.length; i++) {
+      const current = collected[i];
+      if (i === 0) {
+        body = current;
+      } else if (current === "") {
+        body += "\n";
+      } else if (collected[i - 1] === "" || /^\s/.test(current) || /^\s/.test(collected[i - 1])) {
+        body += (collected[i - 1] === "" ? "" : "\n") + current;
+      } else {
+        body += " " + current;
+      }
+    }
+  }
+
+  if (collected.length === 0) return "";
+  if (chomp === "-") return body;
+  if (chomp === "+") return body + "\n".repeat(trailing + 1);
+  return body + "\n";
+}
+
+/**
+ * Find the index of the ":" that separates a mapping key from its value.
+ * The colon must be followed by a space or end the line, and may not sit
+ * inside a quoted key. Returns -1 for flow collections and plain scalars.
+ */
+function findMappingColon(content) {
+  let i = 0;
+  const first = content[0];
+  if (first === "[" || first === "{" || first === "#") return -1;
+
+  if (first === '"' || first === "'") {
+    const end = findClosingQuote(content, 0);
+    if (end < 0) return -1;
+    i = end + 1;
+    while (content[i] === " ") i++;
+    return content[i] === ":" && (i + 1 === content.length || content[i + 1] === " ") ? i : -1;
+  }
+
+  for (; i < content.length; i++) {
+    if (content[i] === "#" && i > 0 && /\s/.test(content[i - 1])) return -1;
+    if (content[i] === ":" && (i + 1 === content.length || content[i + 1] === " ")) return i;
+  }
+  return -1;
+}
+
+function findClosingQuote(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === "\\") {
+      i++;
+      continue;
+    }
+    if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        i++;
+        continue;
+      }
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Remove a trailing "# comment" that is outside quotes.
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (quote === '"' && ch === "\\") i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if ((ch === '"' || ch === "'") && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) {
+      quote = ch;
+      continue;
+    }
+    if (ch === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+function parseKey(state, raw, line) {
+  if (raw.startsWith('"') || raw.startsWith("'")) {
+    const value = parseInlineValue(state, raw, line);
+    return String(value);
+  }
+  return raw;
+}
+
+/**
+ * Parse a complete single-line value: quoted string, flow collection or plain scalar.
+ */
+function parseInlineValue(state, text, line) {
+  const reader = { text, i: 0 };
+  let value;
+  try {
+    value = readFlowNode(reader, false);
+    skipSpaces(reader);
+    if (reader.i < text.length) {
+      throw new Error(`Unexpected characters after value: "${text.slice(reader.i)}"`);
+    }
+  } catch (err) {
+    addError(state, line, err.message);
+    return null;
+  }
+  return value;
+}
+
+function skipSpaces(reader) {
+  while (reader.i < reader.text.length && /\s/.test(reader.text[reader.i])) reader.i++;
+}
+
+/**
+ * Read one value. `inFlow` restricts plain scalars to stop at , ] }.
+ */
+function readFlowNode(reader, inFlow) {
+  skipSpaces(reader);
+  const ch = reader.text[reader.i];
+  if (ch === "[") return readFlowSequence(reader);
+  if (ch === "{") return readFlowMapping(reader);
+  if (ch === '"') return readDoubleQuoted(reader);
+  if (ch === "'") return readSingleQuoted(reader);
+  return resolvePlain(readPlain(reader, inFlow));
+}
+
+function readFlowSequence(reader) {
+  const result = [];
+  reader.i++; // [
+  skipSpaces(reader);
+  if (reader.text[reader.i] === "]") {
+    reader.i++;
+    return result;
+  }
+  for (;;) {
+    result.push(readFlowNode(reader, true));
+    skipSpaces(reader);
+    const ch = reader.text[reader.i];
+    if (ch === ",") {
+      reader.i++;
+      skipSpaces(reader);
+      if (reader.text[reader.i] === "]") {
+        reader.i++;
+        return result;
+      }
+      continue;
+    }
+    if (ch === "]") {
+      reader.i++;
+      return result;
+    }
+    throw new Error(ch === undefined ? "Unterminated flow sequence (missing \"]\")" : `Expected "," or "]" in flow sequence, got "${ch}"`);
+  }
+}
+
+function readFlowMapping(reader) {
+  const result = {};
+  reader.i++; // {
+  skipSpaces(reader);
+  if (reader.text[reader.i] === "}") {
+    reader.i++;
+    return result;
+  }
+  for (;;) {
+    skipSpaces(reader);
+    const keyChar = reader.text[reader.i];
+    let key;
+    if (keyChar === '"') key = readDoubleQuoted(reader);
+    else if (keyChar === "'") key = readSingleQuoted(reader);
+    else key = readPlain(reader, true, true);
+    skipSpaces(reader);
+    if (reader.text[reader.i] !== ":") {
+      throw new Error(reader.i >= reader.text.length ? "Unterminated flow mapping (missing \"}\")" : `Expected ":" after key "${key}" in flow mapping`);
+    }
+    reader.i++;
+    result[String(key)] = readFlowNode(reader, true);
+    skipSpaces(reader);
+    const ch = reader.text[reader.i];
+    if (ch === ",") {
+      reader.i++;
+      continue;
+    }
+    if (ch === "}") {
+      reader.i++;
+      return result;
+    }
+    throw new Error(ch === undefined ? "Unterminated flow mapping (missing \"}\")" : `Expected "," or "}" in flow mapping, got "${ch}"`);
+  }
+}
+
+const ESCAPES = {
+  "0": "\0", a: "\x07", b: "\b", t: "\t", n: "\n", v: "\v", f: "\f", r: "\r",
+  e: "\x1b", " ": " ", '"': '"', "/": "/", "\\": "\\", N: "\u0085", _: " ",
+};
+
+function readDoubleQuoted(reader) {
+  const { text } = reader;
+  let out = "";
+  reader.i++; // opening quote
+  while (reader.i < text.length) {
+    const ch = text[reader.i];
+    if (ch === '"') {
+      reader.i++;
+      return out;
+    }
+    if (ch === "\\") {
+      const esc = text[reader.i + 1];
+      if (esc === "x" || esc === "u" || esc === "U") {
+        const len = esc === "x" ? 2 : esc === "u" ? 4 : 8;
+        const hex = text.slice(reader.i + 2, reader.i + 2 + len);
+        if (!new RegExp(`^[0-9a-fA-F]{${len}}$`).test(hex)) {
+          throw new Error(`Invalid escape "\\${esc}${hex}" in double-quoted string`);
+        }
+        out += String.fromCodePoint(parseInt(hex, 16));
+        reader.i += 2 + len;
+        continue;
+      }
+      if (!(esc in ESCAPES)) {
+        throw new Error(`Invalid escape "\\${esc ?? ""}" in double-quoted string (use single quotes for regexes and backslashes)`);
+      }
+      out += ESCAPES[esc];
+      reader.i += 2;
+      continue;
+    }
+    out += ch;
+    reader.i++;
+  }
+  throw new Error("Unterminated double-quoted string");
+}
+
+function readSingleQuoted(reader) {
+  const { text } = reader;
+  let out = "";
+  reader.i++; // opening quote
+  while (reader.i < text.length) {
+    const ch = text[reader.i];
+    if (ch === "'") {
+      if (text[reader.i + 1] === "'") {
+        out += "'";
+        reader.i += 2;
+        continue;
+      }
+      reader.i++;
+      return out;
+    }
+    out += ch;
+    reader.i++;
+  }
+  throw new Error("Unterminated single-quoted string");
+}
+
+function readPlain(reader, inFlow, isKey = false) {
+  const { text } = reader;
+  const start = reader.i;
+  while (reader.i < text.length) {
+    const ch = text[reader.i];
+    if (inFlow && (ch === "," || ch === "]" || ch === "}")) break;
+    if (isKey && ch === ":") break;
+    if (inFlow && ch === ":" && /[\s,\]}]/.test(text[reader.i + 1] ?? " ")) break;
+    reader.i++;
+  }
+  return text.slice(start, reader.i).trim();
+}
+
+function resolvePlain(value) {
+  if (value === "" || value === "~" || value === "null" || value === "Null" || value === "NULL") return null;
+  if (value === "true" || value === "True" || value === "TRUE") return true;
+  if (value === "false" || value === "False" || value === "FALSE") return false;
+  if (/^[-+]?\d+$/.test(value)) return parseInt(value, 10);
+  if (/^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(value)) return parseFloat(value);
+  return value;
+}
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtemp, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../bin/cli.mjs", import.meta.url));
+
+test("a second analyze --claude-md run writes nothing", async () => {
+  const root = await mkdtemp(join(tmpdir(), "agentic-rig-analyze-"));
+  const run = () => spawnSync(process.execPath, [CLI, "analyze", "--claude-md", "--dir", root], { encoding: "utf8", env: { ...process.env, HOME: root }, timeout: 30000 });
+  try {
+    await writeFile(join(root, "package.json"), JSON.stringify({ name: "demo", scripts: { test: "node --test" } }));
+    await writeFile(join(root, "index.js"), "");
+    assert.equal(run().status, 0);
+    const second = run();
+    assert.equal(second.status, 0);
+    assert.match(second.stdout, /CLAUDE\.md files are up to date\./);
+    const backups = (await readdir(join(root, ".claude", "agentic-rig", "backups"))).filter((e) => e !== ".gitignore");
+    assert.equal(backups.length, 1);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile, readFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createBackup, restoreBackup, statePaths } from "../src/backups.mjs";
+
+test("createBackup records only the files the command touches", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "agentic-rig-test-"));
+  try {
+    await writeFile(join(dir, "CLAUDE.md"), "# Before\n");
+    const backup = await createBackup(dir, "guard add secrets", ["CLAUDE.md", ...statePaths(dir, ["guards"])]);
+    assert.deepEqual(backup.files, [
+      { path: "CLAUDE.md", existed: true },
+      { path: ".claude/agentic-rig/guards.json", existed: false },
+    ]);
+
+    await writeFile(join(dir, "CLAUDE.md"), "# After\n");
+    await restoreBackup(dir, backup);
+    assert.equal(await readFile(join(dir, "CLAUDE.md"), "utf8"), "# Before\n");
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
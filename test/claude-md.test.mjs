@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ATTRIBUTION, stripAttribution, upsertManagedRegion } from "../src/claude-md.mjs";
+
+const region = { id: "shopify-theme", title: "Shopify Theme", block: "### Commands\n\nshopify theme dev" };
+
+test("stripAttribution removes the attribution wherever it is", () => {
+  assert.equal(stripAttribution(`# Title\n\nIntro\n\n${ATTRIBUTION}`), "# Title\n\nIntro");
+  assert.equal(stripAttribution(`# Title\n\n${ATTRIBUTION}\n## Notes\n\nMine`), "# Title\n\n## Notes\n\nMine");
+  assert.equal(stripAttribution("# Title\n\n---\n\nA rule, not an attribution"), "# Title\n\n---\n\nA rule, not an attribution");
+});
+
+test("re-running init with content below the attribution keeps one attribution", () => {
+  const first = upsertManagedRegion(null, region).content;
+  const edited = `${first}\n## Notes\n\nAdded by hand\n`;
+  const second = upsertManagedRegion(edited, region).content;
+  const third = upsertManagedRegion(second, region).content;
+  assert.equal(third.split("Configured with").length - 1, 1);
+  assert.ok(third.includes("## Notes\n\nAdded by hand"));
+  assert.equal(third, second);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeClaudeMd, appendMissingLines, composeTemplates, formatConflict } from "../src/compose.mjs";
+
+const template = (id, parts = {}) => ({ meta: { id, name: id, description: `${id} template` }, ...parts });
+
+test("mergeClaudeMd combines sections with the same heading and keeps the rest in order", () => {
+  const a = "Intro A.\n\n### Testing\n\n- Run `npm test`\n- Keep tests fast\n\n### Style\n\nTabs.";
+  const b = "Intro B.\n\n### Testing\n\n- Run `npm test`\n- Add a test per bug\n\n### Deploy\n\nShip it.";
+  assert.equal(
+    mergeClaudeMd([a, "", b]),
+    "Intro A.\n\nIntro B.\n\n### Testing\n\n- Run `npm test`\n- Keep tests fast\n- Add a test per bug\n\n### Style\n\nTabs.\n\n### Deploy\n\nShip it."
+  );
+});
+
+test("headings inside fenced blocks do not start sections", () => {
+  const merged = mergeClaudeMd(["### Notes\n\n```md\n### not a heading\n```"]);
+  assert.equal(merged, "### Notes\n\n```md\n### not a heading\n```");
+});
+
+test("appendMissingLines appends a fenced block whole, unless the same block is there", () => {
+  const base = "Run:\n\n```bash\nnpm test\n```";
+  assert.equal(appendMissingLines(base, "```bash\nnpm test\n```"), base);
+  // A block sharing a line with the base is still appended in full
+  assert.equal(
+    appendMissingLines(base, "```bash\nnpm test\nnpm run lint\n```"),
+    `${base}\n\`\`\`bash\nnpm test\nnpm run lint\n\`\`\``
+  );
+  assert.equal(appendMissingLines(base, "Run:\nnew line"), `${base}\nnew line`);
+});
+
+test("guard, skill and MCP disagreements are conflicts; the later template wins", () => {
+  const { template: composed, conflicts } = composeTemplates([
+    template("base", {
+      guards: [{ name: "env-files", paths: [".env"], reason: "Secrets" }],
+      skills: { deploy: "Deploy A" },
+      mcp_servers: { docs: { command: "npx", args: ["docs-a"] }, same: { command: "x", args: [] } },
+    }),
+    template("app", {
+      guards: [{ name: "env-files", paths: [".env", ".env.*"], reason: "Secrets" }],
+      skills: { deploy: "  Deploy A  " },
+      mcp_servers: { docs: { command: "npx", args: ["docs-b"] }, same: { args: [], command: "x" } },
+    }),
+  ]);
+  assert.deepEqual(conflicts, [
+    { category: "guard", name: "env-files", templates: ["base", "app"] },
+    { category: "mcp", name: "docs", templates: ["base", "app"] },
+  ]);
+  assert.deepEqual(composed.guards[0].paths, [".env", ".env.*"]);
+  assert.deepEqual(composed.mcp_servers.docs.args, ["docs-b"]);
+  assert.equal(formatConflict(conflicts[1]), 'mcp:docs — MCP server with different command/args in "base" and "app" (using "app")');
+  assert.equal(composed.meta.id, "base+app");
+});
+
+test("a rule one template allows and another denies stays denied", () => {
+  const { template: composed, conflicts } = composeTemplates([
+    template("base", { permissions: { deny: ["Read(./.env)"] } }),
+    template("app", { permissions: { allow: ["Read(./.env)", "Bash(npm test)"] } }),
+  ]);
+  assert.deepEqual(composed.permissions, { deny: ["Read(./.env)"], allow: ["Bash(npm test)"] });
+  assert.deepEqual(conflicts, [{ category: "permission", name: "Read(./.env)", templates: ["app", "base"] }]);
+  assert.match(formatConflict(conflicts[0]), /allowed by "app" but denied by "base" \(keeping the deny\)/);
+});
+
+test("hooks and external skills are deduplicated", () => {
+  const hook = { matcher: "Write", command: "fmt" };
+  const external = { name: "pdf", repository: "r", skill: "pdf" };
+  const { template: composed } = composeTemplates([
+    template("a", { hooks: { PostToolUse: [hook] }, external_skills: [external] }),
+    template("b", { hooks: { PostToolUse: [{ ...hook }, { matcher: "Edit", command: "fmt" }] }, external_skills: [{ ...external }] }),
+  ]);
+  assert.equal(composed.hooks.PostToolUse.length, 2);
+  assert.equal(composed.external_skills.length, 1);
+});
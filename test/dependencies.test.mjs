@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { readDependencies, detectFrameworks } from "../src/dependencies.mjs";
+
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/manifests/${name}/`, import.meta.url));
+const summary = (deps) => deps.map((d) => [d.name, d.version, d.dev]).sort(([a], [b]) => a.localeCompare(b));
+
+test("Cargo.toml dependencies, dev-dependencies and target tables", async () => {
+  const deps = await readDependencies(fixture("cargo"));
+  assert.deepEqual(summary(deps), [
+    ["axum", "0.7", false],
+    ["insta", "1.39", true],
+    ["libc", "0.2", false],
+    ["serde", "1", false],
+    ["tokio", "1.37", false],
+  ]);
+  assert.ok(deps.every((d) => d.ecosystem === "rust" && d.file === "Cargo.toml"));
+  assert.deepEqual(detectFrameworks(deps), ["axum"]);
+});
+
+test("pyproject.toml with PEP 621 dependencies, extras and groups", async () => {
+  const deps = await readDependencies(fixture("pep621"));
+  assert.deepEqual(summary(deps), [
+    ["fastapi", ">=0.110", false],
+    ["pytest", ">=8", true],
+    ["ruff", null, true],
+    ["sqlalchemy", "~=2.0", false],
+  ]);
+  assert.deepEqual(detectFrameworks(deps), ["fastapi"]);
+});
+
+test("pyproject.toml with Poetry dependencies and groups", async () => {
+  const deps = await readDependencies(fixture("poetry"));
+  assert.deepEqual(summary(deps), [
+    ["celery", "^5.3", false],
+    ["django", "^5.0", false],
+    ["pytest-django", "^4.8", true],
+  ]);
+  assert.deepEqual(detectFrameworks(deps), ["django"]);
+});
+
+test("go.mod requires, skipping indirect ones and major-version suffixes", async () => {
+  const deps = await readDependencies(fixture("go"));
+  assert.deepEqual(summary(deps), [
+    ["github.com/gin-gonic/gin", "v1.9.1", false],
+    ["github.com/labstack/echo", "v4.11.4", false],
+  ]);
+  assert.deepEqual(detectFrameworks(deps), ["gin", "echo"]);
+});
+
+test("Gemfile gems with development and test groups", async () => {
+  const deps = await readDependencies(fixture("ruby"));
+  assert.deepEqual(summary(deps), [
+    ["pg", null, false],
+    ["rails", "~> 7.1", false],
+    ["rspec-rails", null, true],
+    ["rubocop", null, true],
+  ]);
+  assert.deepEqual(detectFrameworks(deps), ["rails"]);
+});
+
+test("composer.json packages without platform requirements", async () => {
+  const deps = await readDependencies(fixture("php"));
+  assert.deepEqual(summary(deps), [
+    ["laravel/framework", "^11.0", false],
+    ["phpunit/phpunit", "^11.0", true],
+  ]);
+  assert.deepEqual(detectFrameworks(deps), ["laravel"]);
+});
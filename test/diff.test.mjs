@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { merge3 } from "../src/diff.mjs";
+
+const base = "one\ntwo\nthree\nfour\nfive\nsix\n";
+const ours = "one-local\ntwo\nthree\nfour-local\nfive\nsix\n";
+const theirs = "one-template\ntwo\nthree\nfour\nfive\nsix-template\n";
+
+test("merge3 marks overlapping changes as conflicts", () => {
+  const merged = merge3(base, ours, theirs);
+  assert.equal(merged.clean, false);
+  assert.equal(merged.content, "<<<<<<< local\none-local\n=======\none-template\n>>>>>>> template\ntwo\nthree\nfour-local\nfive\nsix-template\n");
+});
+
+test("merge3 with favor theirs resolves only the overlapping changes", () => {
+  const merged = merge3(base, ours, theirs, { favor: "theirs" });
+  assert.equal(merged.clean, false);
+  assert.deepEqual(merged.conflicts, [{ line: 1 }]);
+  assert.equal(merged.content, "one-template\ntwo\nthree\nfour-local\nfive\nsix-template\n");
+});
@@ -0,0 +1,10 @@
+module example.com/api
+
+go 1.22
+
+require github.com/labstack/echo/v4 v4.11.4
+
+require (
+	github.com/gin-gonic/gin v1.9.1
+	golang.org/x/sys v0.18.0 // indirect
+)
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findGuardCollisions, syncTemplateGuards } from "../src/guard-policy.mjs";
+
+const template = {
+  meta: { id: "shopify-theme" },
+  guards: [
+    { name: "env-files", paths: [".env"], reason: "Template" },
+    { name: "lockfiles", paths: ["package-lock.json"], reason: "Template" },
+  ],
+};
+const manifest = { artifacts: template.guards.map((g) => ({ type: "guard", name: g.name })) };
+
+test("findGuardCollisions reports template guards named like the project's own", () => {
+  const policy = {
+    guards: [
+      { name: "env-files", paths: ["secrets/"], reason: "Mine" },
+      { name: "lockfiles", paths: ["package-lock.json"], reason: "Template", template: "shopify-theme" },
+    ],
+  };
+  assert.deepEqual(findGuardCollisions(policy, template), ["env-files"]);
+});
+
+test("syncTemplateGuards never replaces a project guard", () => {
+  const policy = { guards: [{ name: "env-files", paths: ["secrets/"], reason: "Mine" }] };
+  syncTemplateGuards(policy, template, manifest);
+  assert.deepEqual(policy.guards.map((g) => [g.name, g.reason]), [["env-files", "Mine"], ["lockfiles", "Template"]]);
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileGuard, guardHook, guardProtects, matchGuard } from "../src/guards.mjs";
+
+const guard = { name: "env-files", paths: [".env", ".env.*", "config/secrets/"], reason: "Secrets" };
+
+test("guardHook runs project scripts from $CLAUDE_PROJECT_DIR", () => {
+  assert.equal(guardHook(guard).command, 'node "$CLAUDE_PROJECT_DIR/.claude/hooks/guard-env-files.mjs"');
+});
+
+test("guard globs match as in .gitignore", () => {
+  assert.ok(guardProtects(guard, ".env"));
+  assert.ok(guardProtects(guard, "apps/web/.env.local"));
+  assert.ok(guardProtects(guard, "config/secrets/prod/key.pem"));
+  assert.ok(!guardProtects(guard, "src/env.ts"));
+  assert.ok(guardProtects({ ...guard, paths: ["src/{a,b}/*.ts"] }, "src/b/x.ts"));
+});
+
+test("matchGuard makes paths relative to CLAUDE_PROJECT_DIR before the payload cwd", () => {
+  const compiled = compileGuard({ ...guard, paths: ["config/*.json"] });
+  const payload = { tool_name: "Edit", cwd: "/repo/packages/app", tool_input: { file_path: "/repo/config/app.json" } };
+  const saved = process.env.CLAUDE_PROJECT_DIR;
+  try {
+    process.env.CLAUDE_PROJECT_DIR = "/repo";
+    assert.equal(matchGuard(compiled, payload), "config/app.json");
+    delete process.env.CLAUDE_PROJECT_DIR;
+    assert.equal(matchGuard(compiled, payload), null);
+    assert.equal(matchGuard(compiled, { ...payload, cwd: "/repo" }), "config/app.json");
+  } finally {
+    if (saved === undefined) delete process.env.CLAUDE_PROJECT_DIR;
+    else process.env.CLAUDE_PROJECT_DIR = saved;
+  }
+});
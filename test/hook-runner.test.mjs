@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { needsProject, simulateToolCall, projectRelativePath } from "../src/hook-runner.mjs";
+
+const CLI = fileURLToPath(new URL("../bin/cli.mjs", import.meta.url));
+
+test("needsProject spots package runners anywhere in the command", () => {
+  assert.ok(needsProject("npx tsc --noEmit --pretty 2>&1 | head -20 || true"));
+  assert.ok(needsProject("cd web && pnpm exec prettier --write ."));
+  assert.ok(needsProject("npm run lint"));
+  assert.ok(!needsProject('node "$CLAUDE_PROJECT_DIR/.claude/hooks/guard-env-files.mjs"'));
+  assert.ok(!needsProject("echo npx-free"));
+});
+
+test("simulateToolCall skips hooks that need the project", async () => {
+  const settings = {
+    hooks: {
+      PostToolUse: [{ matcher: "Write|Edit", hooks: [{ type: "command", command: "npx prettier --write ." }] }],
+    },
+  };
+  const { blocked, results } = await simulateToolCall(settings, { tool: "Edit", path: "a.js" }, process.cwd(), { events: ["PostToolUse"] });
+  assert.equal(blocked, false);
+  assert.deepEqual(results.map((r) => r.skipped), [true]);
+});
+
+test("projectRelativePath keeps absolute paths inside the project and rejects the rest", () => {
+  const root = join(tmpdir(), "p1");
+  assert.equal(projectRelativePath(root, join(root, "config", "settings_data.json")), "config/settings_data.json");
+  assert.equal(projectRelativePath(root, "config/settings_data.json"), "config/settings_data.json");
+  assert.equal(projectRelativePath(root, join(tmpdir(), "other", ".env")), null);
+  assert.equal(projectRelativePath(root, "../.env"), null);
+});
+
+test("hooks test blocks an absolute --path a guard covers", async () => {
+  const root = await mkdtemp(join(tmpdir(), "agentic-rig-hooks-test-"));
+  const run = (...args) => spawnSync(process.execPath, [CLI, ...args, "--dir", root], { encoding: "utf8", env: { ...process.env, HOME: root }, timeout: 30000 });
+  try {
+    assert.equal(run("guard", "add", "config/settings_data.json", "--reason", "Theme editor").status, 0);
+    const inside = run("hooks", "test", "--tool", "Edit", "--path", join(root, "config", "settings_data.json"));
+    assert.equal(inside.status, 0);
+    assert.match(inside.stdout, /=> blocked/);
+    const outside = run("hooks", "test", "--tool", "Edit", "--path", join(tmpdir(), ".env"));
+    assert.equal(outside.status, 1);
+    assert.match(outside.stderr, /is not inside the project/);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
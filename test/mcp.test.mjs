@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtemp, mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  findMcpConflicts,
+  applyMcpResolutions,
+  renameMcpServers,
+  migrateLegacyMcp,
+  legacyMcpContent,
+  mergeMcpJson,
+  parseMcpConfig,
+} from "../src/mcp.mjs";
+import { fileExists } from "../src/utils.mjs";
+
+const CLI = fileURLToPath(new URL("../bin/cli.mjs", import.meta.url));
+const docs = { command: "npx", args: ["-y", "docs-mcp"] };
+const otherDocs = { command: "npx", args: ["-y", "other-docs"] };
+
+test("findMcpConflicts reports only names taken by a different definition", () => {
+  const mcp = { mcpServers: { docs: otherDocs, same: { args: ["a"], command: "x" } } };
+  const conflicts = findMcpConflicts(mcp, { docs, same: { command: "x", args: ["a"] }, fresh: docs });
+  assert.deepEqual(conflicts, [{ name: "docs", existing: otherDocs, template: docs }]);
+});
+
+test("applyMcpResolutions keeps, replaces or renames each server", () => {
+  const result = applyMcpResolutions(
+    { docs, search: otherDocs, fresh: docs },
+    { docs: { action: "keep" }, search: { action: "rename", newName: "search-demo" }, fresh: { action: "replace" } }
+  );
+  assert.deepEqual(result, { servers: { "search-demo": otherDocs, fresh: docs }, kept: ["docs"], renames: { search: "search-demo" } });
+  assert.deepEqual(renameMcpServers({ mcp_servers: { search: otherDocs, docs } }, result.renames).mcp_servers, { "search-demo": otherDocs, docs });
+});
+
+test("migrateLegacyMcp moves servers and keeps the root definition on a clash", () => {
+  const mcp = { mcpServers: { docs } };
+  const legacy = { mcpServers: { docs: otherDocs, old: otherDocs, same: docs }, note: "kept" };
+  assert.deepEqual(migrateLegacyMcp(mcp, legacy), { moved: ["old", "same"], shadowed: ["docs"] });
+  assert.deepEqual(mcp.mcpServers, { docs, old: otherDocs, same: docs });
+  assert.equal(legacyMcpContent(legacy), JSON.stringify({ note: "kept" }, null, 2));
+  assert.equal(legacyMcpContent({}), null);
+});
+
+test("mergeMcpJson adds servers to existing content and tolerates invalid JSON", () => {
+  const merged = JSON.parse(mergeMcpJson(JSON.stringify({ mcpServers: { a: docs }, other: 1 }), { b: otherDocs }));
+  assert.deepEqual(merged, { mcpServers: { a: docs, b: otherDocs }, other: 1 });
+  assert.deepEqual(parseMcpConfig("{ nope"), {});
+  assert.deepEqual(JSON.parse(mergeMcpJson("[]", { b: docs })), { mcpServers: { b: docs } });
+});
+
+test("upgrade moves servers from the legacy .claude/.mcp.json to .mcp.json", async () => {
+  const root = await mkdtemp(join(tmpdir(), "agentic-rig-mcp-"));
+  const run = (...a) => spawnSync(process.execPath, [CLI, ...a, "--dir", root], { encoding: "utf8", env: { ...process.env, HOME: root }, input: "", timeout: 30000 });
+  try {
+    const templatesDir = join(root, ".claude", "agentic-rig", "templates");
+    await mkdir(templatesDir, { recursive: true });
+    await writeFile(join(templatesDir, "_index.md"), "| ID | Name | Description | File |\n|----|------|-------------|------|\n| demo | Demo | Demo template | demo.md |\n");
+    await writeFile(
+      join(templatesDir, "demo.md"),
+      `---\nid: demo\nname: Demo\ndescription: Demo template\nversion: 1\n---\n\n## mcp_servers\n\n\`\`\`json\n${JSON.stringify({ docs })}\n\`\`\`\n`
+    );
+    assert.equal(run("init", "demo", "--force").status, 0);
+    await writeFile(join(root, ".claude", ".mcp.json"), JSON.stringify({ mcpServers: { docs: otherDocs, legacy: otherDocs } }));
+
+    const result = run("upgrade");
+    assert.equal(result.status, 0, result.stderr);
+    const mcp = JSON.parse(await readFile(join(root, ".mcp.json"), "utf8"));
+    assert.deepEqual(mcp.mcpServers, { docs, legacy: otherDocs });
+    assert.equal(await fileExists(join(root, ".claude", ".mcp.json")), false);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
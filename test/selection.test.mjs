@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { listPlanItems, filterPlanItems, excludeItems, isItemFilter, assignScopes, splitByScope } from "../src/selection.mjs";
+import { deriveHeuristicKey } from "../src/feedback.mjs";
+
+const template = {
+  meta: { id: "demo" },
+  claude_md: "### Overview\n\nA demo.\n\n### Testing\n\nRun the tests.",
+  hooks: {
+    PreToolUse: [{ matcher: "Bash", command: "echo pre" }],
+    PostToolUse: [{ matcher: "Write|Edit", command: "echo post" }],
+  },
+  guards: [{ name: "env-files", paths: [".env"], reason: "Secrets" }],
+  permissions: { deny: ["Read(./.env)"], allow: ["Bash(npm test)"] },
+  skills: { "create-section": "---\ndescription: Sections\n---\n", deploy: "---\ndescription: Deploy\n---\n" },
+  agents: { reviewer: "---\ndescription: Reviews\n---\n" },
+  mcp_servers: { context7: { command: "npx", args: ["-y", "@upstash/context7-mcp"] } },
+  external_skills: [{ name: "pdf", repository: "anthropics/skills", skill: "pdf" }],
+};
+const items = listPlanItems(template);
+const names = (selected) => items.filter((i) => selected.has(i.id)).map((i) => `${i.category}:${i.name}`);
+
+test("--only keeps whole categories, by name or alias", () => {
+  for (const only of [["skills"], ["skill"]]) {
+    assert.deepEqual(names(filterPlanItems(items, { only }).selected), ["skill:create-section", "skill:deploy"]);
+  }
+  assert.deepEqual(names(filterPlanItems(items, { only: ["mcp-servers", "external-skills"] }).selected), ["mcp:context7", "external_skill:pdf"]);
+});
+
+test("--exclude drops single items, by singular or plural category", () => {
+  for (const exclude of [["skill:deploy"], ["skills:deploy"]]) {
+    const { selected, unmatched } = filterPlanItems(items, { exclude });
+    assert.deepEqual(unmatched, []);
+    assert.ok(!names(selected).includes("skill:deploy"));
+    assert.equal(selected.size, items.length - 1);
+  }
+});
+
+test("a key prefix matches every item under it", () => {
+  const { selected } = filterPlanItems(items, { only: ["hook:PreToolUse"] });
+  assert.deepEqual(names(selected), ["hook:Bash"]);
+  assert.deepEqual(names(filterPlanItems(items, { only: ["permission:deny"] }).selected), ["permission:deny:Read(./.env)"]);
+});
+
+test("--only and --exclude combine, and unmatched filters are reported", () => {
+  const { selected, unmatched } = filterPlanItems(items, { only: ["skills", "agents"], exclude: ["skill:create-section", "agent:nobody"] });
+  assert.deepEqual(names(selected), ["skill:deploy", "agent:reviewer"]);
+  assert.deepEqual(unmatched, ["agent:nobody"]);
+});
+
+test("an unknown category is an error", () => {
+  const result = filterPlanItems(items, { exclude: ["widgets"] });
+  assert.match(result.error, /Unknown category in filter "widgets"/);
+  assert.ok(!isItemFilter("widgets:x"));
+  assert.ok(isItemFilter("MCP:context7"));
+});
+
+test("excludeItems removes items by key from every category", () => {
+  const keys = items.filter((i) => i.name !== "Overview" && !["Bash", "env-files", "deploy", "pdf"].includes(i.name)).map((i) => i.key);
+  const result = excludeItems(template, keys);
+  assert.equal(result.claude_md.trim(), "### Overview\n\nA demo.");
+  assert.deepEqual(result.hooks, { PreToolUse: [{ matcher: "Bash", command: "echo pre" }] });
+  assert.deepEqual(result.guards.map((g) => g.name), ["env-files"]);
+  assert.deepEqual(result.permissions, {});
+  assert.deepEqual(Object.keys(result.skills), ["deploy"]);
+  assert.deepEqual(result.agents, {});
+  assert.deepEqual(result.mcp_servers, {});
+  assert.deepEqual(result.external_skills.map((s) => s.name), ["pdf"]);
+  assert.equal(excludeItems(template, []), template);
+});
+
+test("item keys match deriveHeuristicKey, except content-keyed hooks", () => {
+  for (const item of items.filter((i) => i.category !== "hook")) {
+    assert.equal(item.key, deriveHeuristicKey(item));
+  }
+  const intro = listPlanItems({ claude_md: "Intro text.\n\n### Testing\n\nRun it." });
+  assert.deepEqual(intro.map((i) => i.key), ["claude_md:(intro)", "claude_md:Testing"]);
+});
+
+test("excludeItems still reads section: keys from older manifests", () => {
+  const withIntro = { claude_md: "Intro text.\n\n### Testing\n\nRun it.\n\n### Style\n\nTabs." };
+  assert.equal(excludeItems(withIntro, ["section:", "section:Testing"]).claude_md.trim(), "### Style\n\nTabs.");
+});
+
+test("assignScopes: --scope wins, then item keys over categories, else project", () => {
+  const scopes = { mcp_servers: "user", "mcp:context7": "local", skills: "user", "skill:deploy": "bogus" };
+  const scopeOf = (result, name) => result.get(items.find((i) => i.name === name).id);
+  const result = assignScopes(items, scopes);
+  assert.equal(scopeOf(result, "context7"), "local");
+  assert.equal(scopeOf(result, "create-section"), "user");
+  assert.equal(scopeOf(result, "deploy"), "user");
+  assert.equal(scopeOf(result, "reviewer"), "project");
+  const forced = assignScopes(items, scopes, "local");
+  assert.ok([...forced.values()].every((s) => s === "local"));
+});
+
+test("splitByScope gives each scope only its own items", () => {
+  const scopeById = assignScopes(items, { mcp: "user", "skill:deploy": "local" });
+  const parts = splitByScope(template, items, scopeById);
+  assert.deepEqual(Object.keys(parts).sort(), ["local", "project", "user"]);
+  assert.deepEqual(Object.keys(parts.user.mcp_servers), ["context7"]);
+  assert.deepEqual(Object.keys(parts.user.skills), []);
+  assert.deepEqual(Object.keys(parts.local.skills), ["deploy"]);
+  assert.equal(parts.local.claude_md, "");
+  assert.deepEqual(Object.keys(parts.project.skills), ["create-section"]);
+  assert.deepEqual(parts.project.mcp_servers, {});
+  assert.equal(parts.project.claude_md, template.claude_md);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { mergeSettingsJson, migrateLegacyHooks, parseSettings, SettingsParseError } from "../src/settings.mjs";
+import { parseTemplate, getTemplatesDir } from "../src/templates.mjs";
+import { addGuardHooks } from "../src/guards.mjs";
+
+const fixtures = join(dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+// settings.json exactly as the first release's `init --template shopify-theme` wrote it
+const baseline = () => readFile(join(fixtures, "baseline-shopify-theme-settings.json"), "utf-8");
+
+const commands = (settings, event) =>
+  (settings.hooks?.[event] || []).flatMap((group) => group.hooks.map((h) => h.command));
+
+test("migrateLegacyHooks drops agentic-rig's own shell guards and formatters", async () => {
+  const settings = JSON.parse(await baseline());
+  assert.equal(migrateLegacyHooks(settings), 5);
+  assert.deepEqual(settings, {});
+});
+
+test("migrateLegacyHooks moves user hooks into the nested schema", () => {
+  const settings = {
+    PreToolUse: [
+      { matcher: "Bash", command: "./scripts/check-command.sh" },
+      { matcher: "Write|Edit", command: "case \"$CLAUDE_FILE_PATHS\" in *.env*) echo 'BLOCKED: no' && exit 2;; esac" },
+    ],
+  };
+  assert.equal(migrateLegacyHooks(settings), 2);
+  assert.deepEqual(settings, {
+    hooks: { PreToolUse: [{ matcher: "Bash", hooks: [{ type: "command", command: "./scripts/check-command.sh" }] }] },
+  });
+});
+
+test("re-running init on baseline output leaves only the compiled guards", async () => {
+  const template = addGuardHooks(await parseTemplate(join(getTemplatesDir(), "shopify-theme.md")), "project");
+  const settings = JSON.parse(mergeSettingsJson(await baseline(), template.hooks, template.permissions));
+
+  assert.equal(settings.PreToolUse, undefined);
+  assert.equal(settings.PostToolUse, undefined);
+  const pre = commands(settings, "PreToolUse");
+  assert.ok(pre.length > 0);
+  assert.ok(pre.every((c) => !c.includes("$CLAUDE_FILE_PATHS")), pre.join("\n"));
+  assert.ok(pre.every((c) => /guard-[a-z0-9-]+\.mjs/.test(c)), pre.join("\n"));
+  assert.deepEqual(commands(settings, "PostToolUse"), [
+    "shopify theme check --fail-level error --path . --include ChangedFiles 2>/dev/null || true",
+  ]);
+});
+
+test("parseSettings throws on content that is not a JSON object", () => {
+  assert.deepEqual(parseSettings(null), {});
+  assert.throws(() => parseSettings("{ \"hooks\": ", ".claude/settings.local.json"), (err) =>
+    err instanceof SettingsParseError && err.path === ".claude/settings.local.json");
+  assert.throws(() => parseSettings("[]"), SettingsParseError);
+  assert.throws(() => mergeSettingsJson("{,}", { Stop: [{ command: "true" }] }), SettingsParseError);
+});
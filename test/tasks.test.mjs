@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { detectPackageManager, collectTasks } from "../src/tasks.mjs";
+
+/** Run `fn` in a temporary directory holding `files` ({ path: content }). */
+async function withProject(files, fn) {
+  const dir = await mkdtemp(join(tmpdir(), "agentic-rig-tasks-"));
+  try {
+    for (const [path, content] of Object.entries(files)) {
+      await mkdir(dirname(join(dir, path)), { recursive: true });
+      await writeFile(join(dir, path), content);
+    }
+    return await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("detectPackageManager prefers packageManager, then the lockfile", async () => {
+  await withProject({ "package.json": '{ "packageManager": "pnpm@9.1.0" }', "yarn.lock": "" }, async (dir) => {
+    assert.equal(await detectPackageManager(dir), "pnpm");
+  });
+  await withProject({ "package.json": "{}", "bun.lockb": "" }, async (dir) => {
+    assert.equal(await detectPackageManager(dir), "bun");
+  });
+  await withProject({ "package.json": "{}" }, async (dir) => {
+    assert.equal(await detectPackageManager(dir), "npm");
+  });
+  await withProject({}, async (dir) => {
+    assert.equal(await detectPackageManager(dir), null);
+  });
+});
+
+test("collectTasks reads package.json, Makefile, justfile and Taskfile", async () => {
+  const files = {
+    "package.json": JSON.stringify({ scripts: { build: "next build" } }),
+    Makefile: ".PHONY: test\ntest lint: deps\n\tnpm test\n%.o: %.c\nCC := gcc\n",
+    justfile: "set shell := [\"bash\", \"-c\"]\nalias d := deploy\ndeploy env:\n  ./deploy {{env}}\n_private:\n  true\n",
+    "Taskfile.yml": "version: '3'\ntasks:\n  fmt:\n    desc: Format the code\n    cmds: [gofmt -w .]\n",
+  };
+  await withProject(files, async (dir) => {
+    const tasks = await collectTasks(dir, { packageManager: "pnpm" });
+    assert.deepEqual(tasks.map((t) => [t.runner, t.run, t.command]), [
+      ["pnpm", "pnpm run build", "next build"],
+      ["make", "make test", null],
+      ["make", "make lint", null],
+      ["just", "just deploy", null],
+      ["task", "task fmt", "Format the code"],
+    ]);
+  });
+});
+
+test("PEP 621 scripts run through uv, or note the install they need", async () => {
+  const pyproject = '[project]\nname = "svc"\n[project.scripts]\nserve = "svc.main:run"\n';
+  await withProject({ "pyproject.toml": pyproject, "uv.lock": "" }, async (dir) => {
+    const [task] = await collectTasks(dir);
+    assert.deepEqual(task, { runner: "uv", name: "serve", run: "uv run serve", command: "svc.main:run", note: null });
+  });
+  await withProject({ "pyproject.toml": pyproject }, async (dir) => {
+    const [task] = await collectTasks(dir);
+    assert.equal(task.run, "serve");
+    assert.match(task.note, /pip install -e \./);
+  });
+});
+
+test("collectTasks reads Poetry scripts, composer scripts and cargo aliases", async () => {
+  const files = {
+    "pyproject.toml": '[tool.poetry.scripts]\nworker = "app.worker:main"\n',
+    "composer.json": JSON.stringify({ scripts: { test: "phpunit", "post-install-cmd": "x", lint: ["phpcs", "phpstan"] } }),
+    ".cargo/config.toml": '[alias]\nxtask = "run --package xtask --"\nci = ["test", "--all"]\n',
+  };
+  await withProject(files, async (dir) => {
+    const tasks = await collectTasks(dir);
+    assert.deepEqual(tasks.map((t) => [t.runner, t.run, t.command]), [
+      ["poetry", "poetry run worker", "app.worker:main"],
+      ["composer", "composer run test", "phpunit"],
+      ["composer", "composer run lint", "phpcs && phpstan"],
+      ["cargo", "cargo xtask", "run --package xtask --"],
+      ["cargo", "cargo ci", "test --all"],
+    ]);
+  });
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import { classifySource, checkSourceName, getSourceCacheDir, normalizeSourceName, parseSourceSpec } from "../src/template-sources.mjs";
+
+test("classifySource never treats a URL as a directory", () => {
+  assert.equal(classifySource("https://github.com/acme/templates"), "git");
+  assert.equal(classifySource("https://github.com/acme/templates#v2"), "git");
+  assert.equal(classifySource("git+https://example.com/templates"), "git");
+  assert.equal(classifySource("https://registry.example.com/templates-1.0.0.tgz"), "tarball");
+  assert.equal(classifySource("./vendor/templates"), "dir");
+});
+
+test("source names made only of dots are rejected", () => {
+  for (const name of ["", ".", "..", "..."]) {
+    assert.ok(checkSourceName(normalizeSourceName(name)), name);
+  }
+  assert.notEqual(checkSourceName(parseSourceSpec("..=./x.tgz").name), null);
+  assert.equal(checkSourceName("acme"), null);
+});
+
+test("getSourceCacheDir stays inside the sources cache", () => {
+  assert.equal(getSourceCacheDir("/p", "acme"), join("/p", ".claude", "agentic-rig", "sources", "acme"));
+  for (const name of ["", ".", "..", "../x", "a/b"]) {
+    assert.throws(() => getSourceCacheDir("/p", name), /Invalid template source name/);
+  }
+});
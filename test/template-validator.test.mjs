@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { validateTemplateContent, formatDiagnostic } from "../src/template-validator.mjs";
+
+const CLI = fileURLToPath(new URL("../bin/cli.mjs", import.meta.url));
+
+// Diagnostics other than the security checklist every bare template trips
+const validate = (content) => validateTemplateContent(content, "demo.md").filter((d) => !d.message.startsWith("Security:"));
+const template = (frontmatter, body = "## claude_md\n\nNotes.\n") => `---\n${frontmatter}\n---\n\n${body}`;
+const valid = [
+  "id: demo",
+  "name: Demo",
+  "description: A demo template",
+  "version: 1",
+  "detection:",
+  "  files_any:",
+  '    - "src/*.ts"',
+].join("\n");
+
+test("a valid template has no diagnostics beyond the security checklist", () => {
+  assert.deepEqual(validate(template(valid)), []);
+});
+
+test("schema errors are reported alongside YAML errors", () => {
+  const content = template(valid.replace("version: 1", "version: one").replace("name: Demo", "name: Demo: app"));
+  const diagnostics = validate(content);
+  assert.deepEqual(diagnostics.map((d) => [d.line, d.severity]), [[3, "error"], [5, "error"]]);
+  assert.match(diagnostics[0].message, /Nested mapping on one line/);
+  assert.match(diagnostics[1].message, /"version" is required and must be an integer/);
+  assert.equal(formatDiagnostic(diagnostics[1]), `demo.md:5: error: ${diagnostics[1].message}`);
+});
+
+test("unreadable frontmatter says schema checks were skipped", () => {
+  const diagnostics = validate("---\nid: demo\n\n## claude_md\n");
+  assert.ok(diagnostics.some((d) => d.severity === "error" && /Unterminated frontmatter/.test(d.message)));
+  assert.ok(diagnostics.some((d) => /schema checks were skipped/.test(d.message)));
+});
+
+test("section diagnostics point at the file line", () => {
+  const body = "## claude_md\n\nNotes.\n\n## hooks\n\n```json\n{ not json }\n```\n";
+  const diagnostics = validate(template(valid, body));
+  assert.equal(diagnostics.length, 1);
+  assert.equal(diagnostics[0].severity, "error");
+  // Line 18 of the file holds the invalid JSON
+  assert.equal(diagnostics[0].line, 18);
+});
+
+test("template validate exits 1 on warnings only with --strict", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "agentic-rig-validate-"));
+  const file = join(dir, "demo.md");
+  const run = (...args) => spawnSync(process.execPath, [CLI, "template", "validate", file, ...args], { encoding: "utf8", timeout: 30000 });
+  try {
+    // No detection rules: a warning, not an error
+    await writeFile(file, template(valid.split("\n").slice(0, 4).join("\n")));
+    const plain = run();
+    assert.equal(plain.status, 0);
+    assert.match(plain.stdout, /demo\.md:1: warning: No "detection" rules/);
+    assert.equal(run("--strict").status, 1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
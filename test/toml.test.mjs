@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseToml } from "../src/toml.mjs";
+
+test("tables, dotted keys, arrays of tables and inline tables", () => {
+  const { value, errors } = parseToml([
+    "title = \"demo\"",
+    "site.name = 'literal \\n'",
+    "",
+    "[server]",
+    "port = 8_080",
+    "hosts = [",
+    "  \"a\", # first",
+    "  \"b\",",
+    "]",
+    "",
+    "[[bin]]",
+    "name = \"cli\"",
+    "[[bin]]",
+    "name = \"worker\"",
+    "",
+    "[deps]",
+    "serde = { version = \"1\", features = [\"derive\"] }",
+  ].join("\n"));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, {
+    title: "demo",
+    site: { name: "literal \\n" },
+    server: { port: 8080, hosts: ["a", "b"] },
+    bin: [{ name: "cli" }, { name: "worker" }],
+    deps: { serde: { version: "1", features: ["derive"] } },
+  });
+});
+
+test("strings, numbers, booleans and dates", () => {
+  const { value, errors } = parseToml([
+    'escaped = "tab\\tunicode \\u00e9"',
+    'multi = """',
+    "one \\",
+    '   two"""',
+    "hex = 0xff",
+    "float = 6.5e-1",
+    "neg = -inf",
+    "yes = true",
+    "when = 1979-05-27 07:32:00Z",
+  ].join("\n"));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, {
+    escaped: "tab\tunicode é",
+    multi: "one two",
+    hex: 255,
+    float: 0.65,
+    neg: -Infinity,
+    yes: true,
+    when: "1979-05-27 07:32:00Z",
+  });
+});
+
+test("malformed lines are reported with line numbers and skipped", () => {
+  const { value, errors } = parseToml('a = 1\na = 2\nb = "open\nc = what\nd = 4');
+  assert.deepEqual(errors.map((e) => e.line), [2, 3, 4]);
+  assert.match(errors[0].message, /Duplicate key "a"/);
+  assert.match(errors[1].message, /Unterminated string/);
+  assert.match(errors[2].message, /Invalid value "what"/);
+  assert.deepEqual(value, { a: 1, d: 4 });
+});
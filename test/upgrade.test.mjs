@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtemp, mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { merge3 } from "../src/diff.mjs";
+
+const CLI = fileURLToPath(new URL("../bin/cli.mjs", import.meta.url));
+const SKILL = [".claude", "skills", "deploy", "SKILL.md"];
+
+/** A user template whose only item is a `deploy` skill with `lines` as its body. */
+function template(version, lines) {
+  return [
+    "---",
+    "id: demo",
+    "name: Demo",
+    "description: Demo template",
+    `version: ${version}`,
+    "---",
+    "",
+    "## skills",
+    "",
+    "### deploy",
+    "",
+    "```markdown",
+    "---",
+    "name: deploy",
+    "description: Deploy the app",
+    "---",
+    "",
+    ...lines,
+    "```",
+    "",
+  ].join("\n");
+}
+
+const V1 = ["# Deploy", "", "1. Build", "2. Test", "3. Tag", "4. Push", "5. Announce"];
+
+/**
+ * Init a project from the v1 template, apply `localEdit` to the skill, move
+ * the template to `v2Lines` and run upgrade with `args`.
+ * Returns { result, skill } with the skill's content afterwards.
+ */
+async function upgradeWith(localEdit, v2Lines, args = []) {
+  const root = await mkdtemp(join(tmpdir(), "agentic-rig-upgrade-"));
+  const run = (...a) => spawnSync(process.execPath, [CLI, ...a, "--dir", root], { encoding: "utf8", env: { ...process.env, HOME: root }, input: "", timeout: 30000 });
+  try {
+    const templatesDir = join(root, ".claude", "agentic-rig", "templates");
+    await mkdir(templatesDir, { recursive: true });
+    await writeFile(join(templatesDir, "_index.md"), "| ID | Name | Description | File |\n|----|------|-------------|------|\n| demo | Demo | Demo template | demo.md |\n");
+    await writeFile(join(templatesDir, "demo.md"), template(1, V1));
+    assert.equal(run("init", "demo", "--force").status, 0);
+    const skillPath = join(root, ...SKILL);
+    await writeFile(skillPath, localEdit(await readFile(skillPath, "utf8")));
+    await writeFile(join(templatesDir, "demo.md"), template(2, v2Lines));
+    const result = run("upgrade", ...args);
+    return { result, skill: await readFile(skillPath, "utf8") };
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+}
+
+test("merge3 merges changes to different lines cleanly", () => {
+  const merged = merge3("a\nb\nc\nd\ne\n", "a-local\nb\nc\nd\ne\n", "a\nb\nc\nd\ne-template\n");
+  assert.deepEqual(merged, { content: "a-local\nb\nc\nd\ne-template\n", clean: true, conflicts: [] });
+});
+
+test("upgrade merges a local edit with a template change elsewhere", async () => {
+  const { result, skill } = await upgradeWith(
+    (s) => s.replace("1. Build", "1. Build with --prod"),
+    V1.map((l) => (l === "5. Announce" ? "5. Announce in #releases" : l))
+  );
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(skill, /1\. Build with --prod$/m);
+  assert.match(skill, /5\. Announce in #releases$/m);
+});
+
+test("upgrade leaves a conflicting file unchanged and exits 1", async () => {
+  const local = (s) => s.replace("1. Build", "1. Build locally").replace("5. Announce", "5. Announce locally");
+  const { result, skill } = await upgradeWith(local, V1.map((l) => (l === "1. Build" ? "1. Build in CI" : l)));
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /1 conflict\(s\) were left unchanged/);
+  assert.match(skill, /1\. Build locally$/m);
+  assert.doesNotMatch(skill, /<<<<<<<|Build in CI/);
+});
+
+test("upgrade --force takes the template side of the conflicting hunk only", async () => {
+  const local = (s) => s.replace("1. Build", "1. Build locally").replace("5. Announce", "5. Announce locally");
+  const { result, skill } = await upgradeWith(local, V1.map((l) => (l === "1. Build" ? "1. Build in CI" : l)), ["--force"]);
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(skill, /1\. Build in CI$/m);
+  assert.match(skill, /5\. Announce locally$/m);
+  assert.doesNotMatch(skill, /<<<<<<</);
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { resolveVariables } from "../src/variables.mjs";
+
+const defs = [{ name: "store", prompt: "Store", validate: "^[a-z]+$" }];
+
+test("resolveVariables reports --set names the template doesn't declare", async () => {
+  const { values, errors } = await resolveVariables(defs, { set: { store: "acme", stor: "typo" } });
+  assert.deepEqual(values, { store: "acme" });
+  assert.deepEqual(errors, ['Unknown variable "stor" in --set (the template declares store)']);
+});
+
+test("resolveVariables stops prompting when input ends", () => {
+  const script = `
+    import { resolveVariables } from ${JSON.stringify(new URL("../src/variables.mjs", import.meta.url).href)};
+    const { errors } = await resolveVariables(${JSON.stringify(defs)}, { interactive: true });
+    console.log(JSON.stringify(errors));
+  `;
+  const result = spawnSync(process.execPath, ["--input-type=module", "-e", script], {
+    input: "",
+    encoding: "utf8",
+    timeout: 10000,
+  });
+  assert.equal(result.signal, null, "resolveVariables kept prompting after input ended");
+  assert.match(result.stdout, /\["Input ended before a value for \\"store\\" was given"\]/);
+});
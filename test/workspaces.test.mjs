@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { detectWorkspaces, parseGoWorkUses } from "../src/workspaces.mjs";
+
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/workspaces/${name}/`, import.meta.url));
+
+test("pnpm-workspace.yaml packages with a negated pattern", async () => {
+  assert.deepEqual(await detectWorkspaces(fixture("pnpm")), {
+    tools: ["pnpm"],
+    packages: ["apps/web", "packages/ui"],
+  });
+});
+
+test("package.json workspaces globs match only directories with a package.json", async () => {
+  assert.deepEqual(await detectWorkspaces(fixture("npm")), {
+    tools: ["npm"],
+    packages: ["apps/site", "packages/a"],
+  });
+});
+
+test("cargo workspace members minus exclude", async () => {
+  assert.deepEqual(await detectWorkspaces(fixture("cargo")), {
+    tools: ["cargo"],
+    packages: ["crates/cli", "crates/core"],
+  });
+});
+
+test("no workspace config", async () => {
+  assert.equal(await detectWorkspaces(fixture("cargo") + "crates/core"), null);
+});
+
+test("go.work use directives, single and in a block", () => {
+  assert.deepEqual(parseGoWorkUses("go 1.22\n\nuse ./tools // dev\nuse (\n\t./api\n\t\"./web\"\n)\n"), ["./api", "./web", "./tools"]);
+});
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseYaml } from "../src/yaml.mjs";
+
+test("plain, quoted and typed scalars", () => {
+  const { value, errors } = parseYaml([
+    "name: Shopify theme",
+    "single: 'it''s'",
+    'double: "tab\\there"',
+    "regex: '\\d+'",
+    "count: 12",
+    "ratio: 0.5",
+    "big: 1e3",
+    "on: true",
+    "off: False",
+    "empty: ~",
+    "url: https://example.com/a#b  # comment",
+    "long: first",
+    "  second",
+  ].join("\n"));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, {
+    name: "Shopify theme",
+    single: "it's",
+    double: "tab\there",
+    regex: "\\d+",
+    count: 12,
+    ratio: 0.5,
+    big: 1000,
+    on: true,
+    off: false,
+    empty: null,
+    url: "https://example.com/a#b",
+    long: "first second",
+  });
+});
+
+test("block mappings, sequences and sequences of mappings", () => {
+  const { value, errors } = parseYaml([
+    "detection:",
+    "  files:",
+    "  - config/settings_schema.json",
+    "  - layout/theme.liquid",
+    "variables:",
+    "  - name: store",
+    "    default: demo",
+    "  - name: port",
+    "    default: 9292",
+    "nested:",
+    "  - - a",
+    "    - b",
+  ].join("\n"));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, {
+    detection: { files: ["config/settings_schema.json", "layout/theme.liquid"] },
+    variables: [{ name: "store", default: "demo" }, { name: "port", default: 9292 }],
+    nested: [["a", "b"]],
+  });
+});
+
+test("flow collections", () => {
+  const { value, errors } = parseYaml('tags: [a, "b, c", [1, 2], ]\nmeta: { id: x, "key": { n: 1 } }');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { tags: ["a", "b, c", [1, 2]], meta: { id: "x", key: { n: 1 } } });
+});
+
+test("block scalars with chomping and indentation indicators", () => {
+  const { value, errors } = parseYaml([
+    "literal: |",
+    "  one",
+    "    two",
+    "",
+    "folded: >-",
+    "  one",
+    "  two",
+    "keep: |+",
+    "  x",
+    "",
+    "indented: |2",
+    "    starts indented",
+    "  then not",
+    "after: end",
+  ].join("\n"));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, {
+    literal: "one\n  two\n",
+    folded: "one two",
+    keep: "x\n\n",
+    indented: "  starts indented\nthen not\n",
+    after: "end",
+  });
+});
+
+test("errors carry 1-based line numbers, shifted by lineOffset", () => {
+  const { errors } = parseYaml("id: x\nid: y\n\tbad: tab\nlist: [a, b", { lineOffset: 1 });
+  assert.deepEqual(errors.map((e) => e.line), [3, 4, 4, 5]);
+  assert.match(errors[0].message, /Duplicate key "id"/);
+  assert.match(errors[1].message, /Tabs are not allowed/);
+  assert.match(errors[2].message, /Unexpected indentation/);
+  assert.match(errors[3].message, /Unterminated flow sequence/);
+});
+
+test("a nested key: key: on one line is rejected", () => {
+  const { value, errors } = parseYaml("a: b: c\nd: 'e: f'");
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].line, 1);
+  assert.match(errors[0].message, /Nested mapping on one line/);
+  assert.equal(value.d, "e: f");
+});